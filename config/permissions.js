@@ -0,0 +1,156 @@
+// Named permissions and the built-in roles that hold them.
+//
+// A role grants a permission either outright ('grade:submission'), only
+// for resources the user owns ('grade:submission:own') or only within the
+// departments the user heads ('manage:subject:department'). A permission
+// supporting those scopes declares `owner`, which decides ownership of the
+// resource a controller checks it against (e.g. create:assignment is
+// checked against the subject), and `department`, which returns the
+// department the resource belongs to.
+const idOf = (value) => (value && value._id ? value._id : value);
+const sameId = (a, b) => Boolean(a) && Boolean(b) && idOf(a).toString() === idOf(b).toString();
+
+const taughtBy = (user, resource) => sameId(resource.teacher, user._id);
+const isSelf = (user, resource) => sameId(resource, user._id);
+const submissionParty = (user, submission) =>
+  sameId(submission.student, user._id) || sameId(submission.assignment?.teacher, user._id);
+
+const departmentOf = (resource) => idOf(resource.department);
+const departmentItself = (department) => idOf(department);
+
+const permissions = {
+  'read:user': { description: 'View user accounts', department: departmentOf },
+  'manage:user': { description: 'Create, update, deactivate and delete user accounts' },
+  'approve:user': { description: 'Approve or reject self-registered accounts', department: departmentOf },
+  'update:student-semester': { description: 'Move students between semesters', department: departmentOf },
+  'manage:promotion': { description: 'Promote and graduate whole semesters at the end of term' },
+  'manage:student-status': { description: 'Change a student\'s status, such as leave, suspension or withdrawal' },
+  'manage:invitation': { description: 'Invite staff and students to create accounts' },
+  'manage:session': { description: 'View and revoke other users\' sessions' },
+  'manage:deletion-request': { description: 'Review and approve account deletion requests' },
+  'manage:recycle-bin': { description: 'Restore deleted records and remove them for good' },
+  'manage:numbering': { description: 'Configure enrollment number and university ID patterns and reserve numbers' },
+  'impersonate:user': { description: 'View the app as another user, read-only' },
+  'impersonate:write': { description: 'Make changes while viewing the app as another user' },
+  'manage:api-key': { description: 'Create service accounts and their API keys' },
+  'manage:role': { description: 'Define custom roles and their permissions' },
+  'manage:settings': { description: 'Change system settings' },
+
+  'manage:faculty': { description: 'Create, update and delete faculties and appoint deans' },
+  'manage:department': { description: 'Create, update and delete departments' },
+  'update:department': { description: 'Edit a department\'s description and duration', department: departmentItself },
+  'manage:term': { description: 'Create and change academic terms and their registration dates' },
+  'manage:program': {
+    description: 'Create and change degree programs and their curricula',
+    department: departmentOf
+  },
+  'read:subject': { description: 'View subjects', department: departmentOf },
+  'manage:enrollment': {
+    description: 'Enroll students in subjects and drop them',
+    department: departmentOf
+  },
+  'manage:subject': {
+    description: 'Create, update and delete subjects and assign their teachers',
+    owner: taughtBy,
+    department: departmentOf
+  },
+  'view:subject-stats': {
+    description: 'View teaching statistics for a subject',
+    owner: taughtBy,
+    department: departmentOf
+  },
+
+  'create:assignment': { description: 'Create assignments for a subject', owner: taughtBy },
+  'manage:assignment': { description: 'Update and delete assignments', owner: taughtBy },
+  'submit:assignment': { description: 'Submit assignment work' },
+  'read:submission': { description: 'View and download submissions', owner: submissionParty },
+  'grade:submission': { description: 'Grade submissions', owner: submissionParty },
+  'delete:submission': { description: 'Delete submissions', owner: submissionParty },
+
+  'create:quiz': { description: 'Create quizzes for a subject', owner: taughtBy },
+  'attempt:quiz': { description: 'Take quizzes' },
+  'read:quiz-answers': { description: 'See correct quiz answers' },
+  'read:quiz-results': { description: 'View quiz results', owner: taughtBy },
+
+  'upload:note': { description: 'Upload notes for a subject', owner: taughtBy },
+  'delete:note': { description: 'Delete notes', owner: taughtBy },
+
+  'read:grades': {
+    description: 'View a student\'s grades and performance',
+    owner: isSelf,
+    department: departmentOf
+  },
+  'view:reports': { description: 'View institution-wide reports', department: departmentOf },
+  'view:admin-dashboard': { description: 'View the admin dashboard' },
+  'access:teacher-portal': { description: 'Use the teacher dashboard and teaching views' },
+  'access:student-portal': { description: 'Use the student dashboard and study views' }
+};
+
+const builtInRoles = {
+  admin: {
+    label: 'Administrator',
+    permissions: ['*']
+  },
+  teacher: {
+    label: 'Teacher',
+    permissions: [
+      'access:teacher-portal',
+      'read:subject',
+      'view:subject-stats:own',
+      'create:assignment:own',
+      'manage:assignment:own',
+      'read:submission:own',
+      'grade:submission:own',
+      'delete:submission:own',
+      'create:quiz:own',
+      'read:quiz-answers',
+      'read:quiz-results:own',
+      'upload:note:own',
+      'delete:note:own',
+      'read:grades'
+    ]
+  },
+  student: {
+    label: 'Student',
+    permissions: [
+      'access:student-portal',
+      'read:subject',
+      'submit:assignment',
+      'read:submission:own',
+      'attempt:quiz',
+      'read:grades:own'
+    ]
+  }
+};
+
+// Granted on top of their role to anyone set as a department's head
+const departmentHeadPermissions = [
+  'read:user:department',
+  'approve:user:department',
+  'update:student-semester:department',
+  'update:department:department',
+  'manage:program:department',
+  'manage:subject:department',
+  'manage:enrollment:department',
+  'view:subject-stats:department',
+  'read:grades:department',
+  'view:reports:department'
+];
+
+// Permissions an API key may be scoped to. Integrations read data, account
+// administration stays with people.
+const apiKeyPermissions = [
+  'read:user',
+  'read:subject',
+  'view:subject-stats',
+  'read:grades',
+  'view:reports'
+];
+
+module.exports = {
+  permissions,
+  builtInRoles,
+  departmentHeadPermissions,
+  apiKeyPermissions,
+  sameId
+};
@@ -0,0 +1,129 @@
+// Admin-configurable settings, stored in the Setting collection.
+// Every key must be declared here with its default and a validator.
+const { validatePattern } = require('../utils/numberPattern');
+
+const isStringMap = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+  Object.values(value).every(v => typeof v === 'string');
+
+const isIntegerBetween = (min, max) => (value) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+const isNumberPattern = (value) => validatePattern(value) === null;
+
+const CHARACTER_CLASSES = ['lowercase', 'uppercase', 'digit', 'symbol'];
+
+const settingDefinitions = {
+  'auth.twoFactorRequiredRoles': {
+    description: 'Roles that must enrol in two-factor authentication before they can log in',
+    default: [],
+    validate: (value) => Array.isArray(value) && value.every(role => typeof role === 'string')
+  },
+  'password.minLength': {
+    description: 'Minimum password length',
+    default: 8,
+    validate: isIntegerBetween(6, 128)
+  },
+  'password.requiredClasses': {
+    description: `Character classes every password must contain, from ${CHARACTER_CLASSES.join(', ')}`,
+    default: ['lowercase', 'uppercase', 'digit'],
+    validate: (value) => Array.isArray(value) && value.every(c => CHARACTER_CLASSES.includes(c))
+  },
+  'password.rejectCommon': {
+    description: 'Reject passwords from the bundled list of common passwords',
+    default: true,
+    validate: (value) => typeof value === 'boolean'
+  },
+  'password.historySize': {
+    description: 'Number of previous passwords that cannot be reused, 0 to allow reuse',
+    default: 5,
+    validate: isIntegerBetween(0, 24)
+  },
+  'password.expiryDays': {
+    description: 'Days after which passwords of the roles below must be changed, 0 to never expire',
+    default: 0,
+    validate: isIntegerBetween(0, 3650)
+  },
+  'password.expiryRoles': {
+    description: 'Roles whose passwords expire',
+    default: ['admin', 'teacher'],
+    validate: (value) => Array.isArray(value) && value.every(role => typeof role === 'string')
+  },
+  'numbers.enrollmentNumberPattern': {
+    description: 'Pattern for new enrollment numbers, e.g. {DEPT}-{YEAR}-{SEQ:4}. Departments can override it.',
+    default: '{DEPT}-{YEAR}-{SEQ:4}',
+    validate: isNumberPattern
+  },
+  'numbers.universityIdPattern': {
+    description: 'Pattern for new university IDs, e.g. U{YEAR}{SEQ:5}. Departments can override it.',
+    default: 'U{YEAR}{SEQ:5}',
+    validate: isNumberPattern
+  },
+  'promotion.passPercentage': {
+    description: 'Average percentage across a subject\'s graded assignments and quizzes needed to pass it',
+    default: 40,
+    validate: isIntegerBetween(0, 100)
+  },
+  'promotion.maxFailedCredits': {
+    description: 'Credits a student may fail in a semester and still be promoted',
+    default: 0,
+    validate: isIntegerBetween(0, 100)
+  },
+  'promotion.unassessedCountsAsFailed': {
+    description: 'Count subjects with no graded work as failed when deciding promotion',
+    default: false,
+    validate: (value) => typeof value === 'boolean'
+  },
+  'registration.minCredits': {
+    description: 'Credits a student must register for in a term, unless their program\'s registration window sets its own',
+    default: 0,
+    validate: isIntegerBetween(0, 100)
+  },
+  'registration.maxCredits': {
+    description: 'Most credits a student may register for in a term, unless their program\'s registration window sets its own',
+    default: 30,
+    validate: isIntegerBetween(1, 100)
+  },
+  'privacy.deletionRetentionDays': {
+    description: 'Days between approving an account deletion and anonymising the account, during which the user can still cancel',
+    default: 30,
+    validate: isIntegerBetween(0, 3650)
+  },
+  'recycleBin.retentionDays': {
+    description: 'Days deleted users, subjects, notes and assignments can be restored before they and their files are removed for good',
+    default: 30,
+    validate: isIntegerBetween(1, 3650)
+  },
+  'oidc.allowJitProvisioning': {
+    description: 'Create accounts on first single sign-on for people with no matching account',
+    default: false,
+    validate: (value) => typeof value === 'boolean'
+  },
+  'oidc.groupRoles': {
+    description: 'Identity provider group to role, e.g. {"staff-teaching": "teacher"}; earlier entries win',
+    default: {},
+    validate: isStringMap
+  },
+  'oidc.groupDepartments': {
+    description: 'Identity provider group to department code, e.g. {"dept-cs": "CS"}; earlier entries win',
+    default: {},
+    validate: isStringMap
+  },
+  'oidc.defaultRole': {
+    description: 'Role for accounts created on first sign-on when no group matches',
+    default: 'student',
+    validate: (value) => typeof value === 'string' && value.length > 0
+  },
+  'oidc.syncRoles': {
+    description: 'Update the role of existing accounts from their identity provider groups on every sign-on, not only when the account is created',
+    default: false,
+    validate: (value) => typeof value === 'boolean'
+  },
+  'oidc.trustedMfaMethods': {
+    description: 'amr or acr values from the identity provider that count as a second factor, e.g. ["mfa", "otp"]; other sign-ons take this app\'s two-factor step',
+    default: [],
+    validate: (value) => Array.isArray(value) && value.every(method => typeof method === 'string')
+  }
+};
+
+module.exports = settingDefinitions;
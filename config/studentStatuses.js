@@ -0,0 +1,58 @@
+// Where a student stands with the university, and the moves allowed
+// between those states. Only `studying` statuses take part in teaching:
+// they see assignments and quizzes, get notified and count in statistics.
+const studentStatuses = {
+  enrolled: {
+    label: 'Enrolled',
+    studying: true,
+    transitions: ['on-leave', 'suspended', 'withdrawn', 'graduated']
+  },
+  'on-leave': {
+    label: 'On leave',
+    studying: false,
+    transitions: ['enrolled', 'withdrawn']
+  },
+  suspended: {
+    label: 'Suspended',
+    studying: false,
+    transitions: ['enrolled', 'withdrawn']
+  },
+  withdrawn: {
+    label: 'Withdrawn',
+    studying: false,
+    transitions: ['enrolled']
+  },
+  graduated: {
+    label: 'Graduated',
+    studying: false,
+    transitions: ['alumni']
+  },
+  alumni: {
+    label: 'Alumni',
+    studying: false,
+    transitions: []
+  }
+};
+
+const STUDENT_STATUSES = Object.keys(studentStatuses);
+const NOT_STUDYING_STATUSES = STUDENT_STATUSES.filter(status => !studentStatuses[status].studying);
+
+// Students saved before statuses existed have none and count as enrolled
+const currentStatus = (user) => user.studentStatus || 'enrolled';
+
+const isStudying = (user) => studentStatuses[currentStatus(user)].studying;
+
+const canTransition = (from, to) => studentStatuses[from]?.transitions.includes(to) || false;
+
+// Query condition matching studying students, including those without a status
+const studyingFilter = () => ({ studentStatus: { $nin: NOT_STUDYING_STATUSES } });
+
+module.exports = {
+  studentStatuses,
+  STUDENT_STATUSES,
+  NOT_STUDYING_STATUSES,
+  currentStatus,
+  isStudying,
+  canTransition,
+  studyingFilter
+};
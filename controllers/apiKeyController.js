@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Department = require('../models/Department');
+const { apiKeyPermissions } = require('../config/permissions');
+const { roleExists } = require('../services/policy');
+
+const MAX_API_KEY_DAYS = parseInt(process.env.MAX_API_KEY_DAYS) || 365;
+
+const findServiceAccount = (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return User.findOne({ _id: id, isServiceAccount: true }).select('-password');
+};
+
+// @desc    Create a service account for an integration
+// @route   POST /api/service-accounts
+// @access  Private/Admin
+const createServiceAccount = async (req, res) => {
+  try {
+    const { name, email, role } = req.body;
+
+    if (!name || !email || !role) {
+      return res.status(400).json({ message: 'Name, contact email and role are required' });
+    }
+
+    if (!(await roleExists(role))) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    if (await User.exists({ email: String(email).toLowerCase() }).setOptions({ withDeleted: true })) {
+      return res.status(400).json({ message: 'An account with this email already exists' });
+    }
+
+    const account = await User.create({
+      name,
+      email,
+      role,
+      isServiceAccount: true,
+      approvalStatus: 'approved',
+      approvalDecidedBy: req.user._id,
+      approvalDecidedAt: new Date()
+    });
+
+    res.status(201).json({
+      _id: account._id,
+      name: account.name,
+      email: account.email,
+      role: account.role,
+      isActive: account.isActive
+    });
+  } catch (error) {
+    console.error('Create service account error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get service accounts
+// @route   GET /api/service-accounts
+// @access  Private/Admin
+const getServiceAccounts = async (req, res) => {
+  try {
+    const accounts = await User.find({ isServiceAccount: true })
+      .select('name email role isActive createdAt')
+      .sort('name')
+      .lean();
+
+    const keyCounts = await ApiKey.aggregate([
+      { $match: { revokedAt: null, expiresAt: { $gt: new Date() } } },
+      { $group: { _id: '$serviceAccount', count: { $sum: 1 } } }
+    ]);
+    const countByAccount = Object.fromEntries(keyCounts.map(k => [k._id.toString(), k.count]));
+
+    res.json(accounts.map(account => ({
+      ...account,
+      activeKeys: countByAccount[account._id.toString()] || 0
+    })));
+  } catch (error) {
+    console.error('Get service accounts error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create an API key, the key is only returned this once
+// @route   POST /api/service-accounts/:id/keys
+// @access  Private/Admin
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, departments = [], expiresInDays } = req.body;
+
+    const account = await findServiceAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({ message: 'Service account not found' });
+    }
+
+    if (!name) {
+      return res.status(400).json({ message: 'Key name is required' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: 'At least one scope is required' });
+    }
+
+    const invalidScope = scopes.find(scope => !apiKeyPermissions.includes(scope));
+    if (invalidScope) {
+      return res.status(400).json({
+        message: `Invalid scope ${invalidScope}`,
+        allowedScopes: apiKeyPermissions
+      });
+    }
+
+    if (!Array.isArray(departments) || !departments.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Departments must be a list of department ids' });
+    }
+
+    if (departments.length > 0) {
+      const found = await Department.countDocuments({ _id: { $in: departments } });
+      if (found !== new Set(departments.map(String)).size) {
+        return res.status(400).json({ message: 'Department not found' });
+      }
+    }
+
+    const days = parseInt(expiresInDays);
+    if (!days || days < 1 || days > MAX_API_KEY_DAYS) {
+      return res.status(400).json({ message: `Expiry must be between 1 and ${MAX_API_KEY_DAYS} days` });
+    }
+
+    const { apiKey, key } = await ApiKey.issue({
+      name,
+      serviceAccount: account._id,
+      scopes: [...new Set(scopes)],
+      departments,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      _id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      departments: apiKey.departments,
+      expiresAt: apiKey.expiresAt,
+      key
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a service account's API keys with their usage
+// @route   GET /api/service-accounts/:id/keys
+// @access  Private/Admin
+const getApiKeys = async (req, res) => {
+  try {
+    const account = await findServiceAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({ message: 'Service account not found' });
+    }
+
+    const keys = await ApiKey.find({ serviceAccount: account._id })
+      .populate('departments', 'name code')
+      .populate('createdBy', 'name email')
+      .sort('-createdAt');
+
+    res.json(keys.map(apiKey => ({
+      ...apiKey.toObject(),
+      active: apiKey.isUsable()
+    })));
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/service-accounts/:id/keys/:keyId
+// @access  Private/Admin
+const revokeApiKey = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.keyId)) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.keyId,
+      serviceAccount: req.params.id
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  createServiceAccount,
+  getServiceAccounts,
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+};
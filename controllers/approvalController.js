@@ -0,0 +1,131 @@
+const User = require('../models/User');
+const { createNotification } = require('./notificationController');
+const { sendMail } = require('../services/mail');
+const { can, getDepartmentScope } = require('../services/policy');
+const { enrollInSemesterSubjects } = require('../services/enrollments');
+
+// Let the applicant know by email and in-app notification
+const notifyApplicant = async (applicant, approved, reason) => {
+  try {
+    if (approved) {
+      await sendMail('accountApproved', applicant.email, { name: applicant.name });
+    } else {
+      await sendMail('accountRejected', applicant.email, { name: applicant.name, reason });
+    }
+  } catch (error) {
+    console.error('Send approval email error:', error);
+  }
+
+  await createNotification(
+    applicant._id,
+    'system',
+    approved ? 'Account Approved' : 'Registration Not Approved',
+    approved
+      ? 'Your account has been approved. Welcome!'
+      : `Your registration was not approved${reason ? `: ${reason}` : '.'}`
+  );
+};
+
+// @desc    Get accounts waiting for approval
+// @route   GET /api/users/pending
+// @access  Private/Admin or Head of Department
+const getPendingUsers = async (req, res) => {
+  try {
+    const departments = await getDepartmentScope(req.user, 'approve:user');
+    const query = { approvalStatus: 'pending' };
+
+    if (departments !== null) {
+      query.department = { $in: departments };
+    }
+
+    const users = await User.find(query)
+      .select('-password')
+      .populate('department', 'name code')
+      .sort('createdAt');
+
+    res.json(users);
+  } catch (error) {
+    console.error('Get pending users error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Approve a pending account
+// @route   PUT /api/users/:id/approve
+// @access  Private/Admin or Head of Department
+const approveUser = async (req, res) => {
+  try {
+    const applicant = await User.findById(req.params.id);
+
+    if (!applicant) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await can(req.user, 'approve:user', applicant))) {
+      return res.status(403).json({ message: 'Not authorized to approve this user' });
+    }
+
+    if (applicant.approvalStatus !== 'pending') {
+      return res.status(400).json({ message: `User is already ${applicant.approvalStatus}` });
+    }
+
+    applicant.approvalStatus = 'approved';
+    applicant.approvalDecidedBy = req.user._id;
+    applicant.approvalDecidedAt = new Date();
+    applicant.rejectionReason = null;
+    await applicant.save();
+
+    // New students start in their semester's subjects
+    if (applicant.role === 'student') {
+      await enrollInSemesterSubjects(applicant, { enrolledBy: req.user._id, reason: 'Enrolled on approval' });
+    }
+
+    await notifyApplicant(applicant, true);
+
+    res.json({ message: 'User approved successfully', _id: applicant._id, approvalStatus: applicant.approvalStatus });
+  } catch (error) {
+    console.error('Approve user error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Reject a pending account
+// @route   PUT /api/users/:id/reject
+// @access  Private/Admin or Head of Department
+const rejectUser = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const applicant = await User.findById(req.params.id);
+
+    if (!applicant) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await can(req.user, 'approve:user', applicant))) {
+      return res.status(403).json({ message: 'Not authorized to reject this user' });
+    }
+
+    if (applicant.approvalStatus !== 'pending') {
+      return res.status(400).json({ message: `User is already ${applicant.approvalStatus}` });
+    }
+
+    applicant.approvalStatus = 'rejected';
+    applicant.approvalDecidedBy = req.user._id;
+    applicant.approvalDecidedAt = new Date();
+    applicant.rejectionReason = reason || null;
+    await applicant.save();
+
+    await notifyApplicant(applicant, false, reason);
+
+    res.json({ message: 'User rejected', _id: applicant._id, approvalStatus: applicant.approvalStatus });
+  } catch (error) {
+    console.error('Reject user error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getPendingUsers,
+  approveUser,
+  rejectUser
+};
@@ -1,8 +1,10 @@
 const Assignment = require('../models/Assignment');
 const Subject = require('../models/Subject');
 const Submission = require('../models/Submission');
-const User = require('../models/User');
-const fs = require('fs');
+const { can } = require('../services/policy');
+const { moveToRecycleBin } = require('../services/recycleBin');
+const { resolveOffering } = require('../services/offerings');
+const { enrolledWorkFilter, isEnrolledFor } = require('../services/enrollments');
 const path = require('path');
 
 // @desc    Create assignment
@@ -18,8 +20,14 @@ const createAssignment = async (req, res) => {
       return res.status(404).json({ message: 'Subject not found' });
     }
 
-    // Check if teacher is authorized for this subject
-    if (subject.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    const { offering, error: offeringError } = await resolveOffering(subject, req.body.offeringId, req.user);
+    if (offeringError) {
+      return res.status(400).json({ message: offeringError });
+    }
+
+    // Check if teacher is authorized for this subject or this term's offering of it
+    if (!(await can(req.user, 'create:assignment', subject)) &&
+        !(offering && await can(req.user, 'create:assignment', offering))) {
       return res.status(403).json({ message: 'Not authorized to create assignments for this subject' });
     }
 
@@ -27,6 +35,7 @@ const createAssignment = async (req, res) => {
       title,
       description,
       subject: subjectId,
+      offering: offering?._id || null,
       teacher: req.user._id,
       maxMarks,
       deadline
@@ -71,16 +80,9 @@ const getAssignmentsBySubject = async (req, res) => {
 // @access  Private/Student
 const getStudentAssignments = async (req, res) => {
   try {
-    // Get subjects based on student's department and semester
-    const subjects = await Subject.find({ 
-      department: req.user.department,
-      semester: req.user.semester 
-    });
-
-    const subjectIds = subjects.map(s => s._id);
-
+    // Assignments of the subjects the student is enrolled in
     const assignments = await Assignment.find({ 
-      subject: { $in: subjectIds },
+      ...(await enrolledWorkFilter(req.user._id)),
       isActive: true 
     })
     .populate('subject', 'name code')
@@ -154,6 +156,10 @@ const submitAssignment = async (req, res) => {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
+    if (!(await isEnrolledFor(req.user._id, assignment))) {
+      return res.status(403).json({ message: 'You are not enrolled in this subject' });
+    }
+
     // Check if deadline has passed
     const isLate = new Date() > new Date(assignment.deadline);
     
@@ -174,6 +180,7 @@ const submitAssignment = async (req, res) => {
     // Create submission
     const submission = await Submission.create({
       assignment: assignment._id,
+      offering: assignment.offering,
       student: req.user._id,
       fileUrl: req.file.path,
       fileType: req.file.mimetype.split('/')[1],
@@ -209,7 +216,7 @@ const gradeAssignment = async (req, res) => {
     }
 
     // Check authorization
-    if (assignment.teacher.toString() !== req.user._id.toString()) {
+    if (!(await can(req.user, 'grade:submission', { assignment }))) {
       return res.status(403).json({ message: 'Not authorized to grade this assignment' });
     }
 
@@ -256,7 +263,7 @@ const updateAssignment = async (req, res) => {
     }
 
     // Check authorization
-    if (assignment.teacher.toString() !== req.user._id.toString()) {
+    if (!(await can(req.user, 'manage:assignment', assignment))) {
       return res.status(403).json({ message: 'Not authorized to update this assignment' });
     }
 
@@ -287,29 +294,13 @@ const deleteAssignment = async (req, res) => {
     }
 
     // Check authorization
-    if (assignment.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'manage:assignment', assignment))) {
       return res.status(403).json({ message: 'Not authorized to delete this assignment' });
     }
 
-    // Delete all submissions for this assignment
-    const submissions = await Submission.find({ assignment: assignment._id });
-    
-    // Delete submission files
-    submissions.forEach(submission => {
-      if (fs.existsSync(submission.fileUrl)) {
-        fs.unlinkSync(submission.fileUrl);
-      }
-    });
-
-    // Delete submissions from database
-    await Submission.deleteMany({ assignment: assignment._id });
-
-    // Delete assignment file if exists
-    if (assignment.fileUrl && fs.existsSync(assignment.fileUrl)) {
-      fs.unlinkSync(assignment.fileUrl);
-    }
-
-    await assignment.deleteOne();
+    // Submissions and files are kept with it until it is purged from the
+    // recycle bin
+    await moveToRecycleBin('assignment', assignment, req.user._id);
     res.json({ message: 'Assignment deleted successfully' });
   } catch (error) {
     console.error(error);
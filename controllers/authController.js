@@ -1,15 +1,143 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const Invitation = require('../models/Invitation');
+const Department = require('../models/Department');
+const OidcState = require('../models/OidcState');
 const { validationResult } = require('express-validator');
+const { sendMail } = require('../services/mail');
+const { roleExists } = require('../services/policy');
+const { enrollInSemesterSubjects } = require('../services/enrollments');
+const {
+  getPasswordErrors,
+  checkNewPassword,
+  isPasswordExpired,
+  getPolicySummary
+} = require('../services/passwordPolicy');
+const {
+  isEnabled: isOidcEnabled,
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  completeAuthorization
+} = require('../services/oidc');
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  hashToken
+} = require('../utils/tokens');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'your-secret-key', {
-    expiresIn: '30d'
+// @desc    Start a new session for the user and return its token pair (internal use)
+const issueSession = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user, {
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// @desc    Body returned once a user is fully logged in (internal use)
+const buildAuthResponse = (user, tokens) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  department: user.department,
+  semester: user.semester,
+  enrollmentNumber: user.enrollmentNumber,
+  profileImage: user.profileImage,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactor?.enabled || false,
+  ...tokens
+});
+
+// The second step a user still owes after their first factor: a code
+// from their authenticator, or setting one up when their role requires it.
+// Null when a session can be issued straight away.
+const pendingSecondStep = async (user) => {
+  if (user.twoFactor?.enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(user._id, '2fa-login')
+    };
+  }
+
+  const requiredRoles = await Setting.get('auth.twoFactorRequiredRoles');
+  if (requiredRoles.includes(user.role)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: generateChallengeToken(user._id, '2fa-setup')
+    };
+  }
+
+  return null;
+};
+
+// Email a fresh verification link for the user's current address
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+
+  await sendMail('emailVerification', user.email, {
+    name: user.name,
+    token,
+    expiresInHours: User.EMAIL_TOKEN_TTL_HOURS
   });
 };
 
-// @desc    Register user
+// @desc    Start an email change, applied once the new address confirms it (internal use)
+// Returns an error message, or null once the confirmation has been sent
+const startEmailChange = async (user, newEmail) => {
+  const email = String(newEmail).trim().toLowerCase();
+
+  if (!User.EMAIL_PATTERN.test(email)) {
+    return 'Please enter a valid email';
+  }
+
+  // Deleted accounts keep their address until they are purged
+  if (await User.exists({ email, _id: { $ne: user._id } }).setOptions({ withDeleted: true })) {
+    return 'Email is already in use';
+  }
+
+  const token = user.requestEmailChange(email);
+  await user.save();
+
+  await sendMail('emailChangeConfirm', email, {
+    name: user.name,
+    newEmail: email,
+    token,
+    expiresInHours: User.EMAIL_TOKEN_TTL_HOURS
+  });
+  await sendMail('emailChangeNotice', user.email, { name: user.name, newEmail: email });
+
+  return null;
+};
+
+// @desc    Lockout response, the code lets the frontend explain it (internal use)
+const sendLockedResponse = (res, user) => {
+  return res.status(423).json({
+    message: 'Account temporarily locked after too many failed login attempts',
+    code: 'ACCOUNT_LOCKED',
+    lockedUntil: user.lockUntil
+  });
+};
+
+// @desc    Rejection of a password that breaks the password policy (internal use)
+const sendWeakPasswordResponse = (res, errors) => {
+  return res.status(400).json({
+    message: 'Password does not meet the password policy',
+    code: 'WEAK_PASSWORD',
+    errors
+  });
+};
+
+// @desc    Register a student account, pending approval
 // @route   POST /api/auth/register
 // @access  Public
 const register = async (req, res) => {
@@ -20,53 +148,184 @@ const register = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, role, department, semester, registrationNumber, phone, address } = req.body;
+    const { name, email, password, department, semester, phone, address } = req.body;
 
     // Check if user exists
-    const userExists = await User.findOne({ email });
+    const userExists = await User.findOne({ email }).setOptions({ withDeleted: true });
     if (userExists) {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Create user
+    const passwordErrors = await getPasswordErrors(password, { email, name });
+    if (passwordErrors.length > 0) {
+      return sendWeakPasswordResponse(res, passwordErrors);
+    }
+
+    // Self-registration only ever creates students, staff accounts
+    // come from admin invitations
     const user = await User.create({
       name,
       email,
       password,
-      role: role || 'student',
+      role: 'student',
       department,
       semester,
-      registrationNumber,
       phone,
-      address
+      address,
+      approvalStatus: 'pending',
+      emailVerified: false
     });
 
-    if (user) {
-      res.status(201).json({
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        department: user.department,
-        semester: user.semester,
-        token: generateToken(user._id)
-      });
-    } else {
-      res.status(400).json({ message: 'Invalid user data' });
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      // The user can ask for another link
+      console.error('Send verification email error:', error);
     }
+
+    res.status(201).json({
+      message: 'Registration received. Please confirm your email address. You can log in once your account has been approved.',
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      department: user.department,
+      semester: user.semester,
+      approvalStatus: user.approvalStatus,
+      emailVerified: user.emailVerified
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+// @desc    Preview an invitation before accepting it
+// @route   GET /api/auth/invitations/:token
+// @access  Public
+const getInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token)
+      .populate('department', 'name code');
+
+    if (!invitation || !invitation.isUsable()) {
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    res.json({
+      email: invitation.email,
+      name: invitation.name,
+      role: invitation.role,
+      department: invitation.department,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create an account from an invitation
+// @route   POST /api/auth/register/invitation
+// @access  Public
+const acceptInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, name, password, phone, address } = req.body;
+
+    const invitation = await Invitation.findByToken(token);
+    if (!invitation || !invitation.isUsable()) {
+      return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    // Invitations for imported accounts complete the existing account
+    const existingUser = await User.findOne({ email: invitation.email }).setOptions({ withDeleted: true });
+    if (existingUser && (existingUser.deletedAt ||
+        !(invitation.user && existingUser._id.equals(invitation.user) && existingUser.accountSetupPending))) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    const passwordErrors = await getPasswordErrors(password, {
+      email: invitation.email,
+      name: name || invitation.name
+    });
+    if (passwordErrors.length > 0) {
+      return sendWeakPasswordResponse(res, passwordErrors);
+    }
+
+    let user;
+    if (existingUser) {
+      user = existingUser;
+      user.name = name || user.name;
+      user.password = password;
+      user.phone = phone || user.phone;
+      user.address = address || user.address;
+      user.emailVerified = true;
+      await user.save();
+    } else {
+      user = await User.create({
+        name: name || invitation.name,
+        email: invitation.email,
+        password,
+        role: invitation.role,
+        department: invitation.department,
+        semester: invitation.semester,
+        phone,
+        address,
+        approvalStatus: 'approved',
+        approvalDecidedBy: invitation.invitedBy,
+        approvalDecidedAt: new Date()
+      });
+
+      // Imported students were enrolled with their account
+      if (user.role === 'student') {
+        await enrollInSemesterSubjects(user, { enrolledBy: invitation.invitedBy, reason: 'Enrolled on joining' });
+      }
+    }
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUser = user._id;
+    await invitation.save();
+
+    await user.populate('department', 'name code');
+    const tokens = await issueSession(user, req);
+
+    res.status(201).json(buildAuthResponse(user, tokens));
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Deactivated, pending and rejected accounts cannot log in by any method
+const sendUnavailableResponse = (res, user) => {
+  if (!user.isActive) {
+    return res.status(403).json({ message: 'Account is deactivated. Please contact administrator.' });
+  }
+
+  if (user.approvalStatus === 'pending') {
+    return res.status(403).json({
+      message: 'Your account is waiting for approval',
+      code: 'ACCOUNT_PENDING_APPROVAL'
+    });
+  }
+
+  return res.status(403).json({
+    message: 'Your registration was not approved. Please contact administration.',
+    code: 'ACCOUNT_REJECTED'
+  });
+};
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
 const login = async (req, res) => {  // ← FIXED: Added req, res parameters
   try {
     const { email, password } = req.body;
-    console.log('Login attempt for:', email);
 
     // Check for validation errors
     const errors = validationResult(req);
@@ -75,43 +334,224 @@ const login = async (req, res) => {  // ← FIXED: Added req, res parameters
     }
 
     // Find user
-    const user = await User.findOne({ email }).populate('department', 'name code');
-    
+    const user = await User.findOne({ email: email.toLowerCase() }).populate('department', 'name code');
+
     if (!user) {
-      console.log('User not found:', email);
-      return res.status(401).json({ message: 'Invalid email or password' });
+      return res.status(401).json({ message: 'Invalid email or password', code: 'INVALID_CREDENTIALS' });
+    }
+
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user);
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      console.log('Password incorrect for:', email);
-      return res.status(401).json({ message: 'Invalid email or password' });
+      await user.registerFailedLogin({ ip: req.ip, userAgent: req.get('user-agent'), reason: 'password' });
+      if (user.isLocked()) {
+        return sendLockedResponse(res, user);
+      }
+      return res.status(401).json({ message: 'Invalid email or password', code: 'INVALID_CREDENTIALS' });
+    }
+
+    // Check if user is active and approved
+    if (!user.isActive || user.approvalStatus !== 'approved') {
+      return sendUnavailableResponse(res, user);
+    }
+
+    // An expired password has to be replaced before anything else
+    if (await isPasswordExpired(user)) {
+      return res.json({
+        passwordChangeRequired: true,
+        challengeToken: generateChallengeToken(user._id, 'password-expired')
+      });
+    }
+
+    // Second step: the password alone is not enough
+    const secondStep = await pendingSecondStep(user);
+    if (secondStep) {
+      return res.json(secondStep);
+    }
+
+    // Only once no step is left, wrong codes keep counting towards a lockout
+    await user.resetLoginFailures();
+    const tokens = await issueSession(user, req);
+
+    res.json(buildAuthResponse(user, tokens));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Role and department named by the user's identity provider groups,
+// using the first configured group that matches
+const mapOidcGroups = async (groups) => {
+  const [groupRoles, groupDepartments] = await Promise.all([
+    Setting.get('oidc.groupRoles'),
+    Setting.get('oidc.groupDepartments')
+  ]);
+
+  const roleGroup = Object.keys(groupRoles).find(group => groups.includes(group));
+  const departmentGroup = Object.keys(groupDepartments).find(group => groups.includes(group));
+
+  let role = roleGroup ? groupRoles[roleGroup] : null;
+  if (role && !(await roleExists(role))) {
+    console.error(`SSO group ${roleGroup} maps to unknown role ${role}`);
+    role = null;
+  }
+
+  const department = departmentGroup
+    ? await Department.findOne({ code: groupDepartments[departmentGroup].toUpperCase() }).select('_id')
+    : null;
+
+  return { role, department: department ? department._id : null };
+};
+
+// @desc    Start single sign-on, returns the identity provider URL to open
+// @route   GET /api/auth/oidc/authorize
+// @access  Public
+const oidcAuthorize = async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({ message: 'Single sign-on is not configured' });
+    }
+
+    // Only same-site paths, so the flow cannot be used as an open redirect
+    const { redirectTo } = req.query;
+    const safeRedirect = typeof redirectTo === 'string' && /^\/(?![/\\])/.test(redirectTo)
+      ? redirectTo
+      : null;
+
+    const request = createAuthorizationRequest();
+    await OidcState.create({
+      state: request.state,
+      nonce: request.nonce,
+      codeVerifier: request.codeVerifier,
+      redirectTo: safeRedirect
+    });
+
+    res.json({ url: await buildAuthorizationUrl(request) });
+  } catch (error) {
+    console.error('SSO authorize error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Finish single sign-on with the code the identity provider returned
+// @route   POST /api/auth/oidc/callback
+// @access  Public
+const oidcCallback = async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({ message: 'Single sign-on is not configured' });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(403).json({ message: 'Account is deactivated. Please contact administrator.' });
+    const { code, state } = req.body;
+    if (!code || !state) {
+      return res.status(400).json({ message: 'Code and state are required' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    const pending = await OidcState.consume(state);
+    if (!pending) {
+      return res.status(400).json({
+        message: 'Sign-on attempt expired or invalid, please try again',
+        code: 'SSO_STATE_INVALID'
+      });
+    }
 
-    console.log('Login successful for:', email);
+    let profile;
+    try {
+      profile = await completeAuthorization({
+        code,
+        codeVerifier: pending.codeVerifier,
+        nonce: pending.nonce
+      });
+    } catch (error) {
+      console.error('SSO callback error:', error);
+      return res.status(401).json({ message: 'Single sign-on failed', code: 'SSO_FAILED' });
+    }
+
+    const mapped = await mapOidcGroups(profile.groups);
+
+    // Known identity first, then link an existing account by verified email
+    let user = await User.findOne({ oidcSubject: profile.subject });
+    if (!user && profile.email && profile.emailVerified) {
+      user = await User.findOne({ email: profile.email, isServiceAccount: { $ne: true } });
+
+      if (user && user.oidcSubject) {
+        return res.status(409).json({
+          message: 'This account is linked to a different single sign-on identity',
+          code: 'SSO_ACCOUNT_CONFLICT'
+        });
+      }
+    }
+
+    if (user) {
+      if (!user.isActive || user.approvalStatus !== 'approved') {
+        return sendUnavailableResponse(res, user);
+      }
+
+      user.oidcSubject = profile.subject;
+      user.emailVerified = true;
+      if (profile.name) user.name = profile.name;
+      // Roles follow the groups only when asked to, so a mapping mistake
+      // cannot quietly promote or demote existing accounts
+      if (mapped.role && await Setting.get('oidc.syncRoles')) user.role = mapped.role;
+      if (mapped.department) user.department = mapped.department;
+    } else {
+      const allowJit = await Setting.get('oidc.allowJitProvisioning');
+      if (!allowJit || !profile.email || !profile.emailVerified) {
+        return res.status(403).json({
+          message: 'No account matches this sign-on. Please contact administration.',
+          code: 'SSO_ACCOUNT_NOT_FOUND'
+        });
+      }
+
+      const role = mapped.role || await Setting.get('oidc.defaultRole');
+      if (!(await roleExists(role))) {
+        console.error(`SSO default role ${role} does not exist`);
+        return res.status(403).json({
+          message: 'Single sign-on cannot create accounts right now. Please contact administration.',
+          code: 'SSO_MISCONFIGURED'
+        });
+      }
+
+      // Just-in-time account, vouched for by the identity provider
+      user = new User({
+        name: profile.name || profile.email,
+        email: profile.email,
+        oidcSubject: profile.subject,
+        role,
+        department: mapped.department,
+        approvalStatus: 'approved',
+        approvalDecidedAt: new Date()
+      });
+    }
+
+    await user.save();
+    await user.populate('department', 'name code');
+
+    // The provider's own second factor counts only when it reports one of
+    // the methods trusted here, otherwise SSO logins take the same second
+    // step as password logins
+    const trustedMethods = await Setting.get('oidc.trustedMfaMethods');
+    const providerMfa = [...profile.amr, profile.acr].some(method => method && trustedMethods.includes(method));
+    if (!providerMfa) {
+      const secondStep = await pendingSecondStep(user);
+      if (secondStep) {
+        return res.json({ ...secondStep, redirectTo: pending.redirectTo });
+      }
+    }
+
+    const tokens = await issueSession(user, req);
 
     res.json({
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      department: user.department,
-      semester: user.semester,
-      enrollmentNumber: user.enrollmentNumber,
-      profileImage: user.profileImage,
-      token
+      ...buildAuthResponse(user, tokens),
+      redirectTo: pending.redirectTo
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('SSO callback error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
@@ -140,6 +580,26 @@ const updateProfile = async (req, res) => {
     const user = await User.findById(req.user._id);
 
     if (user) {
+      // A new email only applies once confirmed from that address
+      if (req.body.email && req.body.email.toLowerCase() !== user.email) {
+        const emailError = await startEmailChange(user, req.body.email);
+        if (emailError) {
+          return res.status(400).json({ message: emailError });
+        }
+      }
+
+      if (req.body.password) {
+        // Same proof as /change-password, a stolen session alone is not enough
+        if (!(await user.comparePassword(req.body.currentPassword))) {
+          return res.status(400).json({ message: 'Current password is incorrect' });
+        }
+
+        const passwordErrors = await checkNewPassword(user, req.body.password);
+        if (passwordErrors.length > 0) {
+          return sendWeakPasswordResponse(res, passwordErrors);
+        }
+      }
+
       user.name = req.body.name || user.name;
       user.phone = req.body.phone || user.phone;
       user.address = req.body.address || user.address;
@@ -154,6 +614,11 @@ const updateProfile = async (req, res) => {
 
       const updatedUser = await user.save();
 
+      // A password change revokes every session, including this one
+      const tokens = req.body.password
+        ? await issueSession(updatedUser, req)
+        : { token: generateAccessToken(updatedUser._id, req.authSession._id) };
+
       res.json({
         _id: updatedUser._id,
         name: updatedUser.name,
@@ -164,7 +629,9 @@ const updateProfile = async (req, res) => {
         phone: updatedUser.phone,
         address: updatedUser.address,
         profileImage: updatedUser.profileImage,
-        token: generateToken(updatedUser._id)
+        emailVerified: updatedUser.emailVerified,
+        pendingEmail: updatedUser.pendingEmail,
+        ...tokens
       });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -193,11 +660,18 @@ const changePassword = async (req, res) => {
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
 
-    // Update password
+    const passwordErrors = await checkNewPassword(user, newPassword);
+    if (passwordErrors.length > 0) {
+      return sendWeakPasswordResponse(res, passwordErrors);
+    }
+
+    // Update password, this revokes every existing session
     user.password = newPassword;
     await user.save();
 
-    res.json({ message: 'Password changed successfully' });
+    const tokens = await issueSession(user, req);
+
+    res.json({ message: 'Password changed successfully', ...tokens });
   } catch (error) {
     console.error('Change password error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -252,13 +726,17 @@ const deleteAccount = async (req, res) => {
       ? await Assignment.exists({ teacher: user._id })
       : false;
 
+    // Academic records have to be kept, such accounts are anonymised
+    // through a reviewed deletion request instead
     if (hasSubmissions || hasAssignments) {
       return res.status(400).json({ 
-        message: 'Cannot delete account with existing academic records. Please contact administration.' 
+        message: 'Accounts with academic records cannot be deleted directly. Please submit a deletion request instead.',
+        code: 'DELETION_REQUEST_REQUIRED'
       });
     }
 
     await user.deleteOne();
+    await Session.revokeAllForUser(user._id, 'account_deleted');
     res.json({ message: 'Account deleted successfully' });
   } catch (error) {
     console.error('Delete account error:', error);
@@ -266,12 +744,297 @@ const deleteAccount = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      // A rotated-out token being replayed means it leaked, kill the session
+      const reused = await Session.findOne({ previousTokenHash: tokenHash });
+      if (reused) {
+        await reused.revoke('refresh_token_reuse');
+      }
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    if (!session.isValid()) {
+      return res.status(401).json({ message: 'Session expired, please log in again' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive || user.approvalStatus !== 'approved') {
+      await session.revoke('account_deactivated');
+      return res.status(401).json({ message: 'Account is not available' });
+    }
+
+    const newRefreshToken = await session.rotate();
+
+    res.json({
+      token: generateAccessToken(user._id, session._id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Logout, revoking the session behind the refresh token
+// @route   POST /api/auth/logout
+// @access  Public
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+    if (session) {
+      await session.revoke('logout');
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Forgot password - email a reset code
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Same response whether or not the account exists
+    const response = { message: 'If an account exists for this email, a reset code has been sent' };
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (!user || !user.isActive || user.isServiceAccount) {
+      return res.json(response);
+    }
+
+    const code = user.createResetCode();
+    await user.save();
+
+    // A failure here would only ever show for real accounts
+    try {
+      await sendMail('passwordReset', user.email, {
+        name: user.name,
+        code,
+        expiresInMinutes: User.RESET_CODE_TTL_MINUTES
+      });
+    } catch (error) {
+      console.error('Send password reset email error:', error);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Confirm an email address, or a pending email change
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    const match = token ? await User.findByEmailToken(token) : null;
+
+    if (!match) {
+      return res.status(400).json({
+        message: 'Invalid or expired verification link',
+        code: 'EMAIL_TOKEN_INVALID'
+      });
+    }
+
+    const { user, purpose } = match;
+
+    if (purpose === 'verify') {
+      user.emailVerified = true;
+      user.emailVerificationToken = null;
+      user.emailVerificationExpiry = null;
+      await user.save();
+
+      return res.json({ message: 'Email address confirmed', email: user.email });
+    }
+
+    // The address may have been taken since the change was requested
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } }).setOptions({ withDeleted: true })) {
+      user.clearPendingEmail();
+      await user.save();
+      return res.status(409).json({ message: 'Email is already in use' });
+    }
+
+    user.email = user.pendingEmail;
+    user.emailVerified = true;
+    user.clearPendingEmail();
+    await user.save();
+
+    res.json({ message: 'Email address changed', email: user.email });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Send a new verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Public
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Same response whether or not the account exists
+    const response = { message: 'If this email needs confirming, a new link has been sent' };
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (!user || !user.isActive || user.emailVerified) {
+      return res.json(response);
+    }
+
+    await sendVerificationEmail(user);
+    res.json(response);
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Reset password with code
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, code, newPassword } = req.body;
+
+    // Rules that do not need the account first, so a weak password does not
+    // use up the code
+    const passwordErrors = await getPasswordErrors(newPassword, { email });
+    if (passwordErrors.length > 0) {
+      return sendWeakPasswordResponse(res, passwordErrors);
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+resetCode');
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset code' });
+    }
+
+    const isValid = user.verifyResetCode(code);
+    if (!isValid) {
+      await user.save();
+      return res.status(400).json({ message: 'Invalid or expired reset code' });
+    }
+
+    const reuseErrors = await checkNewPassword(user, newPassword);
+    if (reuseErrors.length > 0) {
+      return sendWeakPasswordResponse(res, reuseErrors);
+    }
+
+    // Saving the new password also revokes every session
+    user.password = newPassword;
+    await user.save();
+
+    res.json({ message: 'Password reset successful' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Replace an expired password, then log in again with it
+// @route   POST /api/auth/password/expired
+// @access  Public
+const replaceExpiredPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, newPassword } = req.body;
+
+    const userId = verifyChallengeToken(challengeToken, 'password-expired');
+    const user = userId ? await User.findById(userId) : null;
+    if (!user || !user.isActive || user.approvalStatus !== 'approved') {
+      return res.status(401).json({ message: 'Invalid or expired challenge, please log in again' });
+    }
+
+    const passwordErrors = await checkNewPassword(user, newPassword);
+    if (passwordErrors.length > 0) {
+      return sendWeakPasswordResponse(res, passwordErrors);
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    res.json({ message: 'Password changed, please log in with your new password' });
+  } catch (error) {
+    console.error('Replace expired password error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the password rules
+// @route   GET /api/auth/password-policy
+// @access  Public
+const getPasswordPolicy = async (req, res) => {
+  try {
+    res.json(await getPolicySummary());
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 module.exports = {
+  issueSession,
+  buildAuthResponse,
+  sendLockedResponse,
+  sendWeakPasswordResponse,
+  startEmailChange,
   register,
+  getInvitation,
+  acceptInvitation,
   login,
+  oidcAuthorize,
+  oidcCallback,
+  refreshSession,
+  logout,
   getProfile,
   updateProfile,
   changePassword,
   deleteAccount,
-  uploadProfileImage
+  uploadProfileImage,
+  forgotPassword,
+  resetPassword,
+  replaceExpiredPassword,
+  getPasswordPolicy,
+  verifyEmail,
+  resendVerificationEmail
 };
\ No newline at end of file
@@ -1,8 +1,10 @@
 const User = require('../models/User');
 const Department = require('../models/Department');
+const Faculty = require('../models/Faculty');
 const Subject = require('../models/Subject');
 const Assignment = require('../models/Assignment');
 const Submission = require('../models/Submission');
+const { studyingFilter, NOT_STUDYING_STATUSES } = require('../config/studentStatuses');
 
 // @desc    Get admin dashboard statistics
 // @route   GET /api/dashboard/admin
@@ -11,8 +13,8 @@ const getAdminDashboardStats = async (req, res) => {
   try {
     console.log('Dashboard stats requested by admin:', req.user._id);
     
-    // Get counts
-    const totalStudents = await User.countDocuments({ role: 'student', isActive: true });
+    // Get counts, students on leave, suspended or gone are not counted
+    const totalStudents = await User.countDocuments({ role: 'student', isActive: true, ...studyingFilter() });
     const totalTeachers = await User.countDocuments({ role: 'teacher', isActive: true });
     const totalDepartments = await Department.countDocuments({ isActive: true });
     const totalSubjects = await Subject.countDocuments({ isActive: true });
@@ -23,14 +25,31 @@ const getAdminDashboardStats = async (req, res) => {
       .sort('-createdAt')
       .limit(5);
     
+    // Students by status, those saved before statuses existed are enrolled
+    const statusCounts = await User.aggregate([
+      { $match: { role: 'student' } },
+      { $group: { _id: { $ifNull: ['$studentStatus', 'enrolled'] }, count: { $sum: 1 } } }
+    ]);
+    const studentsByStatus = Object.fromEntries(statusCounts.map(status => [status._id, status.count]));
+
     // Get department-wise distribution
     const departmentStats = await Department.aggregate([
       { $match: { isActive: true } },
       {
         $lookup: {
           from: 'users',
-          localField: '_id',
-          foreignField: 'department',
+          let: { departmentId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$department', '$$departmentId'] },
+                role: 'student',
+                studentStatus: { $nin: NOT_STUDYING_STATUSES },
+                deletedAt: null
+              }
+            },
+            { $project: { _id: 1 } }
+          ],
           as: 'students'
         }
       },
@@ -38,11 +57,25 @@ const getAdminDashboardStats = async (req, res) => {
         $project: {
           name: 1,
           code: 1,
+          faculty: 1,
           studentCount: { $size: '$students' }
         }
       }
     ]);
 
+    // Roll the departments up into their faculties
+    const faculties = await Faculty.find({ isActive: true }).select('name code').sort('name').lean();
+    const facultyStats = faculties.map(faculty => {
+      const facultyDepartments = departmentStats.filter(dept => faculty._id.equals(dept.faculty));
+      return {
+        _id: faculty._id,
+        name: faculty.name,
+        code: faculty.code,
+        departmentCount: facultyDepartments.length,
+        studentCount: facultyDepartments.reduce((sum, dept) => sum + dept.studentCount, 0)
+      };
+    });
+
     // Get monthly user registrations
     const sixMonthsAgo = new Date();
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
@@ -86,8 +119,10 @@ const getAdminDashboardStats = async (req, res) => {
           pendingSubmissions,
           gradedSubmissions
         },
+        studentsByStatus,
         recentUsers,
         departmentStats,
+        facultyStats,
         registrations: formattedRegistrations
       }
     });
@@ -1,6 +1,11 @@
+const mongoose = require('mongoose');
 const Department = require('../models/Department');
+const Faculty = require('../models/Faculty');
 const User = require('../models/User');
 const Subject = require('../models/Subject');
+const { can } = require('../services/policy');
+
+const facultyExists = (faculty) => mongoose.isValidObjectId(faculty) && Faculty.exists({ _id: faculty });
 
 // @desc    Create department
 // @route   POST /api/departments
@@ -10,6 +15,7 @@ const createDepartment = async (req, res) => {
     console.log('Received department data:', req.body); // Debug log
     
     const { name, code, faculty, duration, description, headOfDepartment } = req.body;
+    const totalSemesters = parseInt(req.body.totalSemesters) || 8;
 
     // Validation
     if (!name || !code || !faculty) {
@@ -28,6 +34,10 @@ const createDepartment = async (req, res) => {
       return res.status(400).json({ message: 'Department with this name or code already exists' });
     }
 
+    if (!(await facultyExists(faculty))) {
+      return res.status(400).json({ message: 'Faculty not found' });
+    }
+
     // Prepare department data
     const departmentData = {
       name,
@@ -35,7 +45,8 @@ const createDepartment = async (req, res) => {
       faculty,
       duration: duration || 4,
       description: description || '',
-      semesters: Array.from({ length: 8 }, (_, i) => ({
+      totalSemesters,
+      semesters: Array.from({ length: totalSemesters }, (_, i) => ({
         number: i + 1,
         subjects: []
       }))
@@ -96,7 +107,11 @@ const getDepartments = async (req, res) => {
   try {
     console.log('Fetching departments...');
     
-    const departments = await Department.find({ isActive: true })
+    const query = { isActive: true };
+    if (mongoose.isValidObjectId(req.query.faculty)) query.faculty = req.query.faculty;
+
+    const departments = await Department.find(query)
+      .populate('faculty', 'name code')
       .populate('headOfDepartment', 'name email')
       .populate('semesters.subjects', 'name code credits');
 
@@ -151,6 +166,7 @@ const getPublicDepartments = async (req, res) => {
 const getDepartmentById = async (req, res) => {
   try {
     const department = await Department.findById(req.params.id)
+      .populate('faculty', 'name code dean')
       .populate('headOfDepartment', 'name email')
       .populate('semesters.subjects', 'name code credits teacher');
 
@@ -185,15 +201,51 @@ const getDepartmentById = async (req, res) => {
 
 // @desc    Update department
 // @route   PUT /api/departments/:id
-// @access  Private/Admin
+// @access  Private/Admin or Head of Department
 const updateDepartment = async (req, res) => {
   try {
     const department = await Department.findById(req.params.id);
 
+    if (department && !(await can(req.user, 'update:department', department))) {
+      return res.status(403).json({ message: 'Not authorized to update this department' });
+    }
+
+    // Heads of department may only edit the description and duration
+    if (department && !(await can(req.user, 'manage:department'))) {
+      department.duration = req.body.duration || department.duration;
+      department.description = req.body.description || department.description;
+
+      const updatedDepartment = await department.save();
+      return res.json(updatedDepartment);
+    }
+
+    if (req.body.faculty && !(await facultyExists(req.body.faculty))) {
+      return res.status(400).json({ message: 'Faculty not found' });
+    }
+
+    // Shortening the department would drop semesters still in use
+    const totalSemesters = parseInt(req.body.totalSemesters);
+    if (department && totalSemesters && totalSemesters < department.totalSemesters) {
+      const beyond = { department: department._id, semester: { $gt: totalSemesters } };
+      if (await Subject.exists(beyond) || await User.exists({ ...beyond, role: 'student', program: null })) {
+        return res.status(400).json({
+          message: `Subjects or students are still in semesters after ${totalSemesters}`
+        });
+      }
+    }
+
     if (department) {
       department.name = req.body.name || department.name;
       department.code = req.body.code || department.code;
       department.faculty = req.body.faculty || department.faculty;
+      department.totalSemesters = totalSemesters || department.totalSemesters;
+
+      // One entry per semester, subjects are filed into them by position
+      while (department.semesters.length < department.totalSemesters) {
+        department.semesters.push({ number: department.semesters.length + 1, subjects: [] });
+      }
+      department.semesters.splice(department.totalSemesters);
+
       department.duration = req.body.duration || department.duration;
       department.description = req.body.description || department.description;
       
@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const Enrollment = require('../models/Enrollment');
+const Subject = require('../models/Subject');
+const SubjectOffering = require('../models/SubjectOffering');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { can, getDepartmentScope } = require('../services/policy');
+const { studyingFilter } = require('../config/studentStatuses');
+const { enrollStudents, dropStudents, changeEnrollmentStatus } = require('../services/enrollments');
+
+const MAX_BULK_STUDENTS = 1000;
+
+// The subject, or offering and its subject, a bulk request is about.
+// Returns { subject, offering } or { error }.
+const resolveTarget = async ({ subject: subjectId, offering: offeringId }) => {
+  if (offeringId) {
+    const offering = mongoose.isValidObjectId(offeringId) &&
+      await SubjectOffering.findById(offeringId).populate('subject', 'name code department');
+    if (!offering || !offering.subject) {
+      return { error: 'Offering not found' };
+    }
+    return { subject: offering.subject, offering };
+  }
+
+  const subject = mongoose.isValidObjectId(subjectId) && await Subject.findById(subjectId).select('name code department');
+  if (!subject) {
+    return { error: 'Subject or offering is required' };
+  }
+  return { subject, offering: null };
+};
+
+// Student ids a bulk request names, either listed or as a cohort of a
+// department's semester (optionally one program's). Returns { studentIds }
+// or { error }.
+const resolveStudents = async ({ students, cohort }) => {
+  if (Array.isArray(students)) {
+    if (students.length === 0 || !students.every(id => mongoose.isValidObjectId(id))) {
+      return { error: 'Students must be a list of student ids' };
+    }
+    if (students.length > MAX_BULK_STUDENTS) {
+      return { error: `At most ${MAX_BULK_STUDENTS} students at a time` };
+    }
+    return { studentIds: [...new Set(students.map(String))].map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  if (cohort) {
+    const semester = parseInt(cohort.semester);
+    if (!mongoose.isValidObjectId(cohort.department) || !semester) {
+      return { error: 'A cohort needs a department and semester' };
+    }
+
+    const query = { role: 'student', department: cohort.department, semester, isActive: true, ...studyingFilter() };
+    if (cohort.program) {
+      if (!mongoose.isValidObjectId(cohort.program)) {
+        return { error: 'Program not found' };
+      }
+      query.program = cohort.program;
+    }
+
+    const studentIds = await User.find(query).distinct('_id');
+    if (studentIds.length === 0) {
+      return { error: 'No students in this cohort' };
+    }
+    return { studentIds };
+  }
+
+  return { error: 'Students or a cohort is required' };
+};
+
+// @desc    Get enrollments
+// @route   GET /api/enrollments
+// @access  Private/Admin or Head of Department
+const getEnrollments = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+    const query = {};
+    ['student', 'subject', 'offering'].forEach(field => {
+      if (mongoose.isValidObjectId(req.query[field])) query[field] = req.query[field];
+    });
+    if (Enrollment.ENROLLMENT_STATUSES.includes(status)) query.status = status;
+
+    // Heads of department see enrollments in their departments' subjects
+    const departments = await getDepartmentScope(req.user, 'manage:enrollment');
+    if (departments !== null) {
+      const subjectIds = await Subject.find({ department: { $in: departments } }).distinct('_id');
+      query.subject = query.subject
+        ? { $in: subjectIds.filter(id => id.equals(query.subject)) }
+        : { $in: subjectIds };
+    }
+
+    const [enrollments, total] = await Promise.all([
+      Enrollment.find(query)
+        .populate('student', 'name email enrollmentNumber department semester')
+        .populate('subject', 'name code credits')
+        .populate({ path: 'offering', select: 'term teacher', populate: { path: 'term', select: 'name code' } })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .sort('-enrolledAt'),
+      Enrollment.countDocuments(query)
+    ]);
+
+    res.json({
+      enrollments,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    console.error('Get enrollments error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the signed-in student's enrollments, past ones included
+// @route   GET /api/enrollments/mine
+// @access  Private/Student
+const getMyEnrollments = async (req, res) => {
+  try {
+    const enrollments = await Enrollment.find({ student: req.user._id })
+      .populate('subject', 'name code credits')
+      .populate({
+        path: 'offering',
+        select: 'term teacher',
+        populate: [
+          { path: 'term', select: 'name code academicYear' },
+          { path: 'teacher', select: 'name' }
+        ]
+      })
+      .sort('-enrolledAt');
+
+    res.json(enrollments);
+  } catch (error) {
+    console.error('Get my enrollments error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Enroll students in a subject or offering
+// @route   POST /api/enrollments/bulk
+// @access  Private/Admin or Head of Department
+const bulkEnroll = async (req, res) => {
+  try {
+    const target = await resolveTarget(req.body);
+    if (target.error) {
+      return res.status(400).json({ message: target.error });
+    }
+
+    if (!(await can(req.user, 'manage:enrollment', target.subject))) {
+      return res.status(403).json({ message: 'Not authorized to enroll students in this subject' });
+    }
+
+    const { studentIds, error } = await resolveStudents(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await enrollStudents(studentIds, { ...target, enrolledBy: req.user._id });
+
+    await AuditLog.record({
+      action: 'enrollment.enroll',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: {
+        subject: target.subject._id,
+        offering: target.offering?._id || null,
+        enrolled: result.enrolled.length,
+        alreadyEnrolled: result.alreadyEnrolled.length,
+        skipped: result.skipped.length
+      }
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Bulk enroll error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Drop students from a subject or offering
+// @route   POST /api/enrollments/bulk-drop
+// @access  Private/Admin or Head of Department
+const bulkDrop = async (req, res) => {
+  try {
+    const target = await resolveTarget(req.body);
+    if (target.error) {
+      return res.status(400).json({ message: target.error });
+    }
+
+    if (!(await can(req.user, 'manage:enrollment', target.subject))) {
+      return res.status(403).json({ message: 'Not authorized to drop students from this subject' });
+    }
+
+    const { studentIds, error } = await resolveStudents(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await dropStudents(studentIds, {
+      ...target,
+      reason: req.body.reason,
+      droppedBy: req.user._id
+    });
+
+    await AuditLog.record({
+      action: 'enrollment.drop',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: {
+        subject: target.subject._id,
+        offering: target.offering?._id || null,
+        dropped: result.dropped.length,
+        reason: req.body.reason
+      }
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Bulk drop error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Drop, re-enroll, or record the outcome of one enrollment
+// @route   PUT /api/enrollments/:id/status
+// @access  Private/Admin or Head of Department
+const updateEnrollmentStatus = async (req, res) => {
+  try {
+    const enrollment = mongoose.isValidObjectId(req.params.id) &&
+      await Enrollment.findById(req.params.id).populate('subject', 'name code department');
+    if (!enrollment || !enrollment.subject) {
+      return res.status(404).json({ message: 'Enrollment not found' });
+    }
+
+    if (!(await can(req.user, 'manage:enrollment', enrollment.subject))) {
+      return res.status(403).json({ message: 'Not authorized to change this enrollment' });
+    }
+
+    const from = enrollment.status;
+    const { error } = await changeEnrollmentStatus(enrollment, {
+      status: req.body.status,
+      reason: req.body.reason,
+      changedBy: req.user._id
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await AuditLog.record({
+      action: 'enrollment.status',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: { enrollment: enrollment._id, student: enrollment.student, from, to: enrollment.status }
+    });
+
+    res.json(enrollment);
+  } catch (error) {
+    console.error('Update enrollment status error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getEnrollments,
+  getMyEnrollments,
+  bulkEnroll,
+  bulkDrop,
+  updateEnrollmentStatus
+};
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Faculty = require('../models/Faculty');
+const Department = require('../models/Department');
+const User = require('../models/User');
+
+const EDITABLE_FIELDS = ['name', 'code', 'description', 'email', 'phone', 'location', 'establishedYear', 'isActive'];
+
+// Returns an error message when the user cannot be made dean
+const checkDean = async (dean) => {
+  if (!mongoose.isValidObjectId(dean)) {
+    return 'Dean not found';
+  }
+  const user = await User.findById(dean).select('role');
+  if (!user || user.role === 'student') {
+    return 'Dean must be a member of staff';
+  }
+  return null;
+};
+
+// Same shape as createDepartment's handling of schema errors
+const sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const errors = {};
+    Object.keys(error.errors).forEach(key => {
+      errors[key] = error.errors[key].message;
+    });
+    return res.status(400).json({ message: 'Validation error', errors });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'Faculty with this name or code already exists' });
+  }
+  return null;
+};
+
+// @desc    Create faculty
+// @route   POST /api/faculties
+// @access  Private/Admin
+const createFaculty = async (req, res) => {
+  try {
+    const faculty = new Faculty();
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) faculty[field] = req.body[field];
+    });
+
+    if (req.body.dean) {
+      const deanError = await checkDean(req.body.dean);
+      if (deanError) {
+        return res.status(400).json({ message: deanError });
+      }
+      faculty.dean = req.body.dean;
+    }
+
+    await faculty.save();
+    res.status(201).json(faculty);
+  } catch (error) {
+    if (sendSaveError(res, error)) return;
+    console.error('Create faculty error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get all faculties with their department counts
+// @route   GET /api/faculties
+// @access  Private
+const getFaculties = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+    const [faculties, departmentCounts] = await Promise.all([
+      Faculty.find(query).populate('dean', 'name email').sort('name').lean(),
+      Department.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: '$faculty', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countByFaculty = new Map(departmentCounts.map(entry => [String(entry._id), entry.count]));
+
+    res.json(faculties.map(faculty => ({
+      ...faculty,
+      totalDepartments: countByFaculty.get(String(faculty._id)) || 0
+    })));
+  } catch (error) {
+    console.error('Get faculties error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get faculty by ID with its departments
+// @route   GET /api/faculties/:id
+// @access  Private
+const getFacultyById = async (req, res) => {
+  try {
+    const faculty = mongoose.isValidObjectId(req.params.id) &&
+      await Faculty.findById(req.params.id).populate('dean', 'name email').lean();
+
+    if (!faculty) {
+      return res.status(404).json({ message: 'Faculty not found' });
+    }
+
+    faculty.departments = await Department.find({ faculty: faculty._id })
+      .select('name code isActive headOfDepartment')
+      .populate('headOfDepartment', 'name email')
+      .sort('name');
+
+    res.json(faculty);
+  } catch (error) {
+    console.error('Get faculty by ID error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update faculty
+// @route   PUT /api/faculties/:id
+// @access  Private/Admin
+const updateFaculty = async (req, res) => {
+  try {
+    const faculty = mongoose.isValidObjectId(req.params.id) && await Faculty.findById(req.params.id);
+
+    if (!faculty) {
+      return res.status(404).json({ message: 'Faculty not found' });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) faculty[field] = req.body[field];
+    });
+
+    // An empty dean removes the current one
+    if (req.body.dean !== undefined) {
+      if (req.body.dean) {
+        const deanError = await checkDean(req.body.dean);
+        if (deanError) {
+          return res.status(400).json({ message: deanError });
+        }
+      }
+      faculty.dean = req.body.dean || null;
+    }
+
+    await faculty.save();
+    res.json(faculty);
+  } catch (error) {
+    if (sendSaveError(res, error)) return;
+    console.error('Update faculty error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete faculty
+// @route   DELETE /api/faculties/:id
+// @access  Private/Admin
+const deleteFaculty = async (req, res) => {
+  try {
+    const faculty = mongoose.isValidObjectId(req.params.id) && await Faculty.findById(req.params.id);
+
+    if (!faculty) {
+      return res.status(404).json({ message: 'Faculty not found' });
+    }
+
+    if (await Department.exists({ faculty: faculty._id })) {
+      return res.status(400).json({
+        message: 'Cannot delete a faculty that still has departments. Move them or deactivate it instead.'
+      });
+    }
+
+    await faculty.deleteOne();
+    res.json({ message: 'Faculty removed' });
+  } catch (error) {
+    console.error('Delete faculty error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  createFaculty,
+  getFaculties,
+  getFacultyById,
+  updateFaculty,
+  deleteFaculty
+};
@@ -0,0 +1,235 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { generateAccessToken } = require('../utils/tokens');
+const { hasPermission } = require('../services/policy');
+
+const IMPERSONATION_MINUTES = parseInt(process.env.IMPERSONATION_MINUTES) || 30;
+const MAX_IMPERSONATION_MINUTES = parseInt(process.env.MAX_IMPERSONATION_MINUTES) || 60;
+
+const toSummary = (session) => ({
+  _id: session._id,
+  user: session.user,
+  impersonator: session.impersonation.by,
+  reason: session.impersonation.reason,
+  readOnly: session.impersonation.readOnly,
+  startedAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  endedAt: session.revokedAt,
+  active: session.isValid()
+});
+
+// @desc    Start viewing the app as another user
+// @route   POST /api/users/:id/impersonate
+// @access  Private/Admin
+const startImpersonation = async (req, res) => {
+  try {
+    const { reason, allowWrites = false } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'A reason is required to impersonate a user' });
+    }
+
+    if (req.authSession.isImpersonation()) {
+      return res.status(400).json({ message: 'End the current impersonation first' });
+    }
+
+    if (allowWrites && !(await hasPermission(req.user, 'impersonate:write'))) {
+      return res.status(403).json({ message: 'Not authorized to make changes while impersonating' });
+    }
+
+    const user = await User.findById(req.params.id).select('name email role isActive approvalStatus');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot impersonate yourself' });
+    }
+
+    if (!user.isActive || user.approvalStatus !== 'approved') {
+      return res.status(400).json({ message: 'Only active, approved accounts can be impersonated' });
+    }
+
+    // Impersonating someone who can impersonate would hand out their rights
+    if (await hasPermission(user, 'impersonate:user')) {
+      return res.status(403).json({ message: 'This user cannot be impersonated' });
+    }
+
+    const minutes = Math.min(
+      Math.max(parseInt(req.body.minutes) || IMPERSONATION_MINUTES, 1),
+      MAX_IMPERSONATION_MINUTES
+    );
+
+    const session = await Session.startImpersonation(user, req.user, {
+      reason: String(reason).trim(),
+      readOnly: !allowWrites,
+      minutes,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await AuditLog.record({
+      action: 'impersonation.start',
+      actor: req.user._id,
+      onBehalfOf: user._id,
+      session: session._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: { reason: session.impersonation.reason, readOnly: session.impersonation.readOnly, minutes }
+    });
+
+    res.status(201).json({
+      token: generateAccessToken(user._id, session._id, `${minutes}m`),
+      expiresAt: session.expiresAt,
+      readOnly: session.impersonation.readOnly,
+      sessionId: session._id,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    End the impersonation this request is made in
+// @route   DELETE /api/auth/impersonation
+// @access  Private (impersonation session)
+const endImpersonation = async (req, res) => {
+  try {
+    const session = req.authSession;
+
+    if (!session.isImpersonation()) {
+      return res.status(400).json({ message: 'This session is not an impersonation' });
+    }
+
+    await session.revoke('impersonation_ended');
+
+    await AuditLog.record({
+      action: 'impersonation.end',
+      actor: session.impersonation.by,
+      onBehalfOf: session.user,
+      session: session._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get impersonation sessions, newest first
+// @route   GET /api/users/impersonations
+// @access  Private/Admin
+const getImpersonations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, user, impersonator, active } = req.query;
+    const query = { 'impersonation.by': { $ne: null } };
+
+    if (user) query.user = user;
+    if (impersonator) query['impersonation.by'] = impersonator;
+    if (active === 'true') {
+      query.revokedAt = null;
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    const sessions = await Session.find(query)
+      .populate('user', 'name email role')
+      .populate('impersonation.by', 'name email')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .sort('-createdAt');
+
+    const total = await Session.countDocuments(query);
+
+    res.json({
+      impersonations: sessions.map(toSummary),
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    console.error('Get impersonations error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get one impersonation and every request made during it
+// @route   GET /api/users/impersonations/:sessionId
+// @access  Private/Admin
+const getImpersonationLog = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      'impersonation.by': { $ne: null }
+    })
+      .populate('user', 'name email role')
+      .populate('impersonation.by', 'name email');
+
+    if (!session) {
+      return res.status(404).json({ message: 'Impersonation not found' });
+    }
+
+    const entries = await AuditLog.find({ session: session._id })
+      .select('action method path statusCode ip details createdAt')
+      .sort('createdAt');
+
+    res.json({
+      impersonation: toSummary(session),
+      entries
+    });
+  } catch (error) {
+    console.error('Get impersonation log error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    End someone's impersonation early
+// @route   DELETE /api/users/impersonations/:sessionId
+// @access  Private/Admin
+const stopImpersonation = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      'impersonation.by': { $ne: null }
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Impersonation not found' });
+    }
+
+    await session.revoke('impersonation_stopped');
+
+    await AuditLog.record({
+      action: 'impersonation.stop',
+      actor: req.user._id,
+      onBehalfOf: session.user,
+      session: session._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: { impersonator: session.impersonation.by }
+    });
+
+    res.json({ message: 'Impersonation stopped' });
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  startImpersonation,
+  endImpersonation,
+  getImpersonations,
+  getImpersonationLog,
+  stopImpersonation
+};
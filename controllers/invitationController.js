@@ -0,0 +1,129 @@
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const { sendMail } = require('../services/mail');
+const { roleExists } = require('../services/policy');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+
+// @desc    Invite someone to create an account with a given role
+// @route   POST /api/users/invitations
+// @access  Private/Admin
+const createInvitation = async (req, res) => {
+  try {
+    const { email, name, role, department, semester, expiresInDays } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({ message: 'Email and role are required' });
+    }
+
+    if (!(await roleExists(role))) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    // Imported accounts without a password yet can be invited to finish
+    // setup. Deleted accounts keep their address until they are purged.
+    const normalizedEmail = email.toLowerCase().trim();
+    const existingUser = await User.findOne({ email: normalizedEmail })
+      .setOptions({ withDeleted: true })
+      .select('accountSetupPending deletedAt');
+    if (existingUser && (existingUser.deletedAt || !existingUser.accountSetupPending)) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    if (department && !(await Department.exists({ _id: department }))) {
+      return res.status(400).json({ message: 'Department not found' });
+    }
+
+    // A new invitation replaces any open one for the same address
+    await Invitation.updateMany(
+      { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const { invitation, token } = await Invitation.issue({
+      email: normalizedEmail,
+      name: name || '',
+      role,
+      department: department || null,
+      semester: semester || null,
+      user: existingUser?._id || null,
+      invitedBy: req.user._id
+    }, parseInt(expiresInDays) || INVITATION_TTL_DAYS);
+
+    await sendMail('invitation', invitation.email, {
+      name: invitation.name,
+      role: invitation.role,
+      invitedBy: req.user.name,
+      token,
+      expiresAt: invitation.expiresAt
+    });
+
+    res.status(201).json(invitation);
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get invitations
+// @route   GET /api/users/invitations
+// @access  Private/Admin
+const getInvitations = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const now = new Date();
+    const query = {};
+
+    if (status === 'pending') {
+      Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+    } else if (status === 'accepted') {
+      query.acceptedAt = { $ne: null };
+    } else if (status === 'revoked') {
+      query.revokedAt = { $ne: null };
+    } else if (status === 'expired') {
+      Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('department', 'name code')
+      .populate('invitedBy', 'name email')
+      .sort('-createdAt');
+
+    res.json(invitations);
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Revoke an open invitation
+// @route   DELETE /api/users/invitations/:id
+// @access  Private/Admin
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.acceptedAt) {
+      return res.status(400).json({ message: 'Invitation has already been accepted' });
+    }
+
+    invitation.revokedAt = invitation.revokedAt || new Date();
+    await invitation.save();
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation
+};
@@ -1,7 +1,10 @@
 const Note = require('../models/Note');
 const Subject = require('../models/Subject');
-const User = require('../models/User'); // Add this if missing
-const fs = require('fs');
+const NoteDownload = require('../models/NoteDownload');
+const { can } = require('../services/policy');
+const { moveToRecycleBin } = require('../services/recycleBin');
+const { resolveOffering } = require('../services/offerings');
+const { enrolledWorkFilter, isEnrolledFor } = require('../services/enrollments');
 const path = require('path');
 
 // @desc    Upload note
@@ -21,7 +24,14 @@ const uploadNote = async (req, res) => {
       return res.status(404).json({ message: 'Subject not found' });
     }
 
-    if (subject.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    const { offering, error: offeringError } = await resolveOffering(subject, req.body.offeringId, req.user);
+    if (offeringError) {
+      return res.status(400).json({ message: offeringError });
+    }
+
+    // Teaching this term's offering of the subject counts
+    if (!(await can(req.user, 'upload:note', subject)) &&
+        !(offering && await can(req.user, 'upload:note', offering))) {
       return res.status(403).json({ message: 'Not authorized to upload notes for this subject' });
     }
 
@@ -29,6 +39,7 @@ const uploadNote = async (req, res) => {
       title,
       description,
       subject: subjectId,
+      offering: offering?._id || null,
       teacher: req.user._id,
       fileUrl: req.file.path,
       fileType: req.file.mimetype.split('/')[1],
@@ -72,9 +83,14 @@ const downloadNote = async (req, res) => {
       return res.status(404).json({ message: 'Note not found' });
     }
 
+    if (req.user.role === 'student' && !(await isEnrolledFor(req.user._id, note))) {
+      return res.status(403).json({ message: 'You are not enrolled in this subject' });
+    }
+
     // Increment download count
     note.downloads += 1;
     await note.save();
+    await NoteDownload.create({ note: note._id, user: req.user._id });
 
     // Send file
     res.download(path.resolve(note.fileUrl));
@@ -96,57 +112,28 @@ const deleteNote = async (req, res) => {
     }
 
     // Check authorization
-    if (note.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'delete:note', note))) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    // Delete file from storage
-    if (fs.existsSync(note.fileUrl)) {
-      fs.unlinkSync(note.fileUrl);
-    }
-
-    await note.deleteOne();
+    // The file stays until the note is purged from the recycle bin
+    await moveToRecycleBin('note', note, req.user._id);
     res.json({ message: 'Note deleted successfully' });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
-// @desc    Get notes for student (based on their department and semester)
+// @desc    Get notes for student (of the subjects they are enrolled in)
 // @route   GET /api/notes/student
 // @access  Private/Student
 const getStudentNotes = async (req, res) => {
   try {
-    const student = await User.findById(req.user._id).populate('department');
+    console.log('Fetching notes for student:', req.user._id);
 
-    // If student has no department, return empty array
-    if (!student.department) {
-      console.log('Student has no department:', student.email);
-      return res.json([]);
-    }
-
-    console.log('Fetching notes for student:', {
-      studentId: student._id,
-      department: student.department._id,
-      semester: student.semester
-    });
-
-    // Get subjects for student's department and semester
-    const subjects = await Subject.find({
-      department: student.department._id,
-      semester: student.semester
-    });
-
-    const subjectIds = subjects.map(s => s._id);
-
-    // If no subjects found, return empty array
-    if (subjectIds.length === 0) {
-      return res.json([]);
-    }
-
-    // Get notes for these subjects
+    // Get notes for the subjects the student is enrolled in
     const notes = await Note.find({
-      subject: { $in: subjectIds },
+      ...(await enrolledWorkFilter(req.user._id)),
       isActive: true
     })
     .populate('subject', 'name code')
@@ -167,23 +154,9 @@ const getStudentNotes = async (req, res) => {
 // @access  Private/Student
 const getRecentNotes = async (req, res) => {
   try {
-    const student = await User.findById(req.user._id).populate('department');
-
-    if (!student.department) {
-      return res.json([]);
-    }
-
-    // Get subjects for student's department and semester
-    const subjects = await Subject.find({
-      department: student.department._id,
-      semester: student.semester
-    });
-
-    const subjectIds = subjects.map(s => s._id);
-
     // Get recent notes (last 5)
     const notes = await Note.find({
-      subject: { $in: subjectIds },
+      ...(await enrolledWorkFilter(req.user._id)),
       isActive: true
     })
     .populate('subject', 'name code')
@@ -3,6 +3,8 @@ const User = require('../models/User');
 const Assignment = require('../models/Assignment');
 const Quiz = require('../models/Quiz');
 const Submission = require('../models/Submission');
+const { studyingFilter } = require('../config/studentStatuses');
+const { enrolledStudentsFilter } = require('../services/enrollments');
 
 // @desc    Get user notifications
 // @route   GET /api/notifications
@@ -127,11 +129,10 @@ const createNotification = async (recipientId, type, title, message, link = null
 // @desc    Create assignment notification
 const notifyAssignmentCreated = async (assignment) => {
   try {
-    // Find all students in the subject's department and semester
+    // Find all studying students enrolled in the assignment's subject
     const students = await User.find({
-      role: 'student',
-      department: assignment.subject.department,
-      semester: assignment.subject.semester
+      ...(await enrolledStudentsFilter(assignment.subject, assignment.offering)),
+      ...studyingFilter()
     });
 
     const notifications = [];
@@ -157,9 +158,8 @@ const notifyAssignmentCreated = async (assignment) => {
 const notifyQuizAvailable = async (quiz) => {
   try {
     const students = await User.find({
-      role: 'student',
-      department: quiz.subject.department,
-      semester: quiz.subject.semester
+      ...(await enrolledStudentsFilter(quiz.subject, quiz.offering)),
+      ...studyingFilter()
     });
 
     const notifications = [];
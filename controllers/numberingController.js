@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const Setting = require('../models/Setting');
+const Department = require('../models/Department');
+const NumberReservation = require('../models/NumberReservation');
+const { validatePattern } = require('../utils/numberPattern');
+const {
+  NUMBER_KINDS,
+  MAX_RESERVATION,
+  previewNumbers,
+  reserveNumbers
+} = require('../services/numberGenerator');
+
+const MAX_PREVIEW = 50;
+
+const NO_DEPARTMENT_MESSAGE = 'This pattern uses {DEPT}, choose a department';
+
+// @desc    Get the default number patterns and each department's overrides
+// @route   GET /api/numbering/patterns
+// @access  Private/Admin
+const getPatterns = async (req, res) => {
+  try {
+    const [enrollmentNumber, universityId, departments] = await Promise.all([
+      Setting.get('numbers.enrollmentNumberPattern'),
+      Setting.get('numbers.universityIdPattern'),
+      Department.find().select('name code numberPatterns').sort('name').lean()
+    ]);
+
+    res.json({ defaults: { enrollmentNumber, universityId }, departments });
+  } catch (error) {
+    console.error('Get number patterns error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Set or clear a department's number patterns
+// @route   PUT /api/numbering/patterns/:departmentId
+// @access  Private/Admin
+const updateDepartmentPatterns = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.departmentId)) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    const department = await Department.findById(req.params.departmentId);
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    // A missing kind is left alone, null or '' goes back to the default
+    for (const kind of NUMBER_KINDS) {
+      if (req.body[kind] === undefined) continue;
+
+      const pattern = req.body[kind] || null;
+      const error = pattern && validatePattern(pattern);
+      if (error) {
+        return res.status(400).json({ message: `${kind}: ${error}` });
+      }
+      department.numberPatterns[kind] = pattern;
+    }
+
+    await department.save();
+
+    res.json({
+      _id: department._id,
+      name: department.name,
+      code: department.code,
+      numberPatterns: department.numberPatterns
+    });
+  } catch (error) {
+    console.error('Update number patterns error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Preview the next numbers that would be assigned
+// @route   GET /api/numbering/preview
+// @access  Private/Admin
+const getPreview = async (req, res) => {
+  try {
+    const { kind, department } = req.query;
+    const count = Math.min(parseInt(req.query.count) || 5, MAX_PREVIEW);
+
+    if (!NUMBER_KINDS.includes(kind)) {
+      return res.status(400).json({ message: `Kind must be one of ${NUMBER_KINDS.join(', ')}` });
+    }
+
+    const preview = await previewNumbers(kind, department, count);
+    if (!preview) {
+      return res.status(400).json({ message: NO_DEPARTMENT_MESSAGE });
+    }
+
+    res.json({ kind, ...preview });
+  } catch (error) {
+    console.error('Preview numbers error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get number reservations
+// @route   GET /api/numbering/reservations
+// @access  Private/Admin
+const getReservations = async (req, res) => {
+  try {
+    const query = NUMBER_KINDS.includes(req.query.kind) ? { kind: req.query.kind } : {};
+
+    const reservations = await NumberReservation.find(query)
+      .populate('department', 'name code')
+      .populate('reservedBy', 'name email')
+      .sort('-createdAt');
+
+    res.json(reservations);
+  } catch (error) {
+    console.error('Get number reservations error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Reserve a range of numbers for assigning by hand
+// @route   POST /api/numbering/reservations
+// @access  Private/Admin
+const createReservation = async (req, res) => {
+  try {
+    const { kind, department, note } = req.body;
+    const count = parseInt(req.body.count);
+
+    if (!NUMBER_KINDS.includes(kind)) {
+      return res.status(400).json({ message: `Kind must be one of ${NUMBER_KINDS.join(', ')}` });
+    }
+
+    if (!count || count < 1 || count > MAX_RESERVATION) {
+      return res.status(400).json({ message: `Count must be between 1 and ${MAX_RESERVATION}` });
+    }
+
+    if (department && !(mongoose.isValidObjectId(department) && await Department.exists({ _id: department }))) {
+      return res.status(400).json({ message: 'Department not found' });
+    }
+
+    const reservation = await reserveNumbers(kind, department, count, { reservedBy: req.user._id, note });
+    if (!reservation) {
+      return res.status(400).json({ message: NO_DEPARTMENT_MESSAGE });
+    }
+
+    res.status(201).json(reservation);
+  } catch (error) {
+    console.error('Reserve numbers error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getPatterns,
+  updateDepartmentPatterns,
+  getPreview,
+  getReservations,
+  createReservation
+};
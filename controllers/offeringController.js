@@ -0,0 +1,313 @@
+const mongoose = require('mongoose');
+const SubjectOffering = require('../models/SubjectOffering');
+const AcademicTerm = require('../models/AcademicTerm');
+const Subject = require('../models/Subject');
+const Program = require('../models/Program');
+const User = require('../models/User');
+const Assignment = require('../models/Assignment');
+const Quiz = require('../models/Quiz');
+const Note = require('../models/Note');
+const Submission = require('../models/Submission');
+const Enrollment = require('../models/Enrollment');
+const { can } = require('../services/policy');
+const { promoteWaitlist } = require('../services/enrollments');
+
+// The offering named in the route with its subject, or sends a 404
+const loadOffering = async (req, res) => {
+  const offering = mongoose.isValidObjectId(req.params.id) &&
+    await SubjectOffering.findById(req.params.id).populate('subject', 'name code credits department');
+  if (!offering || !offering.subject) {
+    res.status(404).json({ message: 'Offering not found' });
+    return null;
+  }
+  return offering;
+};
+
+const isTeacher = async (id) => mongoose.isValidObjectId(id) && User.exists({ _id: id, role: 'teacher' });
+
+// A seat limit from the request: a positive whole number, or null for none.
+// Returns { capacity } or { error }.
+const parseCapacity = (value) => {
+  if (value === null || value === '') return { capacity: null };
+  const capacity = Number(value);
+  return Number.isInteger(capacity) && capacity >= 1
+    ? { capacity }
+    : { error: 'Capacity must be a whole number of seats, or empty for no limit' };
+};
+
+// The programs whose students may register for an elective, none for the
+// subject's department. Returns { eligiblePrograms } or { error }.
+const parseEligiblePrograms = async (value = []) => {
+  const error = { error: 'Eligible programs must be a list of programs' };
+  if (!Array.isArray(value) || !value.every(id => mongoose.isValidObjectId(id))) return error;
+
+  const ids = [...new Set(value.map(String))];
+  if (await Program.countDocuments({ _id: { $in: ids } }) !== ids.length) return error;
+  return { eligiblePrograms: ids };
+};
+
+// @desc    Get subject offerings
+// @route   GET /api/offerings
+// @access  Private
+const getOfferings = async (req, res) => {
+  try {
+    const query = {};
+    ['term', 'subject', 'teacher'].forEach(field => {
+      if (mongoose.isValidObjectId(req.query[field])) query[field] = req.query[field];
+    });
+    if (req.query.mine === 'true') query.teacher = req.user._id;
+
+    const offerings = await SubjectOffering.find(query)
+      .populate('subject', 'name code credits department')
+      .populate('term', 'name code academicYear startDate endDate')
+      .populate('teacher', 'name email')
+      .sort('-createdAt');
+
+    res.json(offerings);
+  } catch (error) {
+    console.error('Get offerings error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get an offering with its assignments, quizzes and notes
+// @route   GET /api/offerings/:id
+// @access  Private
+const getOfferingById = async (req, res) => {
+  try {
+    const offering = await loadOffering(req, res);
+    if (!offering) return;
+
+    await offering.populate([
+      { path: 'term', select: 'name code academicYear startDate endDate' },
+      { path: 'teacher', select: 'name email' }
+    ]);
+
+    const [assignments, quizzes, notes] = await Promise.all([
+      Assignment.find({ offering: offering._id }).select('title deadline maxMarks isActive').sort('deadline'),
+      Quiz.find({ offering: offering._id }).select('title startDate endDate totalMarks isActive').sort('startDate'),
+      Note.find({ offering: offering._id }).select('title fileType createdAt').sort('-createdAt')
+    ]);
+
+    res.json({ ...offering.toObject(), assignments, quizzes, notes });
+  } catch (error) {
+    console.error('Get offering error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Offer a subject in a term
+// @route   POST /api/offerings
+// @access  Private/Admin or Head of Department
+const createOffering = async (req, res) => {
+  try {
+    const { subject: subjectId, term: termId, teacher, capacity = null, isElective = false } = req.body;
+
+    const subject = mongoose.isValidObjectId(subjectId) && await Subject.findById(subjectId);
+    if (!subject) {
+      return res.status(400).json({ message: 'Subject not found' });
+    }
+
+    if (!(await can(req.user, 'manage:subject', subject))) {
+      return res.status(403).json({ message: 'Not authorized to offer this subject' });
+    }
+
+    if (!mongoose.isValidObjectId(termId) || !(await AcademicTerm.exists({ _id: termId }))) {
+      return res.status(400).json({ message: 'Term not found' });
+    }
+
+    // Defaults to the subject's usual teacher
+    const teacherId = teacher || subject.teacher;
+    if (!(await isTeacher(teacherId))) {
+      return res.status(400).json({ message: 'A teacher is required' });
+    }
+
+    if (await SubjectOffering.exists({ subject: subject._id, term: termId, teacher: teacherId })) {
+      return res.status(400).json({ message: 'This teacher already teaches the subject this term' });
+    }
+
+    const seats = parseCapacity(capacity);
+    if (seats.error) {
+      return res.status(400).json({ message: seats.error });
+    }
+
+    const programs = await parseEligiblePrograms(req.body.eligiblePrograms);
+    if (programs.error) {
+      return res.status(400).json({ message: programs.error });
+    }
+
+    const offering = await SubjectOffering.create({
+      subject: subject._id,
+      term: termId,
+      teacher: teacherId,
+      capacity: seats.capacity,
+      isElective: Boolean(isElective),
+      eligiblePrograms: programs.eligiblePrograms
+    });
+    res.status(201).json(offering);
+  } catch (error) {
+    console.error('Create offering error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Change an offering's teacher, capacity, registration or status
+// @route   PUT /api/offerings/:id
+// @access  Private/Admin or Head of Department
+const updateOffering = async (req, res) => {
+  try {
+    const offering = await loadOffering(req, res);
+    if (!offering) return;
+
+    if (!(await can(req.user, 'manage:subject', offering.subject))) {
+      return res.status(403).json({ message: 'Not authorized to change this offering' });
+    }
+
+    if (req.body.teacher && String(req.body.teacher) !== String(offering.teacher)) {
+      if (!(await isTeacher(req.body.teacher))) {
+        return res.status(400).json({ message: 'Teacher not found' });
+      }
+      if (await SubjectOffering.exists({ subject: offering.subject._id, term: offering.term, teacher: req.body.teacher })) {
+        return res.status(400).json({ message: 'This teacher already teaches the subject this term' });
+      }
+      offering.teacher = req.body.teacher;
+    }
+
+    // More seats go to the waitlist straight away
+    let seatsAdded = false;
+    if (req.body.capacity !== undefined) {
+      const seats = parseCapacity(req.body.capacity);
+      if (seats.error) {
+        return res.status(400).json({ message: seats.error });
+      }
+      seatsAdded = seats.capacity === null || (offering.capacity !== null && seats.capacity > offering.capacity);
+      offering.capacity = seats.capacity;
+    }
+
+    if (req.body.eligiblePrograms !== undefined) {
+      const programs = await parseEligiblePrograms(req.body.eligiblePrograms);
+      if (programs.error) {
+        return res.status(400).json({ message: programs.error });
+      }
+      offering.eligiblePrograms = programs.eligiblePrograms;
+    }
+
+    if (req.body.isElective !== undefined) offering.isElective = Boolean(req.body.isElective);
+    if (req.body.isActive !== undefined) offering.isActive = req.body.isActive;
+
+    await offering.save();
+    if (seatsAdded) await promoteWaitlist(offering._id);
+    res.json(offering);
+  } catch (error) {
+    console.error('Update offering error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete an offering nothing has been set for yet
+// @route   DELETE /api/offerings/:id
+// @access  Private/Admin or Head of Department
+const deleteOffering = async (req, res) => {
+  try {
+    const offering = await loadOffering(req, res);
+    if (!offering) return;
+
+    if (!(await can(req.user, 'manage:subject', offering.subject))) {
+      return res.status(403).json({ message: 'Not authorized to delete this offering' });
+    }
+
+    const inUse = await Promise.all([
+      Assignment.exists({ offering: offering._id }).setOptions({ withDeleted: true }),
+      Quiz.exists({ offering: offering._id }),
+      Note.exists({ offering: offering._id }).setOptions({ withDeleted: true }),
+      Enrollment.exists({ offering: offering._id })
+    ]);
+    if (inUse.some(Boolean)) {
+      return res.status(400).json({ message: 'Cannot delete an offering with assignments, quizzes, notes or enrollments. Deactivate it instead.' });
+    }
+
+    await offering.deleteOne();
+    res.json({ message: 'Offering removed' });
+  } catch (error) {
+    console.error('Delete offering error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get an offering's waitlist, in the order seats will go
+// @route   GET /api/offerings/:id/waitlist
+// @access  Private/Teacher, Head of Department or Admin
+const getOfferingWaitlist = async (req, res) => {
+  try {
+    const offering = await loadOffering(req, res);
+    if (!offering) return;
+
+    const resource = { teacher: offering.teacher, department: offering.subject.department };
+    if (!(await can(req.user, 'view:subject-stats', resource))) {
+      return res.status(403).json({ message: 'Not authorized to view this offering\'s waitlist' });
+    }
+
+    const [enrolled, waitlist] = await Promise.all([
+      Enrollment.countDocuments({ offering: offering._id, status: 'enrolled' }),
+      Enrollment.find({ offering: offering._id, status: 'waitlisted' })
+        .populate('student', 'name email enrollmentNumber')
+        .select('student enrolledAt')
+        .sort('enrolledAt')
+    ]);
+
+    res.json({
+      offering: offering._id,
+      capacity: offering.capacity,
+      enrolled,
+      waitlist: waitlist.map((entry, index) => ({ position: index + 1, ...entry.toObject() }))
+    });
+  } catch (error) {
+    console.error('Get offering waitlist error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get every student's marks in an offering
+// @route   GET /api/offerings/:id/grades
+// @access  Private/Teacher, Head of Department or Admin
+const getOfferingGrades = async (req, res) => {
+  try {
+    const offering = await loadOffering(req, res);
+    if (!offering) return;
+
+    const resource = { teacher: offering.teacher, department: offering.subject.department };
+    if (!(await can(req.user, 'view:subject-stats', resource))) {
+      return res.status(403).json({ message: 'Not authorized to view grades for this offering' });
+    }
+
+    const [submissions, quizzes] = await Promise.all([
+      Submission.find({ offering: offering._id })
+        .populate('student', 'name email enrollmentNumber')
+        .populate('assignment', 'title maxMarks')
+        .select('student assignment marks status submittedAt'),
+      Quiz.find({ offering: offering._id })
+        .populate('attempts.student', 'name email enrollmentNumber')
+        .select('title totalMarks attempts.student attempts.score attempts.percentage attempts.status')
+    ]);
+
+    res.json({
+      offering: offering._id,
+      subject: offering.subject,
+      assignments: submissions,
+      quizzes
+    });
+  } catch (error) {
+    console.error('Get offering grades error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getOfferings,
+  getOfferingById,
+  createOffering,
+  updateOffering,
+  deleteOffering,
+  getOfferingWaitlist,
+  getOfferingGrades
+};
@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const AuditLog = require('../models/AuditLog');
+const DeletionRequest = require('../models/DeletionRequest');
+const { sendMail } = require('../services/mail');
+const { streamDataExport } = require('../services/dataExport');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    Download everything held about the current user as a ZIP
+// @route   GET /api/auth/account/export
+// @access  Private
+const exportMyData = async (req, res) => {
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`my-data-${date}.zip`);
+    res.type('application/zip');
+
+    await streamDataExport(req.user._id, res);
+
+    await AuditLog.record({
+      action: 'data.export',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error('Export data error:', error);
+    // Once the ZIP has started there is no way to report the error but to cut it short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Ask for the current user's account to be deleted
+// @route   POST /api/auth/account/deletion-request
+// @access  Private
+const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password, reason } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Single sign-on accounts have no password to confirm with
+    if (user.password && !(await user.comparePassword(password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (await DeletionRequest.findOpenForUser(user._id)) {
+      return res.status(409).json({ message: 'You already have an open deletion request' });
+    }
+
+    const deletionRequest = await DeletionRequest.create({ user: user._id, reason });
+
+    await AuditLog.record({
+      action: 'deletion.request',
+      actor: user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: { deletionRequest: deletionRequest._id }
+    });
+
+    res.status(201).json(deletionRequest);
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the current user's latest deletion request
+// @route   GET /api/auth/account/deletion-request
+// @access  Private
+const getMyDeletionRequest = async (req, res) => {
+  try {
+    const deletionRequest = await DeletionRequest.findOne({ user: req.user._id }).sort('-createdAt');
+
+    if (!deletionRequest) {
+      return res.status(404).json({ message: 'No deletion request found' });
+    }
+
+    res.json(deletionRequest);
+  } catch (error) {
+    console.error('Get deletion request error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Cancel the current user's deletion request before it runs
+// @route   DELETE /api/auth/account/deletion-request
+// @access  Private
+const cancelDeletionRequest = async (req, res) => {
+  try {
+    const deletionRequest = await DeletionRequest.findOpenForUser(req.user._id);
+
+    if (!deletionRequest) {
+      return res.status(404).json({ message: 'No open deletion request found' });
+    }
+
+    deletionRequest.status = 'cancelled';
+    await deletionRequest.save();
+
+    res.json({ message: 'Deletion request cancelled' });
+  } catch (error) {
+    console.error('Cancel deletion request error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get deletion requests
+// @route   GET /api/deletion-requests
+// @access  Private/Admin
+const getDeletionRequests = async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const query = status === 'all' ? {} : { status };
+
+    const deletionRequests = await DeletionRequest.find(query)
+      .populate('user', 'name email role department')
+      .populate('decidedBy', 'name email')
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await DeletionRequest.countDocuments(query);
+
+    res.json({
+      deletionRequests,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get deletion requests error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Pending request by id, or null
+const findPendingRequest = (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return DeletionRequest.findOne({ _id: id, status: 'pending' }).populate('user', 'name email');
+};
+
+// Let the user know by email, a failed email does not undo the decision
+const notifyRequester = async (deletionRequest) => {
+  const { user } = deletionRequest;
+  try {
+    if (deletionRequest.status === 'approved') {
+      await sendMail('deletionApproved', user.email, {
+        name: user.name,
+        scheduledFor: deletionRequest.scheduledFor
+      });
+    } else {
+      await sendMail('deletionRejected', user.email, {
+        name: user.name,
+        reason: deletionRequest.decisionNote
+      });
+    }
+  } catch (error) {
+    console.error('Send deletion decision email error:', error);
+  }
+};
+
+// @desc    Approve a deletion request, anonymising the account after the retention period
+// @route   PUT /api/deletion-requests/:id/approve
+// @access  Private/Admin
+const approveDeletionRequest = async (req, res) => {
+  try {
+    const deletionRequest = await findPendingRequest(req.params.id);
+    if (!deletionRequest) {
+      return res.status(404).json({ message: 'Pending deletion request not found' });
+    }
+
+    const retentionDays = await Setting.get('privacy.deletionRetentionDays');
+
+    deletionRequest.status = 'approved';
+    deletionRequest.decidedBy = req.user._id;
+    deletionRequest.decidedAt = new Date();
+    deletionRequest.decisionNote = req.body.note || null;
+    deletionRequest.scheduledFor = new Date(Date.now() + retentionDays * DAY_MS);
+    await deletionRequest.save();
+
+    await AuditLog.record({
+      action: 'deletion.approve',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: { deletionRequest: deletionRequest._id, user: deletionRequest.user._id }
+    });
+
+    await notifyRequester(deletionRequest);
+
+    res.json(deletionRequest);
+  } catch (error) {
+    console.error('Approve deletion request error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Reject a deletion request
+// @route   PUT /api/deletion-requests/:id/reject
+// @access  Private/Admin
+const rejectDeletionRequest = async (req, res) => {
+  try {
+    const deletionRequest = await findPendingRequest(req.params.id);
+    if (!deletionRequest) {
+      return res.status(404).json({ message: 'Pending deletion request not found' });
+    }
+
+    deletionRequest.status = 'rejected';
+    deletionRequest.decidedBy = req.user._id;
+    deletionRequest.decidedAt = new Date();
+    deletionRequest.decisionNote = req.body.note || null;
+    await deletionRequest.save();
+
+    await AuditLog.record({
+      action: 'deletion.reject',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: { deletionRequest: deletionRequest._id, user: deletionRequest.user._id }
+    });
+
+    await notifyRequester(deletionRequest);
+
+    res.json(deletionRequest);
+  } catch (error) {
+    console.error('Reject deletion request error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  exportMyData,
+  requestAccountDeletion,
+  getMyDeletionRequest,
+  cancelDeletionRequest,
+  getDeletionRequests,
+  approveDeletionRequest,
+  rejectDeletionRequest
+};
@@ -0,0 +1,381 @@
+const mongoose = require('mongoose');
+const Program = require('../models/Program');
+const Curriculum = require('../models/Curriculum');
+const RegistrationWindow = require('../models/RegistrationWindow');
+const Department = require('../models/Department');
+const Subject = require('../models/Subject');
+const User = require('../models/User');
+const { can } = require('../services/policy');
+
+const EDITABLE_FIELDS = ['name', 'level', 'description', 'isActive'];
+
+// The program named in the route, or sends a 404
+const loadProgram = async (req, res) => {
+  const program = mongoose.isValidObjectId(req.params.id) && await Program.findById(req.params.id);
+  if (!program) {
+    res.status(404).json({ message: 'Program not found' });
+    return null;
+  }
+  return program;
+};
+
+// The curriculum named in the route, within its program, or sends a 404
+const loadCurriculum = async (req, res, program) => {
+  const curriculum = mongoose.isValidObjectId(req.params.curriculumId) &&
+    await Curriculum.findOne({ _id: req.params.curriculumId, program: program._id });
+  if (!curriculum) {
+    res.status(404).json({ message: 'Curriculum not found' });
+    return null;
+  }
+  return curriculum;
+};
+
+// Checks the semesters of a curriculum against its program. Returns
+// { semesters } cleaned up and sorted, or { error }.
+const checkSemesters = async (semesters, program) => {
+  if (!Array.isArray(semesters)) {
+    return { error: 'Semesters must be a list' };
+  }
+
+  const numbers = new Set();
+  const subjectIds = new Set();
+  const cleaned = [];
+
+  for (const entry of semesters) {
+    const number = parseInt(entry?.number);
+    if (!number || number < 1 || number > program.totalSemesters) {
+      return { error: `Semester must be between 1 and ${program.totalSemesters}` };
+    }
+    if (numbers.has(number)) {
+      return { error: `Semester ${number} is listed twice` };
+    }
+    numbers.add(number);
+
+    const subjects = Array.isArray(entry.subjects) ? entry.subjects.map(String) : [];
+    for (const id of subjects) {
+      if (!mongoose.isValidObjectId(id)) {
+        return { error: `Invalid subject ${id}` };
+      }
+      if (subjectIds.has(id)) {
+        return { error: 'A subject can only be in one semester of a curriculum' };
+      }
+      subjectIds.add(id);
+    }
+    cleaned.push({ number, subjects });
+  }
+
+  const found = await Subject.countDocuments({ _id: { $in: [...subjectIds] } });
+  if (found !== subjectIds.size) {
+    return { error: 'Some subjects were not found' };
+  }
+
+  return { semesters: cleaned.sort((a, b) => a.number - b.number) };
+};
+
+// @desc    Get programs
+// @route   GET /api/programs
+// @access  Private
+const getPrograms = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    if (mongoose.isValidObjectId(req.query.department)) query.department = req.query.department;
+    if (Program.PROGRAM_LEVELS.includes(req.query.level)) query.level = req.query.level;
+
+    const programs = await Program.find(query)
+      .populate('department', 'name code')
+      .sort('name');
+
+    res.json(programs);
+  } catch (error) {
+    console.error('Get programs error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get program by ID with its curriculum versions
+// @route   GET /api/programs/:id
+// @access  Private
+const getProgramById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Program not found' });
+    }
+
+    const program = await Program.findById(req.params.id).populate('department', 'name code').lean();
+    if (!program) {
+      return res.status(404).json({ message: 'Program not found' });
+    }
+
+    const [curricula, totalStudents] = await Promise.all([
+      Curriculum.find({ program: program._id }).select('intakeYear name isActive').sort('-intakeYear'),
+      User.countDocuments({ program: program._id, role: 'student', isActive: true })
+    ]);
+
+    res.json({ ...program, curricula, totalStudents });
+  } catch (error) {
+    console.error('Get program by ID error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create program
+// @route   POST /api/programs
+// @access  Private/Admin or Head of Department
+const createProgram = async (req, res) => {
+  try {
+    const { name, code, department, level, totalSemesters, description } = req.body;
+
+    if (!name || !code || !department || !level || !totalSemesters) {
+      return res.status(400).json({ message: 'Missing required fields: name, code, department, level and totalSemesters' });
+    }
+
+    if (!mongoose.isValidObjectId(department) || !(await Department.exists({ _id: department }))) {
+      return res.status(400).json({ message: 'Department not found' });
+    }
+
+    if (!(await can(req.user, 'manage:program', { department }))) {
+      return res.status(403).json({ message: 'Not authorized to add programs to this department' });
+    }
+
+    if (await Program.exists({ code: String(code).toUpperCase() })) {
+      return res.status(400).json({ message: 'Program code already exists' });
+    }
+
+    const program = await Program.create({
+      name,
+      code,
+      department,
+      level,
+      totalSemesters: parseInt(totalSemesters),
+      description: description || ''
+    });
+
+    res.status(201).json(program);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create program error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update program
+// @route   PUT /api/programs/:id
+// @access  Private/Admin or Head of Department
+const updateProgram = async (req, res) => {
+  try {
+    const program = await loadProgram(req, res);
+    if (!program) return;
+
+    if (!(await can(req.user, 'manage:program', program))) {
+      return res.status(403).json({ message: 'Not authorized to update this program' });
+    }
+
+    if (req.body.code && String(req.body.code).toUpperCase() !== program.code) {
+      if (await Program.exists({ code: String(req.body.code).toUpperCase() })) {
+        return res.status(400).json({ message: 'Program code already exists' });
+      }
+      program.code = req.body.code;
+    }
+
+    // Shortening the program would strand curricula and students
+    const totalSemesters = parseInt(req.body.totalSemesters);
+    if (totalSemesters && totalSemesters < program.totalSemesters) {
+      const [curriculumBeyond, studentBeyond] = await Promise.all([
+        Curriculum.exists({ program: program._id, 'semesters.number': { $gt: totalSemesters } }),
+        User.exists({ program: program._id, semester: { $gt: totalSemesters } })
+      ]);
+      if (curriculumBeyond || studentBeyond) {
+        return res.status(400).json({
+          message: `Curricula or students are still in semesters after ${totalSemesters}`
+        });
+      }
+    }
+    if (totalSemesters) program.totalSemesters = totalSemesters;
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) program[field] = req.body[field];
+    });
+
+    await program.save();
+    res.json(program);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update program error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete program
+// @route   DELETE /api/programs/:id
+// @access  Private/Admin or Head of Department
+const deleteProgram = async (req, res) => {
+  try {
+    const program = await loadProgram(req, res);
+    if (!program) return;
+
+    if (!(await can(req.user, 'manage:program', program))) {
+      return res.status(403).json({ message: 'Not authorized to delete this program' });
+    }
+
+    if (await User.exists({ program: program._id })) {
+      return res.status(400).json({ message: 'Cannot delete a program with students. Deactivate it instead.' });
+    }
+
+    await Curriculum.deleteMany({ program: program._id });
+    await RegistrationWindow.deleteMany({ program: program._id });
+    await program.deleteOne();
+    res.json({ message: 'Program removed' });
+  } catch (error) {
+    console.error('Delete program error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a curriculum with its subjects
+// @route   GET /api/programs/:id/curricula/:curriculumId
+// @access  Private
+const getCurriculum = async (req, res) => {
+  try {
+    const program = await loadProgram(req, res);
+    if (!program) return;
+
+    const curriculum = await loadCurriculum(req, res, program);
+    if (!curriculum) return;
+
+    await curriculum.populate('semesters.subjects', 'name code credits department teacher');
+    res.json(curriculum);
+  } catch (error) {
+    console.error('Get curriculum error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create the curriculum for an intake year, optionally copying another version
+// @route   POST /api/programs/:id/curricula
+// @access  Private/Admin or Head of Department
+const createCurriculum = async (req, res) => {
+  try {
+    const program = await loadProgram(req, res);
+    if (!program) return;
+
+    if (!(await can(req.user, 'manage:program', program))) {
+      return res.status(403).json({ message: 'Not authorized to change this program' });
+    }
+
+    const intakeYear = parseInt(req.body.intakeYear);
+    if (!intakeYear) {
+      return res.status(400).json({ message: 'Intake year is required' });
+    }
+
+    if (await Curriculum.exists({ program: program._id, intakeYear })) {
+      return res.status(400).json({ message: `The ${intakeYear} intake already has a curriculum` });
+    }
+
+    let semesters = req.body.semesters || [];
+    if (req.body.copyFrom) {
+      const source = mongoose.isValidObjectId(req.body.copyFrom) &&
+        await Curriculum.findOne({ _id: req.body.copyFrom, program: program._id }).lean();
+      if (!source) {
+        return res.status(400).json({ message: 'Curriculum to copy not found' });
+      }
+      semesters = source.semesters;
+    }
+
+    const checked = await checkSemesters(semesters, program);
+    if (checked.error) {
+      return res.status(400).json({ message: checked.error });
+    }
+
+    const curriculum = await Curriculum.create({
+      program: program._id,
+      intakeYear,
+      name: req.body.name || undefined,
+      semesters: checked.semesters
+    });
+
+    res.status(201).json(curriculum);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create curriculum error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update a curriculum's name, status or semesters
+// @route   PUT /api/programs/:id/curricula/:curriculumId
+// @access  Private/Admin or Head of Department
+const updateCurriculum = async (req, res) => {
+  try {
+    const program = await loadProgram(req, res);
+    if (!program) return;
+
+    if (!(await can(req.user, 'manage:program', program))) {
+      return res.status(403).json({ message: 'Not authorized to change this program' });
+    }
+
+    const curriculum = await loadCurriculum(req, res, program);
+    if (!curriculum) return;
+
+    if (req.body.semesters !== undefined) {
+      const checked = await checkSemesters(req.body.semesters, program);
+      if (checked.error) {
+        return res.status(400).json({ message: checked.error });
+      }
+      curriculum.semesters = checked.semesters;
+    }
+
+    if (req.body.name) curriculum.name = req.body.name;
+    if (req.body.isActive !== undefined) curriculum.isActive = req.body.isActive;
+
+    await curriculum.save();
+    res.json(curriculum);
+  } catch (error) {
+    console.error('Update curriculum error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a curriculum no student follows
+// @route   DELETE /api/programs/:id/curricula/:curriculumId
+// @access  Private/Admin or Head of Department
+const deleteCurriculum = async (req, res) => {
+  try {
+    const program = await loadProgram(req, res);
+    if (!program) return;
+
+    if (!(await can(req.user, 'manage:program', program))) {
+      return res.status(403).json({ message: 'Not authorized to change this program' });
+    }
+
+    const curriculum = await loadCurriculum(req, res, program);
+    if (!curriculum) return;
+
+    if (await User.exists({ curriculum: curriculum._id })) {
+      return res.status(400).json({ message: 'Cannot delete a curriculum students follow. Deactivate it instead.' });
+    }
+
+    await curriculum.deleteOne();
+    res.json({ message: 'Curriculum removed' });
+  } catch (error) {
+    console.error('Delete curriculum error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getPrograms,
+  getProgramById,
+  createProgram,
+  updateProgram,
+  deleteProgram,
+  getCurriculum,
+  createCurriculum,
+  updateCurriculum,
+  deleteCurriculum
+};
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const Department = require('../models/Department');
+const Program = require('../models/Program');
+const AcademicTerm = require('../models/AcademicTerm');
+const PromotionBatch = require('../models/PromotionBatch');
+const AuditLog = require('../models/AuditLog');
+const {
+  StalePromotionError,
+  buildPromotionPlan,
+  runPromotionPlan
+} = require('../services/promotion');
+
+// Department, semester and the term assessed from the request, or an
+// error message. The term defaults to the one most recently started.
+const resolveCohort = async ({ department, semester, term }) => {
+  if (!mongoose.isValidObjectId(department)) {
+    return { error: 'A valid department is required' };
+  }
+
+  const found = await Department.findById(department).select('name code totalSemesters');
+  if (!found) {
+    return { error: 'Department not found' };
+  }
+
+  // Programs of the department may run longer than the department's own semesters
+  const longestProgram = await Program.findOne({ department: found._id, isActive: true })
+    .sort('-totalSemesters')
+    .select('totalSemesters');
+  const maxSemester = Math.max(found.totalSemesters, longestProgram?.totalSemesters || 0);
+
+  const number = parseInt(semester);
+  if (!number || number < 1 || number > maxSemester) {
+    return { error: `Semester must be between 1 and ${maxSemester}` };
+  }
+
+  let assessedTerm;
+  if (term) {
+    assessedTerm = mongoose.isValidObjectId(term) && await AcademicTerm.findById(term).select('name code');
+    if (!assessedTerm) {
+      return { error: 'Term not found' };
+    }
+  } else {
+    assessedTerm = await AcademicTerm.findLatestStarted().select('name code');
+  }
+
+  return { department: found, semester: number, term: assessedTerm };
+};
+
+// @desc    Preview promoting a department's semester
+// @route   GET /api/promotions/preview
+// @access  Private/Admin
+const previewPromotion = async (req, res) => {
+  try {
+    const cohort = await resolveCohort(req.query);
+    if (cohort.error) {
+      return res.status(400).json({ message: cohort.error });
+    }
+
+    res.json(await buildPromotionPlan(cohort.department, cohort.semester, cohort.term));
+  } catch (error) {
+    console.error('Preview promotion error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Promote a department's semester, graduating final-semester students
+// @route   POST /api/promotions
+// @access  Private/Admin
+const runPromotion = async (req, res) => {
+  try {
+    const cohort = await resolveCohort(req.body);
+    if (cohort.error) {
+      return res.status(400).json({ message: cohort.error });
+    }
+
+    const plan = await buildPromotionPlan(cohort.department, cohort.semester, cohort.term);
+    if (plan.students.length === 0) {
+      return res.status(400).json({ message: 'No students to promote in this semester' });
+    }
+
+    const batch = await runPromotionPlan(plan, req.user._id);
+
+    await AuditLog.record({
+      action: 'promotion.run',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: {
+        batch: batch._id,
+        department: cohort.department._id,
+        semester: cohort.semester,
+        term: plan.term?._id || null,
+        summary: plan.summary
+      }
+    });
+
+    res.status(201).json(batch);
+  } catch (error) {
+    if (error instanceof StalePromotionError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Run promotion error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get past promotion batches
+// @route   GET /api/promotions
+// @access  Private/Admin
+const getPromotionBatches = async (req, res) => {
+  try {
+    const query = mongoose.isValidObjectId(req.query.department) ? { department: req.query.department } : {};
+
+    const batches = await PromotionBatch.find(query)
+      .select('-results')
+      .populate('department', 'name code')
+      .populate('term', 'name code')
+      .populate('runBy', 'name email')
+      .sort('-createdAt');
+
+    res.json(batches);
+  } catch (error) {
+    console.error('Get promotion batches error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a promotion batch with every student's outcome
+// @route   GET /api/promotions/:id
+// @access  Private/Admin
+const getPromotionBatch = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Promotion batch not found' });
+    }
+
+    const batch = await PromotionBatch.findById(req.params.id)
+      .populate('department', 'name code')
+      .populate('term', 'name code')
+      .populate('runBy', 'name email')
+      .populate('results.student', 'name email enrollmentNumber')
+      .populate('results.failedSubjects', 'name code credits');
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Promotion batch not found' });
+    }
+
+    res.json(batch);
+  } catch (error) {
+    console.error('Get promotion batch error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  previewPromotion,
+  runPromotion,
+  getPromotionBatches,
+  getPromotionBatch
+};
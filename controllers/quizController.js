@@ -1,7 +1,9 @@
 const Quiz = require('../models/Quiz');
 const Subject = require('../models/Subject');
-const User = require('../models/User'); // ADD THIS MISSING IMPORT
 const Submission = require('../models/Submission'); // Add this if needed
+const { can, hasPermission } = require('../services/policy');
+const { resolveOffering } = require('../services/offerings');
+const { enrolledWorkFilter, isEnrolledFor } = require('../services/enrollments');
 
 // @desc    Create quiz
 // @route   POST /api/quizzes
@@ -16,8 +18,14 @@ const createQuiz = async (req, res) => {
       return res.status(404).json({ message: 'Subject not found' });
     }
 
-    // Check if teacher is authorized
-    if (subject.teacher.toString() !== req.user._id.toString()) {
+    const { offering, error: offeringError } = await resolveOffering(subject, req.body.offeringId, req.user);
+    if (offeringError) {
+      return res.status(400).json({ message: offeringError });
+    }
+
+    // Check if teacher is authorized, teaching this term's offering counts
+    if (!(await can(req.user, 'create:quiz', subject)) &&
+        !(offering && await can(req.user, 'create:quiz', offering))) {
       return res.status(403).json({ message: 'Not authorized to create quizzes for this subject' });
     }
 
@@ -28,6 +36,7 @@ const createQuiz = async (req, res) => {
       title,
       description,
       subject: subjectId,
+      offering: offering?._id || null,
       teacher: req.user._id,
       questions,
       totalMarks,
@@ -49,12 +58,13 @@ const createQuiz = async (req, res) => {
 const getQuizzesBySubject = async (req, res) => {
   try {
     const now = new Date();
+    const showAnswers = await hasPermission(req.user, 'read:quiz-answers');
     const quizzes = await Quiz.find({ 
       subject: req.params.subjectId,
       isActive: true,
       endDate: { $gte: now }
     })
-    .select(req.user.role === 'student' ? '-questions.correctAnswer' : '')
+    .select(showAnswers ? '' : '-questions.correctAnswer')
     .populate('teacher', 'name')
     .sort('startDate');
 
@@ -70,22 +80,9 @@ const getQuizzesBySubject = async (req, res) => {
 // @access  Private/Student
 const getStudentQuizzes = async (req, res) => {
   try {
-    const student = await User.findById(req.user._id).populate('department');
-
-    if (!student.department) {
-      return res.json([]);
-    }
-
-    // Get subjects for student's department and semester
-    const subjects = await Subject.find({
-      department: student.department._id,
-      semester: student.semester
-    });
-
-    const subjectIds = subjects.map(s => s._id);
-
+    // Quizzes of the subjects the student is enrolled in
     const quizzes = await Quiz.find({
-      subject: { $in: subjectIds },
+      ...(await enrolledWorkFilter(req.user._id)),
       isActive: true
     })
     .populate('subject', 'name code')
@@ -111,6 +108,10 @@ const startQuiz = async (req, res) => {
       return res.status(404).json({ message: 'Quiz not found' });
     }
 
+    if (!(await isEnrolledFor(req.user._id, quiz))) {
+      return res.status(403).json({ message: 'You are not enrolled in this subject' });
+    }
+
     const now = new Date();
     if (now < quiz.startDate || now > quiz.endDate) {
       return res.status(400).json({ message: 'Quiz is not available at this time' });
@@ -214,7 +215,7 @@ const getQuizResults = async (req, res) => {
     }
 
     // Check authorization
-    if (quiz.teacher.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'read:quiz-results', quiz))) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
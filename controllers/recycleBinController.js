@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const {
+  recyclableTypes,
+  RECYCLABLE_TYPES,
+  getRetentionDays,
+  purgeAfter,
+  findRecycled,
+  restoreFromRecycleBin,
+  purgeRecord
+} = require('../services/recycleBin');
+
+// The deleted record named in the route, or sends a 404
+const loadRecycled = async (req, res) => {
+  const { type, id } = req.params;
+  const record = RECYCLABLE_TYPES.includes(type) && mongoose.isValidObjectId(id) &&
+    await findRecycled(type, id);
+
+  if (!record) {
+    res.status(404).json({ message: 'Deleted record not found' });
+    return null;
+  }
+  return record;
+};
+
+// @desc    Get deleted records of a type
+// @route   GET /api/recycle-bin?type=
+// @access  Private/Admin
+const getRecycleBin = async (req, res) => {
+  try {
+    const { type, page = 1, limit = 20 } = req.query;
+    if (!RECYCLABLE_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Type must be one of ${RECYCLABLE_TYPES.join(', ')}` });
+    }
+
+    const { model, summary } = recyclableTypes[type];
+    const retentionDays = await getRetentionDays();
+
+    const [records, total] = await Promise.all([
+      model.findDeleted()
+        .select(`${summary} deletedAt deletedBy`)
+        .populate('deletedBy', 'name email')
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .sort('-deletedAt')
+        .lean(),
+      model.countDocuments({ deletedAt: { $ne: null } })
+    ]);
+
+    res.json({
+      type,
+      retentionDays,
+      records: records.map(record => ({ ...record, purgeAfter: purgeAfter(record.deletedAt, retentionDays) })),
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    });
+  } catch (error) {
+    console.error('Get recycle bin error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Restore a deleted record
+// @route   POST /api/recycle-bin/:type/:id/restore
+// @access  Private/Admin
+const restoreRecord = async (req, res) => {
+  try {
+    const record = await loadRecycled(req, res);
+    if (!record) return;
+
+    const error = await restoreFromRecycleBin(req.params.type, record);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await AuditLog.record({
+      action: 'recycle.restore',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: { type: req.params.type, record: record._id }
+    });
+
+    res.json({ message: 'Record restored successfully', _id: record._id });
+  } catch (error) {
+    console.error('Restore record error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Remove a deleted record and its files for good, without waiting
+// @route   DELETE /api/recycle-bin/:type/:id
+// @access  Private/Admin
+const purgeRecordNow = async (req, res) => {
+  try {
+    const record = await loadRecycled(req, res);
+    if (!record) return;
+
+    await purgeRecord(req.params.type, record);
+
+    await AuditLog.record({
+      action: 'recycle.purge',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: { type: req.params.type, record: record._id }
+    });
+
+    res.json({ message: 'Record permanently deleted' });
+  } catch (error) {
+    console.error('Purge record error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getRecycleBin,
+  restoreRecord,
+  purgeRecordNow
+};
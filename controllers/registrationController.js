@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const AcademicTerm = require('../models/AcademicTerm');
+const SubjectOffering = require('../models/SubjectOffering');
+const RegistrationCart = require('../models/RegistrationCart');
+const Enrollment = require('../models/Enrollment');
+const AuditLog = require('../models/AuditLog');
+const { ACTIVE_STATUSES, changeEnrollmentStatus } = require('../services/enrollments');
+const {
+  registrationWindowFor,
+  isWindowOpen,
+  isEligibleFor,
+  seatCounts,
+  termEnrollments,
+  sumCredits,
+  submitCart
+} = require('../services/registration');
+
+// The term named in the route, or sends a 404
+const loadTerm = async (req, res) => {
+  const term = mongoose.isValidObjectId(req.params.termId) &&
+    await AcademicTerm.findOne({ _id: req.params.termId, isActive: true });
+  if (!term) {
+    res.status(404).json({ message: 'Term not found' });
+    return null;
+  }
+  return term;
+};
+
+const cartOfferings = {
+  path: 'offerings',
+  select: 'subject teacher capacity',
+  populate: [
+    { path: 'subject', select: 'name code credits department' },
+    { path: 'teacher', select: 'name' }
+  ]
+};
+
+// @desc    Get the student's registration for a term: window, cart and what they are registered for
+// @route   GET /api/registration/:termId
+// @access  Private/Student
+const getRegistration = async (req, res) => {
+  try {
+    const term = await loadTerm(req, res);
+    if (!term) return;
+
+    const [window, cart, enrollments] = await Promise.all([
+      registrationWindowFor(req.user, term),
+      RegistrationCart.findOne({ student: req.user._id, term: term._id }).populate(cartOfferings),
+      termEnrollments(req.user._id, term._id)
+    ]);
+
+    res.json({
+      term: { _id: term._id, name: term.name, code: term.code },
+      window: { ...window, isOpen: isWindowOpen(window) },
+      cart: cart ? cart.offerings : [],
+      enrollments,
+      credits: {
+        enrolled: sumCredits(enrollments.filter(e => e.status === 'enrolled').map(e => e.subject)),
+        waitlisted: sumCredits(enrollments.filter(e => e.status === 'waitlisted').map(e => e.subject)),
+        cart: sumCredits((cart?.offerings || []).map(offering => offering.subject))
+      }
+    });
+  } catch (error) {
+    console.error('Get registration error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the offerings of a term the student may register for, with seats left
+// @route   GET /api/registration/:termId/offerings
+// @access  Private/Student
+const getRegistrationOfferings = async (req, res) => {
+  try {
+    const term = await loadTerm(req, res);
+    if (!term) return;
+
+    const offerings = await SubjectOffering.find({ term: term._id, isActive: true, isElective: true })
+      .populate('subject', 'name code credits department description')
+      .populate('teacher', 'name')
+      .select('subject teacher capacity isElective eligiblePrograms')
+      .lean();
+    const eligible = offerings.filter(offering => isEligibleFor(req.user, offering));
+
+    const counts = await seatCounts(eligible.map(offering => offering._id));
+
+    res.json(eligible.map(offering => {
+      const { enrolled, waitlisted } = counts.get(offering._id.toString());
+      return {
+        ...offering,
+        enrolled,
+        waitlisted,
+        seatsLeft: offering.capacity == null ? null : Math.max(offering.capacity - enrolled, 0)
+      };
+    }));
+  } catch (error) {
+    console.error('Get registration offerings error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Replace the offerings in the student's cart for a term
+// @route   PUT /api/registration/:termId/cart
+// @access  Private/Student
+const updateCart = async (req, res) => {
+  try {
+    const term = await loadTerm(req, res);
+    if (!term) return;
+
+    if (!isWindowOpen(await registrationWindowFor(req.user, term))) {
+      return res.status(400).json({ message: 'Registration is not open for you in this term' });
+    }
+
+    const { offerings = [] } = req.body;
+    if (!Array.isArray(offerings) || !offerings.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Offerings must be a list of offering ids' });
+    }
+
+    const offeringIds = [...new Set(offerings.map(String))];
+    const found = await SubjectOffering.find({ _id: { $in: offeringIds }, term: term._id, isActive: true })
+      .populate('subject', 'code department')
+      .select('subject isElective eligiblePrograms');
+    if (found.length !== offeringIds.length || found.some(offering => !offering.subject)) {
+      return res.status(400).json({ message: 'Some offerings are not open to registration in this term' });
+    }
+
+    const ineligible = found.filter(offering => !isEligibleFor(req.user, offering));
+    if (ineligible.length > 0) {
+      return res.status(400).json({
+        message: `You cannot register for ${ineligible.map(offering => offering.subject.code).join(', ')}`
+      });
+    }
+
+    const cart = await RegistrationCart.findOneAndUpdate(
+      { student: req.user._id, term: term._id },
+      { $set: { offerings: offeringIds } },
+      { new: true, upsert: true }
+    ).populate(cartOfferings);
+
+    res.json({
+      cart: cart.offerings,
+      credits: sumCredits(cart.offerings.map(offering => offering.subject))
+    });
+  } catch (error) {
+    console.error('Update cart error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Register for everything in the cart at once
+// @route   POST /api/registration/:termId/cart/submit
+// @access  Private/Student
+const submitRegistration = async (req, res) => {
+  try {
+    const term = await loadTerm(req, res);
+    if (!term) return;
+
+    const { results, error } = await submitCart(req.user, term);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await AuditLog.record({
+      action: 'registration.submit',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: {
+        term: term._id,
+        enrolled: results.filter(result => result.status === 'enrolled').map(result => result.offering),
+        waitlisted: results.filter(result => result.status === 'waitlisted').map(result => result.offering)
+      }
+    });
+
+    res.status(201).json(results);
+  } catch (error) {
+    console.error('Submit registration error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Drop a registered subject or leave its waitlist, while registration is open
+// @route   POST /api/registration/enrollments/:id/drop
+// @access  Private/Student
+const dropRegistration = async (req, res) => {
+  try {
+    const enrollment = mongoose.isValidObjectId(req.params.id) && await Enrollment.findOne({
+      _id: req.params.id,
+      student: req.user._id,
+      status: { $in: ACTIVE_STATUSES }
+    }).populate({ path: 'offering', select: 'term', populate: { path: 'term' } });
+    if (!enrollment) {
+      return res.status(404).json({ message: 'Enrollment not found' });
+    }
+
+    const term = enrollment.offering?.term;
+    const window = term && await registrationWindowFor(req.user, term);
+    if (!window || !isWindowOpen(window)) {
+      return res.status(400).json({ message: 'Subjects can only be dropped while registration is open, ask your department' });
+    }
+
+    // Counted like a submitted cart, waitlist places included
+    const remaining = (await termEnrollments(req.user._id, term._id))
+      .filter(other => !other._id.equals(enrollment._id));
+    const credits = sumCredits(remaining.map(other => other.subject));
+    if (credits < window.minCredits) {
+      return res.status(400).json({
+        message: `This would leave you on ${credits} credits, you must take at least ${window.minCredits}`
+      });
+    }
+
+    const { error } = await changeEnrollmentStatus(enrollment, {
+      status: 'dropped',
+      reason: 'Dropped by the student',
+      changedBy: req.user._id
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json({ message: 'Subject dropped', _id: enrollment._id });
+  } catch (error) {
+    console.error('Drop registration error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getRegistration,
+  getRegistrationOfferings,
+  updateCart,
+  submitRegistration,
+  dropRegistration
+};
@@ -1,14 +1,34 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Department = require('../models/Department');
+const Faculty = require('../models/Faculty');
 const Subject = require('../models/Subject');
 const Assignment = require('../models/Assignment');
 const Quiz = require('../models/Quiz');
+const SubjectOffering = require('../models/SubjectOffering');
+const { can, getDepartmentScope } = require('../services/policy');
+const { studyingFilter } = require('../config/studentStatuses');
 
 // @desc    Get dashboard statistics
 // @route   GET /api/reports/dashboard
-// @access  Private/Admin
+// @access  Private/Admin or Head of Department
 const getDashboardStats = async (req, res) => {
   try {
+    // Heads of department get the same figures for their departments only
+    const departments = await getDepartmentScope(req.user, 'view:reports');
+    const userFilter = {};
+    const departmentFilter = {};
+    const subjectFilter = {};
+    const assignmentFilter = {};
+
+    if (departments !== null) {
+      const subjectIds = await Subject.find({ department: { $in: departments } }).distinct('_id');
+      userFilter.department = { $in: departments };
+      departmentFilter._id = { $in: departments };
+      subjectFilter.department = { $in: departments };
+      assignmentFilter.subject = { $in: subjectIds };
+    }
+
     const [
       totalStudents,
       totalTeachers,
@@ -17,15 +37,17 @@ const getDashboardStats = async (req, res) => {
       activeAssignments,
       recentSubmissions
     ] = await Promise.all([
-      User.countDocuments({ role: 'student', isActive: true }),
-      User.countDocuments({ role: 'teacher', isActive: true }),
-      Department.countDocuments({ isActive: true }),
-      Subject.countDocuments({ isActive: true }),
+      User.countDocuments({ ...userFilter, role: 'student', isActive: true, ...studyingFilter() }),
+      User.countDocuments({ ...userFilter, role: 'teacher', isActive: true }),
+      Department.countDocuments({ ...departmentFilter, isActive: true }),
+      Subject.countDocuments({ ...subjectFilter, isActive: true }),
       Assignment.countDocuments({ 
+        ...assignmentFilter,
         isActive: true,
         deadline: { $gte: new Date() }
       }),
       Assignment.aggregate([
+        { $match: assignmentFilter },
         { $unwind: '$submissions' },
         { $match: { 'submissions.status': 'submitted' } },
         { $sort: { 'submissions.submittedAt': -1 } },
@@ -65,15 +87,19 @@ const getDashboardStats = async (req, res) => {
 
 // @desc    Get department wise statistics
 // @route   GET /api/reports/departments
-// @access  Private/Admin
+// @access  Private/Admin or Head of Department
 const getDepartmentStats = async (req, res) => {
   try {
-    const departments = await Department.find({ isActive: true });
+    const query = { isActive: true };
+    const scope = await getDepartmentScope(req.user, 'view:reports');
+    if (scope !== null) query._id = { $in: scope };
+
+    const departments = await Department.find(query).populate('faculty', 'name');
 
     const stats = await Promise.all(
       departments.map(async (dept) => {
         const [students, teachers, subjects] = await Promise.all([
-          User.countDocuments({ department: dept._id, role: 'student' }),
+          User.countDocuments({ department: dept._id, role: 'student', ...studyingFilter() }),
           User.countDocuments({ department: dept._id, role: 'teacher' }),
           Subject.countDocuments({ department: dept._id })
         ]);
@@ -81,6 +107,55 @@ const getDepartmentStats = async (req, res) => {
         return {
           department: dept.name,
           code: dept.code,
+          faculty: dept.faculty?.name,
+          students,
+          teachers,
+          subjects,
+          studentTeacherRatio: teachers > 0 ? (students / teachers).toFixed(1) : 0
+        };
+      })
+    );
+
+    res.json(stats);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get faculty wise statistics, rolled up from their departments
+// @route   GET /api/reports/faculties
+// @access  Private/Admin or Head of Department
+const getFacultyStats = async (req, res) => {
+  try {
+    // Heads of department only see their own departments' share
+    const query = { isActive: true };
+    const scope = await getDepartmentScope(req.user, 'view:reports');
+    if (scope !== null) query._id = { $in: scope };
+
+    const departments = await Department.find(query).select('faculty').lean();
+    const faculties = await Faculty.find({ _id: { $in: departments.map(dept => dept.faculty) } })
+      .populate('dean', 'name email')
+      .sort('name');
+
+    const stats = await Promise.all(
+      faculties.map(async (faculty) => {
+        const departmentIds = departments
+          .filter(dept => faculty._id.equals(dept.faculty))
+          .map(dept => dept._id);
+        const inDepartments = { department: { $in: departmentIds } };
+
+        const [students, teachers, subjects] = await Promise.all([
+          User.countDocuments({ ...inDepartments, role: 'student', ...studyingFilter() }),
+          User.countDocuments({ ...inDepartments, role: 'teacher' }),
+          Subject.countDocuments(inDepartments)
+        ]);
+
+        return {
+          faculty: faculty.name,
+          code: faculty.code,
+          dean: faculty.dean,
+          departments: departmentIds.length,
           students,
           teachers,
           subjects,
@@ -103,10 +178,27 @@ const getStudentPerformance = async (req, res) => {
   try {
     const studentId = req.params.studentId;
 
+    const student = await User.findById(studentId).select('department');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!(await can(req.user, 'read:grades', student))) {
+      return res.status(403).json({ message: 'Not authorized to view this student\'s performance' });
+    }
+
+    // Grades are kept per offering, ?term= narrows them to one term
+    const termFilter = {};
+    if (mongoose.isValidObjectId(req.query.term)) {
+      termFilter.offering = { $in: await SubjectOffering.find({ term: req.query.term }).distinct('_id') };
+    }
+    const populateTerm = { path: 'offering', select: 'term', populate: { path: 'term', select: 'name code academicYear' } };
+
     // Get student's assignments
     const assignments = await Assignment.find({
+      ...termFilter,
       'submissions.student': studentId
-    }).populate('subject', 'name code');
+    }).populate('subject', 'name code').populate(populateTerm);
 
     const assignmentStats = assignments.map(assignment => {
       const submission = assignment.submissions.find(
@@ -115,6 +207,7 @@ const getStudentPerformance = async (req, res) => {
       return {
         assignmentTitle: assignment.title,
         subject: assignment.subject,
+        term: assignment.offering?.term || null,
         submittedAt: submission?.submittedAt,
         marks: submission?.marks,
         maxMarks: assignment.maxMarks,
@@ -125,8 +218,9 @@ const getStudentPerformance = async (req, res) => {
 
     // Get student's quizzes
     const quizzes = await Quiz.find({
+      ...termFilter,
       'attempts.student': studentId
-    }).populate('subject', 'name code');
+    }).populate('subject', 'name code').populate(populateTerm);
 
     const quizStats = quizzes.map(quiz => {
       const attempt = quiz.attempts.find(
@@ -135,6 +229,7 @@ const getStudentPerformance = async (req, res) => {
       return {
         quizTitle: quiz.title,
         subject: quiz.subject,
+        term: quiz.offering?.term || null,
         score: attempt?.score,
         totalMarks: quiz.totalMarks,
         percentage: attempt?.percentage,
@@ -175,5 +270,6 @@ const getStudentPerformance = async (req, res) => {
 module.exports = {
   getDashboardStats,
   getDepartmentStats,
+  getFacultyStats,
   getStudentPerformance
 };
\ No newline at end of file
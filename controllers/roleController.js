@@ -0,0 +1,174 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { permissions, builtInRoles } = require('../config/permissions');
+const { isBuiltInRole, isValidGrant, clearRoleCache } = require('../services/policy');
+
+// Returns the first grant that is not a known permission, if any
+const findInvalidGrant = (grants) => grants.find(grant => !isValidGrant(grant));
+
+// @desc    Get the permission catalog
+// @route   GET /api/roles/permissions
+// @access  Private/Admin
+const getPermissions = async (req, res) => {
+  res.json(Object.entries(permissions).map(([name, definition]) => ({
+    name,
+    description: definition.description,
+    scopes: [
+      'any',
+      ...(definition.owner ? ['own'] : []),
+      ...(definition.department ? ['department'] : [])
+    ]
+  })));
+};
+
+// @desc    Get built-in and custom roles
+// @route   GET /api/roles
+// @access  Private/Admin
+const getRoles = async (req, res) => {
+  try {
+    const customRoles = await Role.find({}).sort('name').lean();
+
+    const roles = [
+      ...Object.entries(builtInRoles).map(([name, role]) => ({
+        name,
+        label: role.label,
+        permissions: role.permissions,
+        builtIn: true
+      })),
+      ...customRoles.map(role => ({ ...role, builtIn: false }))
+    ];
+
+    res.json(roles);
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create a custom role
+// @route   POST /api/roles
+// @access  Private/Admin
+const createRole = async (req, res) => {
+  try {
+    const { name, label, description, permissions: grants = [] } = req.body;
+
+    if (!name || !label) {
+      return res.status(400).json({ message: 'Name and label are required' });
+    }
+
+    if (isBuiltInRole(String(name).toLowerCase())) {
+      return res.status(400).json({ message: 'Built-in roles cannot be redefined' });
+    }
+
+    if (!Array.isArray(grants)) {
+      return res.status(400).json({ message: 'Permissions must be an array' });
+    }
+
+    const invalidGrant = findInvalidGrant(grants);
+    if (invalidGrant) {
+      return res.status(400).json({ message: `Unknown permission ${invalidGrant}` });
+    }
+
+    if (await Role.exists({ name: String(name).toLowerCase() })) {
+      return res.status(400).json({ message: 'Role already exists' });
+    }
+
+    const role = await Role.create({
+      name,
+      label,
+      description,
+      permissions: grants,
+      createdBy: req.user._id
+    });
+    clearRoleCache(role.name);
+
+    res.status(201).json(role);
+  } catch (error) {
+    console.error('Create role error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update a custom role
+// @route   PUT /api/roles/:name
+// @access  Private/Admin
+const updateRole = async (req, res) => {
+  try {
+    if (isBuiltInRole(req.params.name)) {
+      return res.status(400).json({ message: 'Built-in roles cannot be changed' });
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const { label, description, permissions: grants } = req.body;
+
+    if (grants !== undefined) {
+      if (!Array.isArray(grants)) {
+        return res.status(400).json({ message: 'Permissions must be an array' });
+      }
+
+      const invalidGrant = findInvalidGrant(grants);
+      if (invalidGrant) {
+        return res.status(400).json({ message: `Unknown permission ${invalidGrant}` });
+      }
+
+      role.permissions = grants;
+    }
+
+    role.label = label || role.label;
+    role.description = description !== undefined ? description : role.description;
+
+    await role.save();
+    clearRoleCache(role.name);
+
+    res.json(role);
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a custom role that no user holds
+// @route   DELETE /api/roles/:name
+// @access  Private/Admin
+const deleteRole = async (req, res) => {
+  try {
+    if (isBuiltInRole(req.params.name)) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const holders = await User.countDocuments({ role: role.name });
+    if (holders > 0) {
+      return res.status(400).json({
+        message: `Cannot delete role, it is assigned to ${holders} user(s)`
+      });
+    }
+
+    await role.deleteOne();
+    clearRoleCache(role.name);
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
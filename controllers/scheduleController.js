@@ -1,22 +1,13 @@
-const User = require('../models/User');
 const Subject = require('../models/Subject');
+const { enrolledSubjectsFilter } = require('../services/enrollments');
 
 // @desc    Get student schedule
 // @route   GET /api/schedule/student
 // @access  Private/Student
 const getStudentSchedule = async (req, res) => {
   try {
-    const student = await User.findById(req.user._id).populate('department');
-
-    if (!student.department) {
-      return res.json([]); // Return empty array if no department
-    }
-
-    // Get subjects for student's department and semester
-    const subjects = await Subject.find({
-      department: student.department._id,
-      semester: student.semester
-    }).populate('teacher', 'name');
+    // Get the subjects the student is enrolled in
+    const subjects = await Subject.find(await enrolledSubjectsFilter(req.user._id)).populate('teacher', 'name');
 
     // This is a placeholder - in a real app, you'd have a Schedule model
     // For now, generate a sample schedule based on subjects
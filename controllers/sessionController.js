@@ -0,0 +1,134 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// @desc    Get active sessions for current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json(sessions.map(s => s.toSummary(req.authSession._id)));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+const revokeMySession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('revoked_by_user');
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Log out everywhere except the current session
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(
+      req.user._id,
+      'revoked_by_user',
+      req.authSession._id
+    );
+
+    res.json({
+      message: 'All other sessions revoked successfully',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get active sessions for a user
+// @route   GET /api/users/:id/sessions
+// @access  Private/Admin
+const getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('name email role');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessions = await Session.findActiveForUser(user._id);
+
+    res.json({
+      user,
+      sessions: sessions.map(s => s.toSummary())
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Revoke one session of a user
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @access  Private/Admin
+const revokeUserSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.params.id
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('revoked_by_admin');
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Revoke every session of a user
+// @route   DELETE /api/users/:id/sessions
+// @access  Private/Admin
+const revokeUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = await Session.revokeAllForUser(user._id, 'revoked_by_admin');
+
+    res.json({
+      message: 'All sessions revoked successfully',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+  getUserSessions,
+  revokeUserSession,
+  revokeUserSessions
+};
@@ -0,0 +1,54 @@
+const Setting = require('../models/Setting');
+const settingDefinitions = require('../config/settings');
+
+// @desc    Get all settings with their current values
+// @route   GET /api/settings
+// @access  Private/Admin
+const getSettings = async (req, res) => {
+  try {
+    const stored = await Setting.find({}).lean();
+    const storedByKey = Object.fromEntries(stored.map(s => [s.key, s]));
+
+    const settings = Object.entries(settingDefinitions).map(([key, definition]) => ({
+      key,
+      description: definition.description,
+      value: storedByKey[key] ? storedByKey[key].value : definition.default,
+      default: definition.default,
+      updatedAt: storedByKey[key]?.updatedAt || null
+    }));
+
+    res.json(settings);
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update a setting
+// @route   PUT /api/settings/:key
+// @access  Private/Admin
+const updateSetting = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const definition = settingDefinitions[key];
+
+    if (!definition) {
+      return res.status(404).json({ message: 'Setting not found' });
+    }
+
+    if (req.body.value === undefined || !definition.validate(req.body.value)) {
+      return res.status(400).json({ message: `Invalid value for setting ${key}` });
+    }
+
+    const setting = await Setting.set(key, req.body.value, req.user._id);
+    res.json({ key: setting.key, value: setting.value, updatedAt: setting.updatedAt });
+  } catch (error) {
+    console.error('Update setting error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSetting
+};
@@ -1,9 +1,9 @@
-const User = require('../models/User');
 const Subject = require('../models/Subject');
 const Assignment = require('../models/Assignment');
 const Quiz = require('../models/Quiz');
 const Note = require('../models/Note');
 const Submission = require('../models/Submission');
+const { enrolledSubjectsFilter, enrolledWorkFilter } = require('../services/enrollments');
 
 // @desc    Get student dashboard stats
 // @route   GET /api/student/stats
@@ -11,29 +11,12 @@ const Submission = require('../models/Submission');
 const getStudentStats = async (req, res) => {
   try {
     const studentId = req.user._id;
-    const student = await User.findById(studentId).populate('department');
 
-    if (!student.department) {
-      return res.json({
-        assignmentsCompleted: 0,
-        averageScore: 0,
-        quizzesTaken: 0,
-        attendance: 85
-      });
-    }
-
-    // Get subjects for student's department and semester
-    const subjects = await Subject.find({
-      department: student.department._id,
-      semester: student.semester
-    });
-
-    const subjectIds = subjects.map(s => s._id);
+    // Work of the subjects the student is enrolled in
+    const workFilter = await enrolledWorkFilter(studentId);
 
     // Get assignments for these subjects
-    const assignments = await Assignment.find({
-      subject: { $in: subjectIds }
-    });
+    const assignments = await Assignment.find(workFilter);
 
     // Get student's submissions
     const submissions = await Submission.find({
@@ -42,9 +25,7 @@ const getStudentStats = async (req, res) => {
     });
 
     // Get quizzes for these subjects
-    const quizzes = await Quiz.find({
-      subject: { $in: subjectIds }
-    });
+    const quizzes = await Quiz.find(workFilter);
 
     // Calculate stats
     const completedAssignments = submissions.filter(s => s.status === 'graded').length;
@@ -70,15 +51,8 @@ const getStudentStats = async (req, res) => {
 // @access  Private/Student
 const getStudentSubjects = async (req, res) => {
   try {
-    const student = await User.findById(req.user._id).populate('department');
-
-    if (!student.department) {
-      return res.json([]);
-    }
-
     const subjects = await Subject.find({
-      department: student.department._id,
-      semester: student.semester,
+      ...(await enrolledSubjectsFilter(req.user._id)),
       isActive: true
     }).populate('teacher', 'name email');
 
@@ -94,21 +68,8 @@ const getStudentSubjects = async (req, res) => {
 // @access  Private/Student
 const getStudentAssignments = async (req, res) => {
   try {
-    const student = await User.findById(req.user._id).populate('department');
-
-    if (!student.department) {
-      return res.json([]);
-    }
-
-    const subjects = await Subject.find({
-      department: student.department._id,
-      semester: student.semester
-    });
-
-    const subjectIds = subjects.map(s => s._id);
-
     const assignments = await Assignment.find({
-      subject: { $in: subjectIds },
+      ...(await enrolledWorkFilter(req.user._id)),
       isActive: true
     })
     .populate('subject', 'name code')
@@ -145,21 +106,8 @@ const getStudentAssignments = async (req, res) => {
 // @access  Private/Student
 const getStudentQuizzes = async (req, res) => {
   try {
-    const student = await User.findById(req.user._id).populate('department');
-
-    if (!student.department) {
-      return res.json([]);
-    }
-
-    const subjects = await Subject.find({
-      department: student.department._id,
-      semester: student.semester
-    });
-
-    const subjectIds = subjects.map(s => s._id);
-
     const quizzes = await Quiz.find({
-      subject: { $in: subjectIds },
+      ...(await enrolledWorkFilter(req.user._id)),
       isActive: true
     })
     .populate('subject', 'name code')
@@ -179,16 +127,7 @@ const getStudentQuizzes = async (req, res) => {
 // @access  Private/Student
 const getStudentSchedule = async (req, res) => {
   try {
-    const student = await User.findById(req.user._id).populate('department');
-
-    if (!student.department) {
-      return res.json([]);
-    }
-
-    const subjects = await Subject.find({
-      department: student.department._id,
-      semester: student.semester
-    }).populate('teacher', 'name');
+    const subjects = await Subject.find(await enrolledSubjectsFilter(req.user._id)).populate('teacher', 'name');
 
     // Generate schedule based on subjects
     const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
@@ -238,21 +177,8 @@ const getStudentSchedule = async (req, res) => {
 // @access  Private/Student
 const getRecentNotes = async (req, res) => {
   try {
-    const student = await User.findById(req.user._id).populate('department');
-
-    if (!student.department) {
-      return res.json([]);
-    }
-
-    const subjects = await Subject.find({
-      department: student.department._id,
-      semester: student.semester
-    });
-
-    const subjectIds = subjects.map(s => s._id);
-
     const notes = await Note.find({
-      subject: { $in: subjectIds },
+      ...(await enrolledWorkFilter(req.user._id)),
       isActive: true
     })
     .populate('subject', 'name code')
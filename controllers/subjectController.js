@@ -3,23 +3,45 @@ const Department = require('../models/Department');
 const User = require('../models/User');
 const Assignment = require('../models/Assignment');
 const Submission = require('../models/Submission');
+const SubjectOffering = require('../models/SubjectOffering');
+const Enrollment = require('../models/Enrollment');
+const { can, getDepartmentScope } = require('../services/policy');
+const { moveToRecycleBin } = require('../services/recycleBin');
+const { enrolledSubjectsFilter, enrolledStudentsFilter } = require('../services/enrollments');
+const { currentOfferingIds } = require('../services/offerings');
+
+// Returns an error message when the teacher cannot be put on a subject by
+// this user. Heads of department may only assign their own teachers.
+const checkTeacherAssignment = async (user, teacherId) => {
+  const teacher = await User.findOne({ _id: teacherId, role: 'teacher' }).select('department');
+  if (!teacher) {
+    return 'Teacher not found or invalid role';
+  }
+
+  if (!(await can(user, 'manage:subject', teacher))) {
+    return 'Teacher must belong to a department you manage';
+  }
+
+  return null;
+};
 
 // @desc    Create subject
 // @route   POST /api/subjects
-// @access  Private/Admin
+// @access  Private/Admin or Head of Department
 const createSubject = async (req, res) => {
   try {
     const { name, code, description, department, semester, credits, teacher, syllabus } = req.body;
 
-    // Validation
-    if (!name || !code || !department || !semester || !credits) {
+    // Validation. The semester is optional, subjects taught only through
+    // program curricula are placed in semesters there.
+    if (!name || !code || !department || !credits) {
       return res.status(400).json({ message: 'Missing required fields' });
     }
 
-    // Check if subject exists
+    // Check if subject exists, deleted subjects keep their code until purged
     const subjectExists = await Subject.findOne({ 
       $or: [{ name }, { code: code.toUpperCase() }] 
-    });
+    }).setOptions({ withDeleted: true });
     
     if (subjectExists) {
       return res.status(400).json({ message: 'Subject with this name or code already exists' });
@@ -31,11 +53,19 @@ const createSubject = async (req, res) => {
       return res.status(400).json({ message: 'Department not found' });
     }
 
+    if (semester && parseInt(semester) > departmentExists.totalSemesters) {
+      return res.status(400).json({ message: `Semester must be between 1 and ${departmentExists.totalSemesters}` });
+    }
+
+    if (!(await can(req.user, 'manage:subject', { department }))) {
+      return res.status(403).json({ message: 'Not authorized to add subjects to this department' });
+    }
+
     // Verify teacher exists and is a teacher
     if (teacher) {
-      const teacherExists = await User.findOne({ _id: teacher, role: 'teacher' });
-      if (!teacherExists) {
-        return res.status(400).json({ message: 'Teacher not found or invalid role' });
+      const teacherError = await checkTeacherAssignment(req.user, teacher);
+      if (teacherError) {
+        return res.status(400).json({ message: teacherError });
       }
     }
 
@@ -44,22 +74,24 @@ const createSubject = async (req, res) => {
       code: code.toUpperCase(),
       description: description || '',
       department,
-      semester: parseInt(semester),
+      semester: semester ? parseInt(semester) : null,
       credits: parseInt(credits),
       teacher: teacher || null,
       syllabus: syllabus || ''
     });
 
     // Add subject to department's semester
-    const semesterIndex = semester - 1;
-    await Department.findByIdAndUpdate(
-      department,
-      { 
-        $push: { 
-          [`semesters.${semesterIndex}.subjects`]: subject._id 
-        } 
-      }
-    );
+    if (subject.semester) {
+      const semesterIndex = subject.semester - 1;
+      await Department.findByIdAndUpdate(
+        department,
+        { 
+          $push: { 
+            [`semesters.${semesterIndex}.subjects`]: subject._id 
+          } 
+        }
+      );
+    }
 
     res.status(201).json(subject);
   } catch (error) {
@@ -80,6 +112,14 @@ const getSubjects = async (req, res) => {
     if (semester) query.semester = parseInt(semester);
     if (teacher) query.teacher = teacher;
 
+    // Department-restricted API keys only see their departments
+    const departments = await getDepartmentScope(req.user, 'read:subject');
+    if (departments !== null) {
+      query.department = department && departments.includes(String(department))
+        ? department
+        : { $in: departments };
+    }
+
     const subjects = await Subject.find(query)
       .populate('department', 'name code')
       .populate('teacher', 'name email')
@@ -111,8 +151,14 @@ const getSubjectsByTeacher = async (req, res) => {
     
     console.log('Fetching subjects for teacher:', teacherId);
     
+    // Subjects they normally teach, and those they teach this term
+    const offeredSubjectIds = await SubjectOffering.find({
+      _id: { $in: await currentOfferingIds() },
+      teacher: teacherId
+    }).distinct('subject');
+
     const subjects = await Subject.find({ 
-      teacher: teacherId,
+      $or: [{ teacher: teacherId }, { _id: { $in: offeredSubjectIds } }],
       isActive: true 
     })
     .populate('department', 'name code')
@@ -122,11 +168,7 @@ const getSubjectsByTeacher = async (req, res) => {
     const subjectsWithStats = await Promise.all(
       subjects.map(async (subject) => {
         const assignments = await Assignment.countDocuments({ subject: subject._id });
-        const students = await User.countDocuments({
-          role: 'student',
-          department: subject.department,
-          semester: subject.semester
-        });
+        const students = await User.countDocuments(await enrolledStudentsFilter(subject));
         
         return {
           ...subject.toObject(),
@@ -148,21 +190,10 @@ const getSubjectsByTeacher = async (req, res) => {
 // @access  Private/Student
 const getSubjectsByStudent = async (req, res) => {
   try {
-    const student = await User.findById(req.user._id).populate('department');
-
-    if (!student.department) {
-      return res.status(400).json({ message: 'Student not assigned to any department' });
-    }
-
-    console.log('Fetching subjects for student:', {
-      studentId: student._id,
-      department: student.department._id,
-      semester: student.semester
-    });
+    console.log('Fetching subjects for student:', req.user._id);
 
     const subjects = await Subject.find({
-      department: student.department._id,
-      semester: student.semester,
+      ...(await enrolledSubjectsFilter(req.user._id)),
       isActive: true
     }).populate('teacher', 'name email');
 
@@ -181,10 +212,14 @@ const getSubjectsByStudent = async (req, res) => {
 const getSubjectById = async (req, res) => {
   try {
     const subject = await Subject.findById(req.params.id)
-      .populate('department', 'name code faculty')
+      .populate({
+        path: 'department',
+        select: 'name code faculty',
+        populate: { path: 'faculty', select: 'name code' }
+      })
       .populate('teacher', 'name email phone');
 
-    if (!subject) {
+    if (!subject || !(await can(req.user, 'read:subject', subject))) {
       return res.status(404).json({ message: 'Subject not found' });
     }
 
@@ -201,11 +236,10 @@ const getSubjectById = async (req, res) => {
 const getSubjectStats = async (req, res) => {
   try {
     const subjectId = req.params.id;
-    const teacherId = req.user._id;
 
-    // Verify the subject belongs to this teacher
-    const subject = await Subject.findOne({ _id: subjectId, teacher: teacherId });
-    if (!subject) {
+    // Verify the user may see this subject's statistics
+    const subject = await Subject.findById(subjectId);
+    if (!subject || !(await can(req.user, 'view:subject-stats', subject))) {
       return res.status(404).json({ message: 'Subject not found or not authorized' });
     }
 
@@ -220,9 +254,7 @@ const getSubjectStats = async (req, res) => {
 
     // Get enrolled students
     const students = await User.countDocuments({
-      role: 'student',
-      department: subject.department,
-      semester: subject.semester,
+      ...(await enrolledStudentsFilter(subject)),
       isActive: true
     });
 
@@ -323,7 +355,7 @@ const getSubjectStatsForStudent = async (req, res) => {
 
 // @desc    Update subject
 // @route   PUT /api/subjects/:id
-// @access  Private/Admin
+// @access  Private/Admin or Head of Department
 const updateSubject = async (req, res) => {
   try {
     const subject = await Subject.findById(req.params.id);
@@ -332,9 +364,21 @@ const updateSubject = async (req, res) => {
       return res.status(404).json({ message: 'Subject not found' });
     }
 
+    if (!(await can(req.user, 'manage:subject', subject))) {
+      return res.status(403).json({ message: 'Not authorized to update this subject' });
+    }
+
+    if (req.body.teacher && String(req.body.teacher) !== String(subject.teacher)) {
+      const teacherError = await checkTeacherAssignment(req.user, req.body.teacher);
+      if (teacherError) {
+        return res.status(400).json({ message: teacherError });
+      }
+    }
+
     // Check if code is being changed and if it's unique
     if (req.body.code && req.body.code !== subject.code) {
-      const existingSubject = await Subject.findOne({ code: req.body.code.toUpperCase() });
+      const existingSubject = await Subject.findOne({ code: req.body.code.toUpperCase() })
+        .setOptions({ withDeleted: true });
       if (existingSubject) {
         return res.status(400).json({ message: 'Subject code already exists' });
       }
@@ -358,7 +402,7 @@ const updateSubject = async (req, res) => {
 
 // @desc    Delete subject
 // @route   DELETE /api/subjects/:id
-// @access  Private/Admin
+// @access  Private/Admin or Head of Department
 const deleteSubject = async (req, res) => {
   try {
     const subject = await Subject.findById(req.params.id);
@@ -367,6 +411,10 @@ const deleteSubject = async (req, res) => {
       return res.status(404).json({ message: 'Subject not found' });
     }
 
+    if (!(await can(req.user, 'manage:subject', subject))) {
+      return res.status(403).json({ message: 'Not authorized to delete this subject' });
+    }
+
     // Check if subject has any assignments
     const hasAssignments = await Assignment.exists({ subject: subject._id });
     if (hasAssignments) {
@@ -375,13 +423,15 @@ const deleteSubject = async (req, res) => {
       });
     }
 
-    // Remove subject from department
-    await Department.updateOne(
-      { _id: subject.department },
-      { $pull: { [`semesters.${subject.semester - 1}.subjects`]: subject._id } }
-    );
+    // Enrollments are students' records and offerings carry the term's work
+    if (await Enrollment.exists({ subject: subject._id }) || await SubjectOffering.exists({ subject: subject._id })) {
+      return res.status(400).json({
+        message: 'Cannot delete subject with enrollments or offerings. Deactivate it instead.'
+      });
+    }
 
-    await subject.deleteOne();
+    // Also takes it off the department's semester, restoring puts it back
+    await moveToRecycleBin('subject', subject, req.user._id);
     res.json({ message: 'Subject removed successfully' });
   } catch (error) {
     console.error('Delete subject error:', error);
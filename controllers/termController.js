@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const AcademicTerm = require('../models/AcademicTerm');
+const SubjectOffering = require('../models/SubjectOffering');
+const RegistrationWindow = require('../models/RegistrationWindow');
+const Program = require('../models/Program');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'code',
+  'academicYear',
+  'startDate',
+  'endDate',
+  'registrationOpensAt',
+  'registrationClosesAt',
+  'isActive'
+];
+
+const WINDOW_FIELDS = ['opensAt', 'closesAt', 'minCredits', 'maxCredits', 'isActive'];
+
+const sendValidationError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'Term code already exists' });
+  }
+  return null;
+};
+
+// @desc    Get academic terms
+// @route   GET /api/terms
+// @access  Private
+const getTerms = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    if (req.query.academicYear) query.academicYear = req.query.academicYear;
+
+    const terms = await AcademicTerm.find(query).sort('-startDate');
+    res.json(terms);
+  } catch (error) {
+    console.error('Get terms error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the term(s) running today
+// @route   GET /api/terms/current
+// @access  Private
+const getCurrentTerms = async (req, res) => {
+  try {
+    const terms = await AcademicTerm.findCurrent();
+    res.json(terms.map(term => ({ ...term.toObject(), registrationOpen: term.isRegistrationOpen() })));
+  } catch (error) {
+    console.error('Get current terms error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a term with its offerings
+// @route   GET /api/terms/:id
+// @access  Private
+const getTermById = async (req, res) => {
+  try {
+    const term = mongoose.isValidObjectId(req.params.id) && await AcademicTerm.findById(req.params.id).lean();
+    if (!term) {
+      return res.status(404).json({ message: 'Term not found' });
+    }
+
+    term.offerings = await SubjectOffering.find({ term: term._id })
+      .populate('subject', 'name code credits department')
+      .populate('teacher', 'name email');
+
+    res.json(term);
+  } catch (error) {
+    console.error('Get term error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create academic term
+// @route   POST /api/terms
+// @access  Private/Admin
+const createTerm = async (req, res) => {
+  try {
+    const term = new AcademicTerm();
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) term[field] = req.body[field];
+    });
+
+    await term.save();
+    res.status(201).json(term);
+  } catch (error) {
+    if (sendValidationError(res, error)) return;
+    console.error('Create term error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update academic term
+// @route   PUT /api/terms/:id
+// @access  Private/Admin
+const updateTerm = async (req, res) => {
+  try {
+    const term = mongoose.isValidObjectId(req.params.id) && await AcademicTerm.findById(req.params.id);
+    if (!term) {
+      return res.status(404).json({ message: 'Term not found' });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) term[field] = req.body[field];
+    });
+
+    await term.save();
+    res.json(term);
+  } catch (error) {
+    if (sendValidationError(res, error)) return;
+    console.error('Update term error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a term nothing is offered in
+// @route   DELETE /api/terms/:id
+// @access  Private/Admin
+const deleteTerm = async (req, res) => {
+  try {
+    const term = mongoose.isValidObjectId(req.params.id) && await AcademicTerm.findById(req.params.id);
+    if (!term) {
+      return res.status(404).json({ message: 'Term not found' });
+    }
+
+    if (await SubjectOffering.exists({ term: term._id })) {
+      return res.status(400).json({ message: 'Cannot delete a term with subject offerings. Deactivate it instead.' });
+    }
+
+    await RegistrationWindow.deleteMany({ term: term._id });
+    await term.deleteOne();
+    res.json({ message: 'Term removed' });
+  } catch (error) {
+    console.error('Delete term error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// The term named in the route, or sends a 404
+const loadTerm = async (req, res) => {
+  const term = mongoose.isValidObjectId(req.params.id) && await AcademicTerm.findById(req.params.id);
+  if (!term) {
+    res.status(404).json({ message: 'Term not found' });
+    return null;
+  }
+  return term;
+};
+
+// @desc    Get a term's registration windows
+// @route   GET /api/terms/:id/windows
+// @access  Private
+const getRegistrationWindows = async (req, res) => {
+  try {
+    const term = await loadTerm(req, res);
+    if (!term) return;
+
+    const windows = await RegistrationWindow.find({ term: term._id })
+      .populate('program', 'name code')
+      .sort('opensAt');
+
+    res.json(windows);
+  } catch (error) {
+    console.error('Get registration windows error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Open registration for a program in a term
+// @route   POST /api/terms/:id/windows
+// @access  Private/Admin
+const createRegistrationWindow = async (req, res) => {
+  try {
+    const term = await loadTerm(req, res);
+    if (!term) return;
+
+    const { program } = req.body;
+    if (!mongoose.isValidObjectId(program) || !(await Program.exists({ _id: program }))) {
+      return res.status(400).json({ message: 'Program not found' });
+    }
+
+    if (await RegistrationWindow.exists({ term: term._id, program })) {
+      return res.status(400).json({ message: 'This program already has a registration window in this term' });
+    }
+
+    const window = new RegistrationWindow({ term: term._id, program });
+    WINDOW_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) window[field] = req.body[field];
+    });
+
+    await window.save();
+    res.status(201).json(window);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create registration window error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Change a registration window's dates or credit limits
+// @route   PUT /api/terms/:id/windows/:windowId
+// @access  Private/Admin
+const updateRegistrationWindow = async (req, res) => {
+  try {
+    const window = mongoose.isValidObjectId(req.params.windowId) &&
+      await RegistrationWindow.findOne({ _id: req.params.windowId, term: req.params.id });
+    if (!window) {
+      return res.status(404).json({ message: 'Registration window not found' });
+    }
+
+    WINDOW_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) window[field] = req.body[field];
+    });
+
+    await window.save();
+    res.json(window);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update registration window error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Remove a registration window, the program falls back to the term's dates
+// @route   DELETE /api/terms/:id/windows/:windowId
+// @access  Private/Admin
+const deleteRegistrationWindow = async (req, res) => {
+  try {
+    const window = mongoose.isValidObjectId(req.params.windowId) &&
+      await RegistrationWindow.findOneAndDelete({ _id: req.params.windowId, term: req.params.id });
+    if (!window) {
+      return res.status(404).json({ message: 'Registration window not found' });
+    }
+
+    res.json({ message: 'Registration window removed' });
+  } catch (error) {
+    console.error('Delete registration window error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getTerms,
+  getCurrentTerms,
+  getTermById,
+  createTerm,
+  updateTerm,
+  deleteTerm,
+  getRegistrationWindows,
+  createRegistrationWindow,
+  updateRegistrationWindow,
+  deleteRegistrationWindow
+};
@@ -0,0 +1,257 @@
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const { issueSession, buildAuthResponse, sendLockedResponse } = require('./authController');
+const { verifyChallengeToken } = require('../utils/tokens');
+const { generateSecret, verifyToken, buildOtpauthUri } = require('../utils/totp');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || process.env.APP_NAME || 'University Portal';
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Check a TOTP code against the user's active secret, recording the step
+// so the same code cannot be replayed. The caller saves the user.
+const checkTotp = (user, code) => {
+  const step = verifyToken(user.twoFactor.secret, code, {
+    lastUsedStep: user.twoFactor.lastUsedStep
+  });
+  if (step === null) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+const isRequiredForRole = async (role) => {
+  const requiredRoles = await Setting.get('auth.twoFactorRequiredRoles');
+  return requiredRoles.includes(role);
+};
+
+// @desc    Get two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await isRequiredForRole(user.role),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Start enrolment, returns the secret and provisioning URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or setup challenge)
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: buildOtpauthUri(secret, user.email, TOTP_ISSUER)
+    });
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Confirm enrolment with a first code, returns recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or setup challenge)
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id)
+      .select(TWO_FACTOR_FIELDS)
+      .populate('department', 'name code');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyToken(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    const response = {
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    };
+
+    // Enrolment forced at login finishes that login
+    if (req.viaSetupChallenge) {
+      const tokens = await issueSession(user, req);
+      Object.assign(response, buildAuthResponse(user, tokens));
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Second login step, exchanges a challenge and code for a session
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyChallengeToken(challengeToken, '2fa-login');
+    if (!userId) {
+      return res.status(401).json({ message: 'Invalid or expired challenge, please log in again' });
+    }
+
+    const user = await User.findById(userId)
+      .select(TWO_FACTOR_FIELDS)
+      .populate('department', 'name code');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Invalid or expired challenge, please log in again' });
+    }
+
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user);
+    }
+
+    let verified = false;
+    if (code) {
+      verified = checkTotp(user, code);
+    } else if (recoveryCode) {
+      verified = user.useRecoveryCode(recoveryCode);
+    }
+
+    if (!verified) {
+      await user.registerFailedLogin({ ip: req.ip, userAgent: req.get('user-agent'), reason: 'two_factor' });
+      if (user.isLocked()) {
+        return sendLockedResponse(res, user);
+      }
+      return res.status(401).json({ message: 'Invalid verification code', code: 'INVALID_CREDENTIALS' });
+    }
+
+    await user.save();
+    await user.resetLoginFailures();
+
+    const tokens = await issueSession(user, req);
+    res.json({
+      ...buildAuthResponse(user, tokens),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+    });
+  } catch (error) {
+    console.error('Verify two-factor error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!checkTotp(user, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await isRequiredForRole(user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const isMatch = await user.comparePassword(password || '');
+    if (!isMatch || !checkTotp(user, code)) {
+      return res.status(400).json({ message: 'Invalid password or verification code' });
+    }
+
+    user.resetTwoFactor();
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Reset a user's two-factor enrolment, e.g. after a lost device
+// @route   DELETE /api/users/:id/two-factor
+// @access  Private/Admin
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.resetTwoFactor();
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication reset, the user must enrol again' });
+  } catch (error) {
+    console.error('Reset user two-factor error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetUserTwoFactor
+};
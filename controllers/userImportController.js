@@ -0,0 +1,100 @@
+const AuditLog = require('../models/AuditLog');
+const { readSpreadsheetRows } = require('../services/spreadsheet');
+const {
+  MAX_IMPORT_ROWS,
+  validateImportRows,
+  createImportedAccounts
+} = require('../services/userImport');
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+// @desc    Import students and teachers from a CSV or XLSX file. The default
+//          dry-run only reports per-row errors, commit creates the accounts.
+// @route   POST /api/users/import
+// @access  Private/Admin
+const importUsers = async (req, res) => {
+  try {
+    const mode = req.body.mode || 'dry-run';
+    if (!['dry-run', 'commit'].includes(mode)) {
+      return res.status(400).json({ message: 'Mode must be dry-run or commit' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload a CSV or XLSX file' });
+    }
+
+    let rows;
+    try {
+      rows = await readSpreadsheetRows(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read the file: ${error.message}` });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'The file has no rows to import' });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `A file can import at most ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const results = await validateImportRows(rows);
+    const invalid = results.filter(result => result.errors.length > 0);
+    const summary = {
+      total: results.length,
+      valid: results.length - invalid.length,
+      invalid: invalid.length
+    };
+    const errors = invalid.map(({ row, email, errors: rowErrors }) => ({ row, email, errors: rowErrors }));
+
+    if (mode === 'dry-run') {
+      return res.json({
+        mode,
+        summary,
+        errors,
+        rows: results.map(({ row, email, account, errors: rowErrors }) => ({
+          row,
+          email,
+          name: account.name,
+          role: account.role,
+          valid: rowErrors.length === 0
+        }))
+      });
+    }
+
+    // All or nothing, so a corrected file can simply be uploaded again
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        message: 'The file has errors, nothing was imported',
+        mode,
+        summary,
+        errors
+      });
+    }
+
+    const { created, failed } = await createImportedAccounts(results, {
+      invitedBy: req.user,
+      sendInvitations: isTrue(req.body.sendInvitations)
+    });
+
+    await AuditLog.record({
+      action: 'user.import',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: { fileName: req.file.originalname, created: created.length, failed: failed.length }
+    });
+
+    res.status(201).json({
+      mode,
+      summary: { ...summary, created: created.length, failed: failed.length },
+      created,
+      errors: failed
+    });
+  } catch (error) {
+    console.error('Import users error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = { importUsers };
@@ -0,0 +1,47 @@
+const DeletionRequest = require('../models/DeletionRequest');
+const AuditLog = require('../models/AuditLog');
+const { anonymiseUser } = require('../services/accountDeletion');
+
+const INTERVAL_MS = (parseInt(process.env.DELETION_JOB_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Anonymise every account whose approved deletion request is due. One
+// failure, a missing account included, is logged and retried on the next
+// run without holding up the rest.
+const processDueDeletionRequests = async () => {
+  const due = await DeletionRequest.findDue();
+  let completed = 0;
+
+  for (const deletionRequest of due) {
+    try {
+      if (!(await anonymiseUser(deletionRequest.user))) {
+        throw new Error(`User ${deletionRequest.user} not found`);
+      }
+
+      deletionRequest.status = 'completed';
+      deletionRequest.completedAt = new Date();
+      await deletionRequest.save();
+
+      await AuditLog.record({
+        action: 'deletion.complete',
+        actor: deletionRequest.decidedBy,
+        details: { deletionRequest: deletionRequest._id, user: deletionRequest.user }
+      });
+      completed += 1;
+    } catch (error) {
+      console.error(`Deletion request ${deletionRequest._id} failed:`, error);
+    }
+  }
+
+  return completed;
+};
+
+const startDeletionRequestJob = () => {
+  const run = () => processDueDeletionRequests().catch(error => {
+    console.error('Deletion request job error:', error);
+  });
+
+  run();
+  return setInterval(run, INTERVAL_MS).unref();
+};
+
+module.exports = { processDueDeletionRequests, startDeletionRequestJob };
@@ -0,0 +1,31 @@
+const AuditLog = require('../models/AuditLog');
+const { purgeExpired } = require('../services/recycleBin');
+
+const INTERVAL_MS = (parseInt(process.env.RECYCLE_BIN_JOB_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Purge records past the retention window, logged against whoever deleted them
+const purgeExpiredRecords = async () => {
+  const purged = await purgeExpired();
+
+  for (const record of purged) {
+    if (!record.deletedBy) continue;
+    await AuditLog.record({
+      action: 'recycle.purge',
+      actor: record.deletedBy,
+      details: { type: record.type, record: record._id, expired: true }
+    });
+  }
+
+  return purged.length;
+};
+
+const startRecycleBinJob = () => {
+  const run = () => purgeExpiredRecords().catch(error => {
+    console.error('Recycle bin job error:', error);
+  });
+
+  run();
+  return setInterval(run, INTERVAL_MS).unref();
+};
+
+module.exports = { purgeExpiredRecords, startRecycleBinJob };
@@ -0,0 +1,14 @@
+const { applyDueStatusChanges } = require('../services/studentStatus');
+
+const INTERVAL_MS = (parseInt(process.env.STUDENT_STATUS_JOB_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+const startStudentStatusJob = () => {
+  const run = () => applyDueStatusChanges().catch(error => {
+    console.error('Student status job error:', error);
+  });
+
+  run();
+  return setInterval(run, INTERVAL_MS).unref();
+};
+
+module.exports = { startStudentStatusJob };
@@ -1,35 +1,233 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const ApiKey = require('../models/ApiKey');
+const { verifyAccessToken, verifyChallengeToken } = require('../utils/tokens');
+const { hasPermission } = require('../services/policy');
+const { currentStatus, isStudying } = require('../config/studentStatuses');
 
-const protect = async (req, res, next) => {
-  let token;
+// Mark and log every request made while impersonating, and refuse writes
+// in read-only impersonation. Returns false once it has responded.
+const applyImpersonation = (req, res, session) => {
+  const { by, readOnly } = session.impersonation;
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-      req.user = await User.findById(decoded.id).select('-password');
-      next();
-    } catch (error) {
-      console.error(error);
-      res.status(401).json({ message: 'Not authorized, token failed' });
-    }
+  res.set('X-Impersonating', session.user.toString());
+  res.set('X-Impersonated-By', by.toString());
+  req.impersonator = by;
+
+  const blocked = !req.allowWhileReadOnly && !session.allowsMethod(req.method);
+
+  res.on('finish', () => {
+    AuditLog.record({
+      action: blocked ? 'impersonation.blocked' : 'impersonation.request',
+      actor: by,
+      onBehalfOf: session.user,
+      session: session._id,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  });
+
+  if (blocked) {
+    res.status(403).json({
+      message: 'This impersonation session is read-only',
+      code: 'IMPERSONATION_READ_ONLY',
+      readOnly
+    });
+    return false;
   }
 
-  if (!token) {
-    res.status(401).json({ message: 'Not authorized, no token' });
+  return true;
+};
+
+// API key from 'X-API-Key' or a bearer token in key format
+const getApiKey = (req) => {
+  const bearer = (req.headers.authorization || '').split(' ')[1];
+  if (ApiKey.looksLikeKey(bearer)) return bearer;
+  return req.get('x-api-key') || null;
+};
+
+// Authenticate as the key's service account. Its permissions are narrowed
+// to the key's scopes through the policy.
+const protectWithApiKey = async (req, res, next, key) => {
+  if (!req.allowApiKey) {
+    return res.status(401).json({ message: 'API keys cannot be used for this endpoint' });
+  }
+
+  try {
+    const apiKey = await ApiKey.findByKey(key);
+    if (!apiKey || !apiKey.isUsable()) {
+      return res.status(401).json({ message: 'Not authorized, invalid or expired API key' });
+    }
+
+    const user = await User.findById(apiKey.serviceAccount).select('-password');
+    if (!user || !user.isActive || !user.isServiceAccount) {
+      return res.status(401).json({ message: 'Not authorized, account unavailable' });
+    }
+
+    await apiKey.recordUsage(req.ip);
+
+    user.$locals.apiKey = apiKey;
+    req.user = user;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        message: `Role ${req.user.role} is not authorized to access this resource` 
+const protect = async (req, res, next) => {
+  const apiKey = getApiKey(req);
+  if (apiKey) {
+    return protectWithApiKey(req, res, next, apiKey);
+  }
+
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return res.status(401).json({ message: 'Not authorized, no token' });
+  }
+
+  let decoded;
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({ message: 'Not authorized, token failed' });
+  }
+
+  try {
+    // Tokens issued before sessions existed carry no session id
+    if (!decoded.sid) {
+      return res.status(401).json({ message: 'Not authorized, session expired' });
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isValid() || session.user.toString() !== decoded.id) {
+      return res.status(401).json({ message: 'Not authorized, session expired' });
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user || !user.isActive || user.approvalStatus !== 'approved') {
+      return res.status(401).json({ message: 'Not authorized, account unavailable' });
+    }
+
+    // Unconfirmed addresses only reach routes that opt in, e.g. the profile
+    if (!user.emailVerified && !req.allowUnverifiedEmail) {
+      return res.status(403).json({
+        message: 'Please confirm your email address first',
+        code: 'EMAIL_NOT_VERIFIED'
       });
     }
+
+    await session.touch(req.ip);
+
+    if (session.isImpersonation() && !applyImpersonation(req, res, session)) {
+      return;
+    }
+
+    req.user = user;
+    req.authSession = session;
     next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Accept a logged-in user or a '2fa-setup' challenge token from login,
+// so users whose role requires 2FA can enrol before their first session
+const protectOrSetupChallenge = async (req, res, next) => {
+  if (!req.body || !req.body.challengeToken) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const userId = verifyChallengeToken(req.body.challengeToken, '2fa-setup');
+    if (!userId) {
+      return res.status(401).json({ message: 'Invalid or expired challenge' });
+    }
+
+    const user = await User.findById(userId).select('-password');
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Not authorized, account unavailable' });
+    }
+
+    req.user = user;
+    req.viaSetupChallenge = true;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Let a route run inside a read-only impersonation, e.g. to end it.
+// Goes before protect.
+const allowWhileReadOnly = (req, res, next) => {
+  req.allowWhileReadOnly = true;
+  next();
+};
+
+// Let a route serve users who have not confirmed their email yet. Goes
+// before protect.
+const allowUnverifiedEmail = (req, res, next) => {
+  req.allowUnverifiedEmail = true;
+  next();
+};
+
+// Let a route accept API keys as well as logged-in users. Goes before
+// protect, and the route must check permissions for the key's scopes to apply.
+const allowApiKey = (req, res, next) => {
+  req.allowApiKey = true;
+  next();
+};
+
+// Require each permission under some scope. Scoped grants (':own') are
+// then checked against the actual resource in the controller with can()
+const requirePermission = (...required) => {
+  return async (req, res, next) => {
+    try {
+      for (const permission of required) {
+        if (!(await hasPermission(req.user, permission))) {
+          return res.status(403).json({
+            message: req.apiKey
+              ? 'API key is not scoped for this resource'
+              : `Role ${req.user.role} is not authorized to access this resource`,
+            code: 'FORBIDDEN',
+            permission
+          });
+        }
+      }
+      next();
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
   };
 };
 
-module.exports = { protect, authorize };
\ No newline at end of file
+// Keep students who are not currently studying (on leave, suspended,
+// withdrawn, graduated) out of teaching routes. Goes after protect.
+const requireStudying = (req, res, next) => {
+  if (req.user.role === 'student' && !isStudying(req.user)) {
+    return res.status(403).json({
+      message: 'Only enrolled students can access this resource',
+      code: 'STUDENT_NOT_ENROLLED',
+      studentStatus: currentStatus(req.user)
+    });
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  protectOrSetupChallenge,
+  allowWhileReadOnly,
+  allowUnverifiedEmail,
+  allowApiKey,
+  requirePermission,
+  requireStudying
+};
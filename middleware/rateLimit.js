@@ -0,0 +1,53 @@
+const rateLimit = require('express-rate-limit');
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+// 429 with a code the frontend can tell apart from an account lockout
+const handler = (req, res, next, options) => {
+  res.status(options.statusCode).json({
+    message: 'Too many attempts, please try again later',
+    code: 'RATE_LIMITED',
+    retryAfter: Math.ceil(options.windowMs / 1000)
+  });
+};
+
+const accountKey = (req) => `account:${String(req.body?.email || '').trim().toLowerCase()}`;
+
+const createLimiter = ({ windowMs, max, perAccount = false }) => rateLimit({
+  windowMs,
+  max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler,
+  ...(perAccount && {
+    keyGenerator: accountKey,
+    skip: (req) => !req.body?.email
+  })
+});
+
+const loginIpLimiter = createLimiter({ windowMs: FIFTEEN_MINUTES, max: 30 });
+const loginAccountLimiter = createLimiter({ windowMs: FIFTEEN_MINUTES, max: 10, perAccount: true });
+const twoFactorLimiter = createLimiter({ windowMs: FIFTEEN_MINUTES, max: 10 });
+const forgotPasswordIpLimiter = createLimiter({ windowMs: ONE_HOUR, max: 10 });
+const forgotPasswordAccountLimiter = createLimiter({ windowMs: ONE_HOUR, max: 3, perAccount: true });
+const resetPasswordLimiter = createLimiter({ windowMs: ONE_HOUR, max: 20 });
+const verificationEmailIpLimiter = createLimiter({ windowMs: ONE_HOUR, max: 10 });
+const verificationEmailAccountLimiter = createLimiter({ windowMs: ONE_HOUR, max: 3, perAccount: true });
+const verifyEmailLimiter = createLimiter({ windowMs: ONE_HOUR, max: 20 });
+const expiredPasswordLimiter = createLimiter({ windowMs: FIFTEEN_MINUTES, max: 10 });
+const dataExportLimiter = createLimiter({ windowMs: ONE_HOUR, max: 5 });
+
+module.exports = {
+  loginIpLimiter,
+  loginAccountLimiter,
+  twoFactorLimiter,
+  forgotPasswordIpLimiter,
+  forgotPasswordAccountLimiter,
+  resetPasswordLimiter,
+  verificationEmailIpLimiter,
+  verificationEmailAccountLimiter,
+  verifyEmailLimiter,
+  expiredPasswordLimiter,
+  dataExportLimiter
+};
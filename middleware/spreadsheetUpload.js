@@ -0,0 +1,19 @@
+const multer = require('multer');
+const path = require('path');
+const { SPREADSHEET_EXTENSIONS } = require('../services/spreadsheet');
+
+// Spreadsheets are parsed straight from memory and never stored
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (SPREADSHEET_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV and XLSX files are allowed'));
+  }
+});
+
+module.exports = spreadsheetUpload;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const Subject = require('./models/Subject');
+const Enrollment = require('./models/Enrollment');
+const { studyingFilter } = require('./config/studentStatuses');
+const { studentSubjectsFilter } = require('./services/studentSubjects');
+require('dotenv').config();
+
+// Students used to take every subject of their curriculum's, or their
+// department's, current semester. Enrolls each studying student who has
+// no enrollments yet in exactly those subjects, so they keep seeing what
+// they saw before. The enrollments carry no offering and follow each
+// subject's current offering. Safe to run again, students with any
+// enrollment are left alone.
+//
+//   node migrate-enrollments.js            enroll
+//   node migrate-enrollments.js --dry-run  only show what would happen
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateEnrollments = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/university_management');
+
+    const alreadyEnrolled = await Enrollment.distinct('student');
+    const students = await User.find({
+      _id: { $nin: alreadyEnrolled },
+      role: 'student',
+      department: { $ne: null },
+      ...studyingFilter()
+    }).select('name email department semester curriculum');
+
+    if (students.length === 0) {
+      console.log('✅ No students left to enroll');
+      process.exit(0);
+    }
+
+    let enrollments = 0;
+    const skipped = [];
+
+    for (const student of students) {
+      const subjects = await Subject.find({ ...(await studentSubjectsFilter(student)), isActive: true })
+        .select('name code');
+
+      if (subjects.length === 0) {
+        skipped.push(student);
+        continue;
+      }
+
+      console.log(`${student.name} <${student.email}> <- ${subjects.map(subject => subject.code).join(', ')}`);
+      enrollments += subjects.length;
+
+      if (dryRun) continue;
+
+      await Enrollment.insertMany(subjects.map(subject => ({
+        student: student._id,
+        subject: subject._id,
+        reason: 'Enrolled from their semester when enrollments were introduced'
+      })));
+    }
+
+    skipped.forEach(student => {
+      console.log(`⚠️  ${student.name} <${student.email}> has no subjects in semester ${student.semester}, enroll them by hand`);
+    });
+
+    const enrolledStudents = students.length - skipped.length;
+    console.log(dryRun
+      ? `Dry run: ${enrollments} enrollments would be created for ${enrolledStudents} students`
+      : `✅ Created ${enrollments} enrollments for ${enrolledStudents} students`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+};
+
+migrateEnrollments();
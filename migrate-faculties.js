@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Department = require('./models/Department');
+const Faculty = require('./models/Faculty');
+require('dotenv').config();
+
+// Converts the free-text Department.faculty strings into Faculty documents
+// and points each department at its faculty. Spellings that only differ by
+// case, spacing or a "Faculty of" prefix become one faculty. Safe to run
+// again, departments already converted are left alone.
+//
+//   node migrate-faculties.js            convert
+//   node migrate-faculties.js --dry-run  only show what would happen
+
+const dryRun = process.argv.includes('--dry-run');
+
+const STOP_WORDS = ['of', 'and', 'the', '&'];
+
+// "Faculty of Engineering", " engineering faculty " -> "engineering"
+const normaliseName = (value) => value
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^(the\s+)?faculty\s+of\s+(the\s+)?/i, '')
+  .replace(/\s+faculty$/i, '');
+
+// Initials of the name, or its first letters when it is a single word
+const baseCode = (name) => {
+  const words = name.split(' ').filter(word => !STOP_WORDS.includes(word.toLowerCase()));
+  const code = words.length > 1
+    ? words.map(word => word[0]).join('')
+    : words[0].slice(0, 3);
+  return code.toUpperCase().replace(/[^A-Z0-9]/g, '') || 'FAC';
+};
+
+const uniqueCode = async (name, taken) => {
+  const base = baseCode(name);
+  let code = base;
+  for (let n = 2; taken.has(code) || await Faculty.exists({ code }); n++) {
+    code = `${base}${n}`;
+  }
+  taken.add(code);
+  return code;
+};
+
+const migrateFaculties = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/university_management');
+
+    // Read straight from the collection, the schema now expects an ObjectId
+    const departments = await Department.collection
+      .find({ faculty: { $type: 'string' } })
+      .project({ name: 1, faculty: 1 })
+      .toArray();
+
+    if (departments.length === 0) {
+      console.log('✅ No departments left to convert');
+      process.exit(0);
+    }
+
+    const faculties = new Map();
+    const takenCodes = new Set();
+    const skipped = [];
+
+    for (const department of departments) {
+      const name = normaliseName(department.faculty);
+      if (!name) {
+        skipped.push(department);
+        continue;
+      }
+
+      const key = name.toLowerCase();
+      if (!faculties.has(key)) {
+        const existing = await Faculty.findOne({ name }).collation({ locale: 'en', strength: 2 });
+        faculties.set(key, {
+          faculty: existing,
+          name,
+          code: existing ? existing.code : await uniqueCode(name, takenCodes),
+          spellings: new Set(),
+          departments: []
+        });
+      }
+
+      const entry = faculties.get(key);
+      entry.spellings.add(department.faculty);
+      entry.departments.push(department);
+    }
+
+    for (const entry of faculties.values()) {
+      const action = entry.faculty ? 'existing' : 'new';
+      console.log(`${entry.name} (${entry.code}, ${action}) <- ${[...entry.spellings].map(s => `"${s}"`).join(', ')}`);
+      entry.departments.forEach(department => console.log(`   ${department.name}`));
+
+      if (dryRun) continue;
+
+      if (!entry.faculty) {
+        entry.faculty = await Faculty.create({ name: entry.name, code: entry.code });
+      }
+
+      await Department.collection.updateMany(
+        { _id: { $in: entry.departments.map(department => department._id) } },
+        { $set: { faculty: entry.faculty._id } }
+      );
+    }
+
+    skipped.forEach(department => {
+      console.log(`⚠️  ${department.name} has a blank faculty, set one by hand`);
+    });
+
+    console.log(dryRun
+      ? `Dry run: ${departments.length - skipped.length} departments would be converted`
+      : `✅ Converted ${departments.length - skipped.length} departments into ${faculties.size} faculties`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+};
+
+migrateFaculties();
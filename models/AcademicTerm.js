@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A teaching period, e.g. the autumn term of 2025/26. Subjects are taught
+// in terms through their offerings.
+const academicTermSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Term name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Term code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // e.g. "2025/26"
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  registrationOpensAt: {
+    type: Date,
+    default: null
+  },
+  registrationClosesAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+academicTermSchema.index({ startDate: 1, endDate: 1 });
+
+academicTermSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  if (this.registrationOpensAt && this.registrationClosesAt &&
+      this.registrationClosesAt <= this.registrationOpensAt) {
+    this.invalidate('registrationClosesAt', 'Registration must close after it opens');
+  }
+  if (this.registrationClosesAt && this.endDate && this.registrationClosesAt > this.endDate) {
+    this.invalidate('registrationClosesAt', 'Registration must close before the term ends');
+  }
+  next();
+});
+
+academicTermSchema.methods.isRegistrationOpen = function(now = new Date()) {
+  return Boolean(this.registrationOpensAt && this.registrationClosesAt &&
+    this.registrationOpensAt <= now && now < this.registrationClosesAt);
+};
+
+// Terms running on a date, more than one when terms overlap
+academicTermSchema.statics.findCurrent = function(now = new Date()) {
+  return this.find({ isActive: true, startDate: { $lte: now }, endDate: { $gt: now } }).sort('startDate');
+};
+
+// The term most recently started, the one an end-of-term promotion assesses
+academicTermSchema.statics.findLatestStarted = function(now = new Date()) {
+  return this.findOne({ isActive: true, startDate: { $lte: now } }).sort('-startDate');
+};
+
+module.exports = mongoose.model('AcademicTerm', academicTermSchema);
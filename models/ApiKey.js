@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const API_KEY_PREFIX = 'ucms';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true
+  },
+  serviceAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Public part of the key, shown in listings to tell keys apart
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Permissions the key may use, on top of what the account's role allows
+  scopes: [{
+    type: String,
+    trim: true
+  }],
+  // When set, department-aware permissions only reach these departments
+  departments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ serviceAccount: 1, createdAt: -1 });
+
+apiKeySchema.methods.isUsable = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// One atomic write per request, so concurrent calls are all counted
+apiKeySchema.methods.recordUsage = function(ip) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { usageCount: 1 }, lastUsedAt: new Date(), lastUsedIp: ip || null }
+  );
+};
+
+// Create a key, returns the key document and the plain key, which is
+// never stored and cannot be shown again
+apiKeySchema.statics.issue = async function(data) {
+  const prefix = generateRandomToken(4);
+  const key = `${API_KEY_PREFIX}_${prefix}_${generateRandomToken(24)}`;
+
+  const apiKey = await this.create({
+    ...data,
+    prefix,
+    keyHash: hashToken(key)
+  });
+  return { apiKey, key };
+};
+
+apiKeySchema.statics.looksLikeKey = function(value) {
+  return typeof value === 'string' && value.startsWith(`${API_KEY_PREFIX}_`);
+};
+
+apiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashToken(key) });
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
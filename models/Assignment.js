@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const assignmentSchema = new mongoose.Schema({
   title: {
@@ -15,6 +16,12 @@ const assignmentSchema = new mongoose.Schema({
     ref: 'Subject',
     required: true
   },
+  // The term's offering of the subject, null for work from before terms
+  offering: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubjectOffering',
+    default: null
+  },
   teacher: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -51,5 +58,8 @@ const assignmentSchema = new mongoose.Schema({
 // Index for efficient queries
 assignmentSchema.index({ subject: 1, deadline: 1 });
 assignmentSchema.index({ teacher: 1 });
+assignmentSchema.index({ offering: 1 });
+
+assignmentSchema.plugin(softDelete);
 
 module.exports = mongoose.model('Assignment', assignmentSchema);
\ No newline at end of file
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Who did what, and on whose behalf. Written for impersonation and for
+// personal data exports and deletions.
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The user whose account the actor was acting as, if any
+  onBehalfOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  method: {
+    type: String,
+    default: null
+  },
+  path: {
+    type: String,
+    default: null
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ session: 1, createdAt: 1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Never let a failed audit write break the request being audited
+auditLogSchema.statics.record = async function(entry) {
+  try {
+    return await this.create(entry);
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Named sequences, incremented atomically so concurrent requests never get
+// the same value
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Take the next `count` values, returns the first and last of them
+counterSchema.statics.take = async function(key, count = 1) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: count } },
+    { upsert: true, new: true }
+  );
+  return { first: counter.seq - count + 1, last: counter.seq };
+};
+
+// Last value handed out, without taking one
+counterSchema.statics.current = async function(key) {
+  const counter = await this.findOne({ key }).lean();
+  return counter ? counter.seq : 0;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
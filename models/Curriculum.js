@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// The subjects of a program, semester by semester, for the students who
+// start it in a given year. A new intake year gets its own version, so
+// changing the syllabus never rewrites what earlier students signed up for.
+const curriculumSchema = new mongoose.Schema({
+  program: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Program',
+    required: true
+  },
+  intakeYear: {
+    type: Number,
+    required: [true, 'Intake year is required'],
+    min: 1900,
+    max: 9999
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: function() {
+      return `${this.intakeYear} intake`;
+    }
+  },
+  semesters: [{
+    _id: false,
+    number: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    subjects: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject'
+    }]
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+curriculumSchema.index({ program: 1, intakeYear: 1 }, { unique: true });
+curriculumSchema.index({ 'semesters.subjects': 1 });
+
+module.exports = mongoose.model('Curriculum', curriculumSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const OPEN_STATUSES = ['pending', 'approved'];
+
+const deletionRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // pending -> approved -> completed, or rejected/cancelled on the way
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled', 'completed'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  decisionNote: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Approved requests run once the retention period has passed
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+deletionRequestSchema.index({ user: 1, status: 1 });
+deletionRequestSchema.index({ status: 1, scheduledFor: 1 });
+
+deletionRequestSchema.methods.isOpen = function() {
+  return OPEN_STATUSES.includes(this.status);
+};
+
+deletionRequestSchema.statics.findOpenForUser = function(userId) {
+  return this.findOne({ user: userId, status: { $in: OPEN_STATUSES } });
+};
+
+// Approved requests whose retention period is over
+deletionRequestSchema.statics.findDue = function(now = new Date()) {
+  return this.find({ status: 'approved', scheduledFor: { $lte: now } });
+};
+
+module.exports = mongoose.model('DeletionRequest', deletionRequestSchema);
@@ -15,16 +15,16 @@ const departmentSchema = new mongoose.Schema({
     trim: true
   },
   faculty: {
-    type: String,
-    required: [true, 'Faculty name is required'],
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Faculty',
+    required: [true, 'Faculty is required']
   },
   totalSemesters: {
     type: Number,
     required: true,
     default: 8,
     min: 1,
-    max: 8 // Maximum 8 semesters
+    max: 20
   },
   description: {
     type: String,
@@ -40,8 +40,7 @@ const departmentSchema = new mongoose.Schema({
     number: {
       type: Number,
       required: true,
-      min: 1,
-      max: 8 // Maximum 8 semesters
+      min: 1
     },
     name: {
       type: String,
@@ -55,6 +54,19 @@ const departmentSchema = new mongoose.Schema({
       ref: 'Subject'
     }]
   }],
+  // Overrides of the numbers.* setting patterns for this department's people
+  numberPatterns: {
+    enrollmentNumber: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    universityId: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -63,6 +75,8 @@ const departmentSchema = new mongoose.Schema({
   timestamps: true
 });
 
+departmentSchema.index({ faculty: 1 });
+
 // Pre-save middleware to ensure semesters array matches totalSemesters
 departmentSchema.pre('save', function(next) {
   if (this.semesters.length !== this.totalSemesters) {
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const ENROLLMENT_STATUSES = ['enrolled', 'waitlisted', 'dropped', 'completed', 'failed'];
+
+// A student taking a subject, in one offering of it when terms are in use.
+// Students see the work of the subjects they are enrolled in, whatever
+// department or semester those belong to. Dropped, completed and failed
+// enrollments stay on as the student's record, so a repeated subject is a
+// second enrollment. Waitlisted students wait, in order of enrolledAt, for
+// a seat in a full offering.
+const enrollmentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  offering: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubjectOffering',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ENROLLMENT_STATUSES,
+    default: 'enrolled'
+  },
+  enrolledAt: {
+    type: Date,
+    default: Date.now
+  },
+  enrolledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  statusChangedAt: {
+    type: Date,
+    default: null
+  },
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// A student holds at most one place in a subject at a time, a seat or a
+// waitlist place
+enrollmentSchema.index(
+  { student: 1, subject: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['enrolled', 'waitlisted'] } } }
+);
+enrollmentSchema.index({ student: 1, status: 1 });
+enrollmentSchema.index({ subject: 1, status: 1 });
+enrollmentSchema.index({ offering: 1, status: 1, enrolledAt: 1 });
+
+enrollmentSchema.statics.ENROLLMENT_STATUSES = ENROLLMENT_STATUSES;
+
+module.exports = mongoose.model('Enrollment', enrollmentSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A faculty (or school) grouping departments, led by a dean
+const facultySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Faculty name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Faculty code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  dean: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  location: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  establishedYear: {
+    type: Number,
+    min: 1000,
+    max: 9999,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// "Engineering" and "engineering" are the same faculty
+facultySchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Faculty', facultySchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Built-in or custom role, checked against the policy when issued
+  role: {
+    type: String,
+    required: true
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  semester: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Existing account the invitation completes, for imported accounts
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ email: 1, acceptedAt: 1 });
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt < new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.set('toJSON', { virtuals: true });
+
+invitationSchema.methods.isUsable = function() {
+  return this.status === 'pending';
+};
+
+// Create an invitation, returns it with the plain token to email
+invitationSchema.statics.issue = async function(data, expiresInDays) {
+  const token = generateRandomToken();
+  const invitation = await this.create({
+    ...data,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+  return { invitation, token };
+};
+
+invitationSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
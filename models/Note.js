@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const noteSchema = new mongoose.Schema({
   title: {
@@ -15,6 +16,12 @@ const noteSchema = new mongoose.Schema({
     ref: 'Subject',
     required: true
   },
+  // The term's offering of the subject, null for work from before terms
+  offering: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubjectOffering',
+    default: null
+  },
   teacher: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -49,4 +56,6 @@ const noteSchema = new mongoose.Schema({
   timestamps: true
 });
 
+noteSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Note', noteSchema);
\ No newline at end of file
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One row per download, so people can see what they downloaded
+const noteDownloadSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  downloadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+noteDownloadSchema.index({ user: 1, downloadedAt: -1 });
+
+module.exports = mongoose.model('NoteDownload', noteDownloadSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A block of numbers taken from a sequence for assigning by hand (transfer
+// students, re-admissions), so automatic assignment skips over them
+const numberReservationSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['enrollmentNumber', 'universityId'],
+    required: true
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  counterKey: {
+    type: String,
+    required: true
+  },
+  firstSeq: {
+    type: Number,
+    required: true
+  },
+  lastSeq: {
+    type: Number,
+    required: true
+  },
+  numbers: {
+    type: [String],
+    default: []
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  reservedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+numberReservationSchema.index({ kind: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NumberReservation', numberReservationSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const OIDC_STATE_TTL_MINUTES = 10;
+
+// A pending single sign-on attempt, looked up by the state the identity
+// provider echoes back and deleted when used
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Frontend path to return to after logging in
+  redirectTo: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + OIDC_STATE_TTL_MINUTES * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop abandoned attempts
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Fetch and delete in one step so a state can only be used once
+oidcStateSchema.statics.consume = function(state) {
+  return this.findOneAndDelete({
+    state: String(state),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OidcState', oidcStateSchema);
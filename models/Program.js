@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const PROGRAM_LEVELS = ['certificate', 'diploma', 'bachelor', 'master', 'doctorate'];
+
+// A degree or diploma offered by a department, with its own length.
+// What is taught in each semester lives in its curricula.
+const programSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Program name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Program code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+  level: {
+    type: String,
+    enum: PROGRAM_LEVELS,
+    required: [true, 'Program level is required']
+  },
+  totalSemesters: {
+    type: Number,
+    required: [true, 'Program length is required'],
+    min: 1,
+    max: 20
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+programSchema.index({ department: 1 });
+
+programSchema.statics.PROGRAM_LEVELS = PROGRAM_LEVELS;
+
+module.exports = mongoose.model('Program', programSchema);
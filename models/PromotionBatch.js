@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Record of one end-of-term promotion run, with the outcome for every student
+const promotionBatchSchema = new mongoose.Schema({
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+  semester: {
+    type: Number,
+    required: true
+  },
+  // The term whose work was assessed, null when there were no terms
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicTerm',
+    default: null
+  },
+  runBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Rules in force when the batch ran
+  rules: {
+    passPercentage: Number,
+    maxFailedCredits: Number,
+    unassessedCountsAsFailed: Boolean
+  },
+  summary: {
+    promoted: { type: Number, default: 0 },
+    heldBack: { type: Number, default: 0 },
+    graduated: { type: Number, default: 0 }
+  },
+  results: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    outcome: {
+      type: String,
+      enum: ['promote', 'hold', 'graduate']
+    },
+    fromSemester: Number,
+    toSemester: Number,
+    failedCredits: Number,
+    failedSubjects: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject'
+    }]
+  }]
+}, {
+  timestamps: true
+});
+
+promotionBatchSchema.index({ department: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PromotionBatch', promotionBatchSchema);
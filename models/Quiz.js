@@ -36,6 +36,12 @@ const quizSchema = new mongoose.Schema({
     ref: 'Subject',
     required: true
   },
+  // The term's offering of the subject, null for work from before terms
+  offering: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubjectOffering',
+    default: null
+  },
   teacher: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// The offerings a student has picked for a term but not yet registered
+// for. Submitting registers for all of them or none, and empties the cart.
+const registrationCartSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicTerm',
+    required: true
+  },
+  offerings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubjectOffering'
+  }],
+  submittedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+registrationCartSchema.index({ student: 1, term: 1 }, { unique: true });
+
+module.exports = mongoose.model('RegistrationCart', registrationCartSchema);
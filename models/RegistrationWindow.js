@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// When a program's students may register for a term, and the credits they
+// must and may take. Students of programs without a window register
+// within the term's own registration dates, under the default credit
+// limits from settings.
+const registrationWindowSchema = new mongoose.Schema({
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicTerm',
+    required: true
+  },
+  program: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Program',
+    required: [true, 'Program is required']
+  },
+  opensAt: {
+    type: Date,
+    required: [true, 'Opening date is required']
+  },
+  closesAt: {
+    type: Date,
+    required: [true, 'Closing date is required']
+  },
+  // Either left null falls back to the setting
+  minCredits: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  maxCredits: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+registrationWindowSchema.index({ term: 1, program: 1 }, { unique: true });
+
+registrationWindowSchema.pre('validate', function(next) {
+  if (this.opensAt && this.closesAt && this.closesAt <= this.opensAt) {
+    this.invalidate('closesAt', 'Registration must close after it opens');
+  }
+  if (this.minCredits != null && this.maxCredits != null && this.maxCredits < this.minCredits) {
+    this.invalidate('maxCredits', 'Maximum credits cannot be below the minimum');
+  }
+  next();
+});
+
+module.exports = mongoose.model('RegistrationWindow', registrationWindowSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Custom roles defined by admins. Built-in roles live in config/permissions.js.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]*$/, 'Role name may only contain lowercase letters, numbers and dashes']
+  },
+  label: {
+    type: String,
+    required: [true, 'Role label is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
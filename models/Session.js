@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const { parseUserAgent } = require('../utils/userAgent');
+const {
+  REFRESH_TOKEN_TTL_DAYS,
+  generateRefreshToken,
+  hashToken
+} = require('../utils/tokens');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the token that was rotated out last, used to detect reuse
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  device: {
+    browser: { type: String, default: null },
+    os: { type: String, default: null },
+    type: { type: String, default: 'unknown' },
+    label: { type: String, default: 'Unknown device' }
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  // Set when an admin is viewing the app as this session's user
+  impersonation: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    readOnly: {
+      type: Boolean,
+      default: true
+    }
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ 'impersonation.by': 1, createdAt: -1 });
+
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.isImpersonation = function() {
+  return Boolean(this.impersonation && this.impersonation.by);
+};
+
+// Whether a request with this method may run in this session
+sessionSchema.methods.allowsMethod = function(method) {
+  if (!this.isImpersonation() || !this.impersonation.readOnly) return true;
+  return SAFE_METHODS.includes(method.toUpperCase());
+};
+
+// Issue a new refresh token for this session and remember the old one
+sessionSchema.methods.rotate = async function() {
+  const refreshToken = generateRefreshToken();
+  this.previousTokenHash = this.refreshTokenHash;
+  this.refreshTokenHash = hashToken(refreshToken);
+  this.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  this.lastSeenAt = new Date();
+  await this.save();
+  return refreshToken;
+};
+
+// Record activity, throttled so every request does not cost a write
+sessionSchema.methods.touch = async function(ip) {
+  const now = Date.now();
+  if (this.lastSeenAt && now - this.lastSeenAt.getTime() < LAST_SEEN_THROTTLE_MS) return;
+
+  this.lastSeenAt = new Date(now);
+  if (ip) this.ip = ip;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastSeenAt: this.lastSeenAt, ip: this.ip }
+  );
+};
+
+// Shape returned to clients, never includes token hashes
+sessionSchema.methods.toSummary = function(currentSessionId) {
+  return {
+    _id: this._id,
+    device: this.device,
+    ip: this.ip,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    expiresAt: this.expiresAt,
+    current: currentSessionId ? this._id.toString() === currentSessionId.toString() : false
+  };
+};
+
+sessionSchema.methods.revoke = async function(reason = 'logout') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.save();
+  }
+};
+
+// Start a session for a user, returns the session and its plain refresh token
+sessionSchema.statics.start = async function(user, { ip, userAgent } = {}) {
+  const refreshToken = generateRefreshToken();
+  const session = await this.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ip: ip || null,
+    userAgent: userAgent || null,
+    device: parseUserAgent(userAgent),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return { session, refreshToken };
+};
+
+// Start a time-limited session in which `impersonator` acts as `user`. It
+// has no usable refresh token, so it ends for good when it expires.
+sessionSchema.statics.startImpersonation = async function(user, impersonator, {
+  reason,
+  readOnly = true,
+  minutes,
+  ip,
+  userAgent
+}) {
+  return this.create({
+    user: user._id,
+    refreshTokenHash: hashToken(generateRefreshToken()),
+    ip: ip || null,
+    userAgent: userAgent || null,
+    device: parseUserAgent(userAgent),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    impersonation: {
+      by: impersonator._id,
+      reason,
+      readOnly
+    }
+  });
+};
+
+// The user's own sessions, impersonation sessions are listed separately
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    'impersonation.by': null
+  }).sort('-lastSeenAt');
+};
+
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const settingDefinitions = require('../config/settings');
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Read a setting, falling back to its declared default
+settingSchema.statics.get = async function(key) {
+  const definition = settingDefinitions[key];
+  if (!definition) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : definition.default;
+};
+
+settingSchema.statics.set = async function(key, value, updatedBy = null) {
+  const definition = settingDefinitions[key];
+  if (!definition) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+  if (!definition.validate(value)) {
+    throw new Error(`Invalid value for setting: ${key}`);
+  }
+
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
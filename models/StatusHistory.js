@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { STUDENT_STATUSES } = require('../config/studentStatuses');
+
+// Every change of a student's status. A change with a future effective
+// date waits here, unapplied, until the status job applies it.
+const statusHistorySchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  from: {
+    type: String,
+    enum: STUDENT_STATUSES,
+    required: true
+  },
+  to: {
+    type: String,
+    enum: STUDENT_STATUSES,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+statusHistorySchema.index({ student: 1, effectiveDate: -1 });
+statusHistorySchema.index({ appliedAt: 1, cancelledAt: 1, effectiveDate: 1 });
+
+statusHistorySchema.methods.isScheduled = function() {
+  return !this.appliedAt && !this.cancelledAt;
+};
+
+statusHistorySchema.statics.findScheduledForStudent = function(studentId) {
+  return this.findOne({ student: studentId, appliedAt: null, cancelledAt: null });
+};
+
+// Scheduled changes whose effective date has come
+statusHistorySchema.statics.findDue = function(now = new Date()) {
+  return this.find({ appliedAt: null, cancelledAt: null, effectiveDate: { $lte: now } })
+    .sort('effectiveDate');
+};
+
+module.exports = mongoose.model('StatusHistory', statusHistorySchema);
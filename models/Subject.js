@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const subjectSchema = new mongoose.Schema({
   name: {
@@ -22,11 +23,12 @@ const subjectSchema = new mongoose.Schema({
     ref: 'Department',
     required: true
   },
+  // Where the subject sits for students of the department who are not on a
+  // program curriculum. Curricula place subjects in semesters themselves.
   semester: {
     type: Number,
-    required: true,
     min: 1,
-    max: 8
+    default: null
   },
   credits: {
     type: Number,
@@ -58,4 +60,6 @@ const subjectSchema = new mongoose.Schema({
 subjectSchema.index({ department: 1, semester: 1 });
 subjectSchema.index({ teacher: 1 });
 
+subjectSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Subject', subjectSchema);
\ No newline at end of file
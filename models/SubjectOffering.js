@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One subject taught in one term by one teacher. Assignments, quizzes,
+// notes and grades hang off the offering, so a subject taught again next
+// year starts afresh while earlier years keep their history.
+const subjectOfferingSchema = new mongoose.Schema({
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicTerm',
+    required: true
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher is required']
+  },
+  // Seats students can register for, no limit when null
+  capacity: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Bumped by every registration and waitlist move in the offering, so
+  // concurrent ones conflict in their transactions and the seat counts
+  // read there stay true
+  seatVersion: {
+    type: Number,
+    default: 0
+  },
+  // Students register themselves for electives only: those of the
+  // subject's department, or of the programs listed when there are any
+  isElective: {
+    type: Boolean,
+    default: false
+  },
+  eligiblePrograms: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Program'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+subjectOfferingSchema.index({ subject: 1, term: 1, teacher: 1 }, { unique: true });
+subjectOfferingSchema.index({ term: 1 });
+subjectOfferingSchema.index({ teacher: 1 });
+
+module.exports = mongoose.model('SubjectOffering', subjectOfferingSchema);
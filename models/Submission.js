@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const submissionSchema = new mongoose.Schema({
   assignment: {
@@ -6,6 +7,12 @@ const submissionSchema = new mongoose.Schema({
     ref: 'Assignment',
     required: true
   },
+  // Copied from the assignment so grades can be looked up by term
+  offering: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubjectOffering',
+    default: null
+  },
   student: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -58,6 +65,7 @@ const submissionSchema = new mongoose.Schema({
 
 // Ensure one submission per student per assignment
 submissionSchema.index({ assignment: 1, student: 1 }, { unique: true });
+submissionSchema.index({ offering: 1, student: 1 });
 
 // Check if submission is late
 submissionSchema.pre('save', async function(next) {
@@ -73,4 +81,6 @@ submissionSchema.pre('save', async function(next) {
   next();
 });
 
+submissionSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Submission', submissionSchema);
\ No newline at end of file
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const Session = require('./Session');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { roleExists } = require('../services/policy');
+const { assignMissingNumbers } = require('../services/numberGenerator');
+const { STUDENT_STATUSES } = require('../config/studentStatuses');
+const softDelete = require('./plugins/softDelete');
+
+// Upper bound on stored history, the setting picks how much of it counts
+const PASSWORD_HISTORY_LIMIT = 24;
+
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -13,35 +25,108 @@ const userSchema = new mongoose.Schema({
     unique: true,
     lowercase: true,
     trim: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    match: [EMAIL_PATTERN, 'Please enter a valid email']
   },
+  // Optional for accounts that only sign in through single sign-on, and
+  // for imported accounts until their owner sets one
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [
+      function() { return !this.oidcSubject && !this.isServiceAccount && !this.accountSetupPending; },
+      'Password is required'
+    ],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Hashes of replaced passwords, newest first, to block reuse
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when an admin resets the password, cleared by the next change
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Created by a bulk import, waiting for its owner to choose a password
+  accountSetupPending: {
+    type: Boolean,
+    default: false
+  },
+  // Non-person account that integrations act as through API keys
+  isServiceAccount: {
+    type: Boolean,
+    default: false
+  },
+  // Subject of the linked identity provider account
+  oidcSubject: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Built-in role (admin, teacher, student) or the name of a custom Role
   role: {
     type: String,
-    enum: ['admin', 'teacher', 'student'],
-    default: 'student'
+    default: 'student',
+    validate: {
+      validator: (value) => roleExists(value),
+      message: 'Role {VALUE} does not exist'
+    }
   },
   department: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Department'
   },
+  // Checked against the program's (or department's) length where it is set
   semester: {
     type: Number,
-    min: 1,
-    max: 8
+    min: 1
   },
-  resetCode: {
+  // Students only: the program they study and the curriculum version of
+  // their intake, which decides their subjects each semester
+  program: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Program',
+    default: null
+  },
+  curriculum: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Curriculum',
+    default: null
+  },
+  // Students only, see config/studentStatuses. Changed through
+  // services/studentStatus so every change is recorded in StatusHistory.
+  studentStatus: {
     type: String,
+    enum: STUDENT_STATUSES,
+    default: function() { return this.role === 'student' ? 'enrolled' : undefined; }
+  },
+  studentStatusChangedAt: {
+    type: Date,
     default: null
   },
+  // Set when the student graduated, by a promotion batch or a status change
+  graduatedAt: {
+    type: Date,
+    default: null
+  },
+  // Stored as a hash, see createResetCode
+  resetCode: {
+    type: String,
+    default: null,
+    select: false
+  },
   resetCodeExpiry: {
     type: Date,
     default: null
   },
+  resetCodeAttempts: {
+    type: Number,
+    default: 0
+  },
   universityId: {
     type: String,
     unique: true,
@@ -64,10 +149,117 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Self-registered accounts stay limited until they confirm their address.
+  // Defaults to true so accounts from before verification count as verified.
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerificationToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  emailVerificationExpiry: {
+    type: Date,
+    default: null
+  },
+  // A requested email change, applied once the new address is confirmed
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  pendingEmailToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  pendingEmailExpiry: {
+    type: Date,
+    default: null
+  },
+  // Self-registered accounts wait here until an admin or department head decides
+  approvalStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'approved'
+  },
+  approvalDecidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvalDecidedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Most recent failed attempts, kept for admins to review
+  loginFailures: {
+    type: [{
+      at: { type: Date, default: Date.now },
+      ip: String,
+      userAgent: String,
+      reason: String
+    }],
+    default: [],
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Secret waiting for its first code during enrolment
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Hashes of the unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
   profileImage: {  // 👈 Keep ONLY ONE of these!
     type: String,
     default: null
   },
+  // Set once an approved deletion request has removed personal data
+  anonymisedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -76,10 +268,50 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Remember whether existing sessions must be revoked once the save succeeds
+userSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    if (this.isModified('password')) {
+      this.$locals.revokeSessionsReason = 'password_changed';
+    } else if (this.isModified('isActive') && !this.isActive) {
+      this.$locals.revokeSessionsReason = 'account_deactivated';
+    }
+  }
+  next();
+});
+
+// Approved people get their university ID, and students their enrollment
+// number, when they are created or approved
+userSchema.pre('save', async function(next) {
+  if (this.isServiceAccount || this.approvalStatus !== 'approved') return next();
+  if (!this.isNew && !this.isModified('approvalStatus')) return next();
+
+  try {
+    await assignMissingNumbers(this);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remember the stored hash so a replaced password can go into the history
+userSchema.post('init', function(doc) {
+  doc.$locals.storedPasswordHash = doc.password;
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
-  
+
+  this.passwordChangedAt = new Date();
+  this.accountSetupPending = false;
+  if (!this.isModified('passwordResetRequired')) {
+    this.passwordResetRequired = false;
+  }
+  if (!this.isNew && this.$locals.storedPasswordHash) {
+    this.$locals.replacedPasswordHash = this.$locals.storedPasswordHash;
+  }
+
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -89,9 +321,222 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Add a replaced password to the history. An atomic push, as the history
+// is usually not loaded.
+userSchema.post('save', async function(doc) {
+  const replaced = doc.$locals.replacedPasswordHash;
+  doc.$locals.storedPasswordHash = doc.password;
+  if (!replaced) return;
+
+  delete doc.$locals.replacedPasswordHash;
+  await doc.constructor.updateOne(
+    { _id: doc._id },
+    { $push: { passwordHistory: { $each: [replaced], $position: 0, $slice: PASSWORD_HISTORY_LIMIT } } }
+  );
+});
+
+// Revoke every session after a password change or deactivation
+userSchema.post('save', async function(doc) {
+  const reason = doc.$locals.revokeSessionsReason;
+  if (!reason) return;
+
+  delete doc.$locals.revokeSessionsReason;
+  await Session.revokeAllForUser(doc._id, reason);
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password || !candidatePassword) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+const RESET_CODE_TTL_MINUTES = 10;
+const RESET_CODE_MAX_ATTEMPTS = 5;
+
+const hashResetCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Generate a 6-digit reset code, only its hash is kept on the user
+userSchema.methods.createResetCode = function() {
+  const code = crypto.randomInt(100000, 1000000).toString();
+  this.resetCode = hashResetCode(code);
+  this.resetCodeExpiry = new Date(Date.now() + RESET_CODE_TTL_MINUTES * 60 * 1000);
+  this.resetCodeAttempts = 0;
+  return code;
+};
+
+// Check a reset code, counting failures and burning the code once used up.
+// Requires resetCode to be selected. The caller saves the user.
+userSchema.methods.verifyResetCode = function(code) {
+  if (!this.resetCode || !this.resetCodeExpiry || this.resetCodeExpiry < new Date()) {
+    return false;
+  }
+
+  const expected = Buffer.from(this.resetCode, 'hex');
+  const actual = Buffer.from(hashResetCode(code), 'hex');
+  const isMatch = crypto.timingSafeEqual(expected, actual);
+
+  if (isMatch) {
+    this.clearResetCode();
+    return true;
+  }
+
+  this.resetCodeAttempts += 1;
+  if (this.resetCodeAttempts >= RESET_CODE_MAX_ATTEMPTS) {
+    this.clearResetCode();
+  }
+  return false;
+};
+
+userSchema.methods.clearResetCode = function() {
+  this.resetCode = null;
+  this.resetCodeExpiry = null;
+  this.resetCodeAttempts = 0;
+};
+
+const EMAIL_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+const emailTokenExpiry = () => new Date(Date.now() + EMAIL_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+
+// Start verifying the current address, returns the token to email.
+// The caller saves the user.
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateRandomToken();
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpiry = emailTokenExpiry();
+  return token;
+};
+
+// Park a new address until it is confirmed, returns the token to email
+// to it. The caller saves the user.
+userSchema.methods.requestEmailChange = function(newEmail) {
+  const token = generateRandomToken();
+  this.pendingEmail = newEmail;
+  this.pendingEmailToken = hashToken(token);
+  this.pendingEmailExpiry = emailTokenExpiry();
+  return token;
+};
+
+userSchema.methods.clearPendingEmail = function() {
+  this.pendingEmail = null;
+  this.pendingEmailToken = null;
+  this.pendingEmailExpiry = null;
+};
+
+// Find the user a verification token was sent to. `purpose` is 'verify'
+// for the current address or 'change' for a pending new one.
+userSchema.statics.findByEmailToken = async function(token) {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const verifying = await this.findOne({
+    emailVerificationToken: tokenHash,
+    emailVerificationExpiry: { $gt: now }
+  });
+  if (verifying) return { user: verifying, purpose: 'verify' };
+
+  const changing = await this.findOne({
+    pendingEmailToken: tokenHash,
+    pendingEmailExpiry: { $gt: now }
+  });
+  if (changing) return { user: changing, purpose: 'change' };
+
+  return null;
+};
+
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCK_MINUTES = parseInt(process.env.ACCOUNT_LOCK_MINUTES) || 15;
+const LOGIN_FAILURE_HISTORY = 20;
+
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Count a failed password or second-factor attempt, locking the account
+// once the limit is reached. Updates atomically so parallel attempts all count.
+userSchema.methods.registerFailedLogin = async function({ ip, userAgent, reason } = {}) {
+  // An expired lock starts a fresh count
+  const expired = this.lockUntil && this.lockUntil <= new Date();
+
+  const update = {
+    $push: {
+      loginFailures: {
+        $each: [{ at: new Date(), ip, userAgent, reason }],
+        $slice: -LOGIN_FAILURE_HISTORY
+      }
+    }
+  };
+  if (expired) {
+    update.$set = { failedLoginAttempts: 1, lockUntil: null };
+  } else {
+    update.$inc = { failedLoginAttempts: 1 };
+  }
+
+  const updated = await this.constructor.findByIdAndUpdate(this._id, update, {
+    new: true,
+    projection: 'failedLoginAttempts lockUntil'
+  });
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lockUntil = updated.lockUntil;
+
+  if (updated.failedLoginAttempts >= MAX_FAILED_LOGINS && !this.isLocked()) {
+    this.lockUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+    await this.constructor.updateOne({ _id: this._id }, { lockUntil: this.lockUntil });
+  }
+};
+
+userSchema.methods.resetLoginFailures = async function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) return;
+
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { failedLoginAttempts: 0, lockUntil: null }
+  );
+};
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Replace the recovery codes, returns the plain codes to show once
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Burn a recovery code if it matches. Requires twoFactor.recoveryCodes to be selected.
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = hashRecoveryCode(code);
+  const index = this.twoFactor.recoveryCodes.indexOf(hash);
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Requires the select:false twoFactor fields to be selected
+userSchema.methods.resetTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.secret = null;
+  this.twoFactor.pendingSecret = null;
+  this.twoFactor.recoveryCodes = [];
+  this.twoFactor.lastUsedStep = null;
+  this.twoFactor.enabledAt = null;
+};
+
+userSchema.statics.RESET_CODE_TTL_MINUTES = RESET_CODE_TTL_MINUTES;
+userSchema.statics.EMAIL_TOKEN_TTL_HOURS = EMAIL_TOKEN_TTL_HOURS;
+userSchema.statics.EMAIL_PATTERN = EMAIL_PATTERN;
+
+userSchema.plugin(softDelete);
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'deleteMany',
+  'deleteOne',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+// Soft-deleted records stay in their collection, stamped with who deleted
+// them and when, and are left out of every query and aggregation. A query
+// that names `deletedAt` itself, or sets the `withDeleted` option, sees them.
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.pre(QUERY_HOOKS, function() {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    const [first] = this.pipeline();
+    if (first?.$match && 'deletedAt' in first.$match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.methods.isDeleted = function() {
+    return Boolean(this.deletedAt);
+  };
+
+  // Written straight to the collection so old records that no longer pass
+  // validation can still be deleted and restored
+  schema.methods.softDelete = async function(deletedBy, deletedAt = new Date()) {
+    await this.constructor.updateOne({ _id: this._id, deletedAt: null }, { $set: { deletedAt, deletedBy } });
+    this.deletedAt = deletedAt;
+    this.deletedBy = deletedBy;
+  };
+
+  schema.methods.restore = async function() {
+    await this.constructor.updateOne({ _id: this._id, deletedAt: { $ne: null } }, { $set: { deletedAt: null, deletedBy: null } });
+    this.deletedAt = null;
+    this.deletedBy = null;
+  };
+
+  schema.statics.findDeleted = function(filter = {}) {
+    return this.find({ ...filter, deletedAt: { $ne: null } });
+  };
+};
+
+module.exports = softDelete;
@@ -12,7 +12,7 @@ const {
   deleteAssignment,
   getAssignmentStats
 } = require('../controllers/assignmentController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, requireStudying } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 
 const assignmentValidation = [
@@ -26,26 +26,26 @@ const assignmentValidation = [
 router.use(protect);
 
 // Stats route
-router.get('/stats', authorize('teacher'), getAssignmentStats);
+router.get('/stats', requirePermission('access:teacher-portal'), getAssignmentStats);
 
 // Student routes
-router.get('/student', authorize('student'), getStudentAssignments);
+router.get('/student', requirePermission('access:student-portal'), requireStudying, getStudentAssignments);
 
 // Teacher routes
-router.get('/teacher', authorize('teacher'), getTeacherAssignments);
+router.get('/teacher', requirePermission('access:teacher-portal'), getTeacherAssignments);
 
 // Assignment CRUD
 router.route('/')
-  .post(authorize('teacher'), upload.single('assignment'), assignmentValidation, createAssignment);
+  .post(requirePermission('create:assignment'), upload.single('assignment'), assignmentValidation, createAssignment);
 
 router.route('/:id')
   .get(getAssignmentsBySubject)
-  .put(authorize('teacher'), updateAssignment)
-  .delete(authorize('teacher'), deleteAssignment);
+  .put(requirePermission('manage:assignment'), updateAssignment)
+  .delete(requirePermission('manage:assignment'), deleteAssignment);
 
 // Assignment actions
 router.get('/subject/:subjectId', getAssignmentsBySubject);
-router.post('/:id/submit', authorize('student'), upload.single('submission'), submitAssignment);
-router.put('/:id/grade/:submissionId', authorize('teacher'), gradeAssignment);
+router.post('/:id/submit', requirePermission('submit:assignment'), requireStudying, upload.single('submission'), submitAssignment);
+router.put('/:id/grade/:submissionId', requirePermission('grade:submission'), gradeAssignment);
 
 module.exports = router;
\ No newline at end of file
@@ -1,25 +1,78 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const User = require('../models/User');
 const {
   register,
+  getInvitation,
+  acceptInvitation,
   login,
+  oidcAuthorize,
+  oidcCallback,
+  refreshSession,
+  logout,
   getProfile,
   updateProfile,
   changePassword,
   uploadProfileImage ,
   deleteAccount,
+  forgotPassword,
+  resetPassword,
+  replaceExpiredPassword,
+  getPasswordPolicy,
+  verifyEmail,
+  resendVerificationEmail
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const {
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions
+} = require('../controllers/sessionController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../controllers/twoFactorController');
+const { endImpersonation } = require('../controllers/impersonationController');
+const {
+  exportMyData,
+  requestAccountDeletion,
+  getMyDeletionRequest,
+  cancelDeletionRequest
+} = require('../controllers/privacyController');
+const {
+  protect,
+  protectOrSetupChallenge,
+  allowWhileReadOnly,
+  allowUnverifiedEmail
+} = require('../middleware/auth');
 const upload = require('../middleware/upload');
+const {
+  loginIpLimiter,
+  loginAccountLimiter,
+  twoFactorLimiter,
+  forgotPasswordIpLimiter,
+  forgotPasswordAccountLimiter,
+  resetPasswordLimiter,
+  verificationEmailIpLimiter,
+  verificationEmailAccountLimiter,
+  verifyEmailLimiter,
+  expiredPasswordLimiter,
+  dataExportLimiter
+} = require('../middleware/rateLimit');
 
-// Validation rules
+// Validation rules, password strength is checked by the password policy
 const registerValidation = [
   body('name').notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please enter a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').optional().isIn(['admin', 'teacher', 'student']).withMessage('Invalid role')
+  body('password').notEmpty().withMessage('Password is required')
+];
+
+const invitationValidation = [
+  body('token').notEmpty().withMessage('Invitation token is required'),
+  body('password').notEmpty().withMessage('Password is required')
 ];
 
 const loginValidation = [
@@ -27,85 +80,60 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+const forgotPasswordValidation = [
+  body('email').isEmail().withMessage('Please enter a valid email')
+];
+
+const resetPasswordValidation = [
+  body('email').isEmail().withMessage('Please enter a valid email'),
+  body('code').notEmpty().withMessage('Reset code is required'),
+  body('newPassword').notEmpty().withMessage('New password is required')
+];
+
 const passwordValidation = [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+  body('newPassword').notEmpty().withMessage('New password is required')
+];
+
+const expiredPasswordValidation = [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('newPassword').notEmpty().withMessage('New password is required')
 ];
 
 // Routes
 router.post('/register', registerValidation, register);
-router.post('/login', loginValidation, login);
-router.get('/profile', protect, getProfile);
-router.put('/profile', protect, upload.single('profile'), updateProfile);
+router.post('/register/invitation', invitationValidation, acceptInvitation);
+router.get('/invitations/:token', getInvitation);
+router.post('/login', loginIpLimiter, loginAccountLimiter, loginValidation, login);
+router.get('/oidc/authorize', oidcAuthorize);
+router.post('/oidc/callback', loginIpLimiter, oidcCallback);
+router.post('/refresh', refreshSession);
+router.post('/logout', logout);
+router.post('/verify-email', verifyEmailLimiter, verifyEmail);
+router.post('/verify-email/resend', verificationEmailIpLimiter, verificationEmailAccountLimiter, forgotPasswordValidation, resendVerificationEmail);
+router.get('/profile', allowUnverifiedEmail, protect, getProfile);
+router.put('/profile', allowUnverifiedEmail, protect, upload.single('profile'), updateProfile);
 router.put('/change-password', protect, passwordValidation, changePassword);
 router.post('/profile/image', protect, upload.single('profile'), uploadProfileImage);
 router.delete('/account', protect, deleteAccount);
+router.get('/account/export', protect, dataExportLimiter, exportMyData);
+router.route('/account/deletion-request')
+  .get(protect, getMyDeletionRequest)
+  .post(protect, requestAccountDeletion)
+  .delete(protect, cancelDeletionRequest);
+router.get('/sessions', allowUnverifiedEmail, protect, getMySessions);
+router.delete('/sessions', allowUnverifiedEmail, protect, revokeOtherSessions);
+router.delete('/sessions/:sessionId', allowUnverifiedEmail, protect, revokeMySession);
+router.delete('/impersonation', allowWhileReadOnly, protect, endImpersonation);
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protectOrSetupChallenge, setupTwoFactor);
+router.post('/2fa/enable', protectOrSetupChallenge, enableTwoFactor);
+router.post('/2fa/verify', twoFactorLimiter, verifyTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/forgot-password', forgotPasswordIpLimiter, forgotPasswordAccountLimiter, forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordLimiter, resetPasswordValidation, resetPassword);
+router.post('/password/expired', expiredPasswordLimiter, expiredPasswordValidation, replaceExpiredPassword);
+router.get('/password-policy', getPasswordPolicy);
 
-// @desc    Forgot password - send reset code
-// @route   POST /api/auth/forgot-password
-// @access  Public
-router.post('/forgot-password', async (req, res) => {
-  try {
-    const { email } = req.body;
-    
-    // Check if user exists
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
-    // Generate 6-digit reset code
-    const resetCode = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    // Save code to user (you'll need to add resetCode and resetCodeExpiry to your User model)
-    user.resetCode = resetCode;
-    user.resetCodeExpiry = Date.now() + 10 * 60 * 1000; // 10 minutes
-    await user.save();
-
-    // Send email with reset code
-    // You'll need to set up nodemailer or an email service
-    // For now, just return the code (in production, email it)
-    
-    res.json({ 
-      message: 'Reset code sent to your email',
-      // Remove this in production! Only for testing
-      devCode: resetCode 
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// @desc    Reset password with code
-// @route   POST /api/auth/reset-password
-// @access  Public
-router.post('/reset-password', async (req, res) => {
-  try {
-    const { email, code, newPassword } = req.body;
-
-    const user = await User.findOne({ 
-      email,
-      resetCode: code,
-      resetCodeExpiry: { $gt: Date.now() }
-    });
-
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid or expired reset code' });
-    }
-
-    // Update password
-    user.password = newPassword;
-    user.resetCode = undefined;
-    user.resetCodeExpiry = undefined;
-    await user.save();
-
-    res.json({ message: 'Password reset successful' });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
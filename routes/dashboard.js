@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { getAdminDashboardStats } = require('../controllers/dashboardController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // @route   GET /api/dashboard/admin
 // @desc    Get admin dashboard statistics
 // @access  Private/Admin
-router.get('/admin', protect, authorize('admin'), getAdminDashboardStats);
+router.get('/admin', protect, requirePermission('view:admin-dashboard'), getAdminDashboardStats);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDeletionRequests,
+  approveDeletionRequest,
+  rejectDeletionRequest
+} = require('../controllers/privacyController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+router.use(requirePermission('manage:deletion-request'));
+
+router.get('/', getDeletionRequests);
+router.put('/:id/approve', approveDeletionRequest);
+router.put('/:id/reject', rejectDeletionRequest);
+
+module.exports = router;
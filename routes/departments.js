@@ -8,7 +8,7 @@ const {
   updateDepartment,
   deleteDepartment
 } = require('../controllers/departmentController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // Public route - NO authentication required
 router.get('/public', getPublicDepartments);
@@ -18,11 +18,11 @@ router.use(protect);
 
 router.route('/')
   .get(getDepartments)
-  .post(authorize('admin'), createDepartment);
+  .post(requirePermission('manage:department'), createDepartment);
 
 router.route('/:id')
   .get(getDepartmentById)  // Fixed: removed '/public'
-  .put(authorize('admin'), updateDepartment)
-  .delete(authorize('admin'), deleteDepartment);
+  .put(requirePermission('update:department'), updateDepartment)
+  .delete(requirePermission('manage:department'), deleteDepartment);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getEnrollments,
+  getMyEnrollments,
+  bulkEnroll,
+  bulkDrop,
+  updateEnrollmentStatus
+} = require('../controllers/enrollmentController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+
+router.get('/mine', requirePermission('access:student-portal'), getMyEnrollments);
+
+router.get('/', requirePermission('manage:enrollment'), getEnrollments);
+router.post('/bulk', requirePermission('manage:enrollment'), bulkEnroll);
+router.post('/bulk-drop', requirePermission('manage:enrollment'), bulkDrop);
+router.put('/:id/status', requirePermission('manage:enrollment'), updateEnrollmentStatus);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createFaculty,
+  getFaculties,
+  getFacultyById,
+  updateFaculty,
+  deleteFaculty
+} = require('../controllers/facultyController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getFaculties)
+  .post(requirePermission('manage:faculty'), createFaculty);
+
+router.route('/:id')
+  .get(getFacultyById)
+  .put(requirePermission('manage:faculty'), updateFaculty)
+  .delete(requirePermission('manage:faculty'), deleteFaculty);
+
+module.exports = router;
@@ -9,7 +9,7 @@ const {
   downloadNote,
   deleteNote
 } = require('../controllers/noteController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, requireStudying } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 
 const noteValidation = [
@@ -21,8 +21,8 @@ router.use(protect);
 
 // IMPORTANT: Specific routes must come before parameterized routes
 // Student route - Get all notes for logged-in student
-router.get('/student', authorize('student'), getStudentNotes);
-router.get('/recent', authorize('student'), getRecentNotes);
+router.get('/student', requirePermission('access:student-portal'), requireStudying, getStudentNotes);
+router.get('/recent', requirePermission('access:student-portal'), requireStudying, getRecentNotes);
 
 // Get notes by subject
 router.get('/subject/:subjectId', getNotesBySubject);
@@ -30,11 +30,11 @@ router.get('/subject/:subjectId', getNotesBySubject);
 // Download note
 router.get('/:id/download', downloadNote);
 
-// Create note (teacher only)
+// Create note
 router.route('/')
-  .post(authorize('teacher', 'admin'), upload.single('note'), noteValidation, uploadNote);
+  .post(requirePermission('upload:note'), upload.single('note'), noteValidation, uploadNote);
 
 // Delete note
-router.delete('/:id', authorize('teacher', 'admin'), deleteNote);
+router.delete('/:id', requirePermission('delete:note'), deleteNote);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPatterns,
+  updateDepartmentPatterns,
+  getPreview,
+  getReservations,
+  createReservation
+} = require('../controllers/numberingController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+router.use(requirePermission('manage:numbering'));
+
+router.get('/patterns', getPatterns);
+router.put('/patterns/:departmentId', updateDepartmentPatterns);
+router.get('/preview', getPreview);
+router.route('/reservations')
+  .get(getReservations)
+  .post(createReservation);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getOfferings,
+  getOfferingById,
+  createOffering,
+  updateOffering,
+  deleteOffering,
+  getOfferingWaitlist,
+  getOfferingGrades
+} = require('../controllers/offeringController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getOfferings)
+  .post(requirePermission('manage:subject'), createOffering);
+
+router.get('/:id/waitlist', requirePermission('view:subject-stats'), getOfferingWaitlist);
+router.get('/:id/grades', requirePermission('view:subject-stats'), getOfferingGrades);
+
+router.route('/:id')
+  .get(getOfferingById)
+  .put(requirePermission('manage:subject'), updateOffering)
+  .delete(requirePermission('manage:subject'), deleteOffering);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPrograms,
+  getProgramById,
+  createProgram,
+  updateProgram,
+  deleteProgram,
+  getCurriculum,
+  createCurriculum,
+  updateCurriculum,
+  deleteCurriculum
+} = require('../controllers/programController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getPrograms)
+  .post(requirePermission('manage:program'), createProgram);
+
+router.route('/:id')
+  .get(getProgramById)
+  .put(requirePermission('manage:program'), updateProgram)
+  .delete(requirePermission('manage:program'), deleteProgram);
+
+router.post('/:id/curricula', requirePermission('manage:program'), createCurriculum);
+router.route('/:id/curricula/:curriculumId')
+  .get(getCurriculum)
+  .put(requirePermission('manage:program'), updateCurriculum)
+  .delete(requirePermission('manage:program'), deleteCurriculum);
+
+module.exports = router;
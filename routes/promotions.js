@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  previewPromotion,
+  runPromotion,
+  getPromotionBatches,
+  getPromotionBatch
+} = require('../controllers/promotionController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+router.use(requirePermission('manage:promotion'));
+
+router.get('/preview', previewPromotion);
+router.route('/')
+  .get(getPromotionBatches)
+  .post(runPromotion);
+router.get('/:id', getPromotionBatch);
+
+module.exports = router;
@@ -9,7 +9,7 @@ const {
   submitQuiz,
   getQuizResults
 } = require('../controllers/quizController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, requireStudying } = require('../middleware/auth');
 
 const quizValidation = [
   body('title').notEmpty().withMessage('Title is required'),
@@ -21,14 +21,14 @@ const quizValidation = [
 ];
 
 router.use(protect);
-router.get('/student', authorize('student'), getStudentQuizzes);
+router.get('/student', requirePermission('access:student-portal'), requireStudying, getStudentQuizzes);
 
 router.route('/')
-  .post(authorize('teacher'), quizValidation, createQuiz);
+  .post(requirePermission('create:quiz'), quizValidation, createQuiz);
 
 router.get('/subject/:subjectId', getQuizzesBySubject);
-router.post('/:id/start', authorize('student'), startQuiz);
-router.post('/:id/submit', authorize('student'), submitQuiz);
-router.get('/:id/results', authorize('teacher', 'admin'), getQuizResults);
+router.post('/:id/start', requirePermission('attempt:quiz'), requireStudying, startQuiz);
+router.post('/:id/submit', requirePermission('attempt:quiz'), requireStudying, submitQuiz);
+router.get('/:id/results', requirePermission('read:quiz-results'), getQuizResults);
 
 module.exports = router;
\ No newline at end of file
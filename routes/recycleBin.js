@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRecycleBin,
+  restoreRecord,
+  purgeRecordNow
+} = require('../controllers/recycleBinController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+router.use(requirePermission('manage:recycle-bin'));
+
+router.get('/', getRecycleBin);
+router.post('/:type/:id/restore', restoreRecord);
+router.delete('/:type/:id', purgeRecordNow);
+
+module.exports = router;
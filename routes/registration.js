@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRegistration,
+  getRegistrationOfferings,
+  updateCart,
+  submitRegistration,
+  dropRegistration
+} = require('../controllers/registrationController');
+const { protect, requirePermission, requireStudying } = require('../middleware/auth');
+
+router.use(protect);
+router.use(requirePermission('access:student-portal'));
+router.use(requireStudying);
+
+router.post('/enrollments/:id/drop', dropRegistration);
+
+router.get('/:termId', getRegistration);
+router.get('/:termId/offerings', getRegistrationOfferings);
+router.put('/:termId/cart', updateCart);
+router.post('/:termId/cart/submit', submitRegistration);
+
+module.exports = router;
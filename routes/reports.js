@@ -3,14 +3,16 @@ const router = express.Router();
 const {
   getDashboardStats,
   getDepartmentStats,
+  getFacultyStats,
   getStudentPerformance
 } = require('../controllers/reportController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, allowApiKey, requirePermission } = require('../middleware/auth');
 
-router.use(protect);
+router.use(allowApiKey, protect);
 
-router.get('/dashboard', authorize('admin'), getDashboardStats);
-router.get('/departments', authorize('admin'), getDepartmentStats);
-router.get('/student/:studentId', authorize('admin', 'teacher', 'student'), getStudentPerformance);
+router.get('/dashboard', requirePermission('view:reports'), getDashboardStats);
+router.get('/departments', requirePermission('view:reports'), getDepartmentStats);
+router.get('/faculties', requirePermission('view:reports'), getFacultyStats);
+router.get('/student/:studentId', requirePermission('read:grades'), getStudentPerformance);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+router.use(requirePermission('manage:role'));
+
+router.get('/permissions', getPermissions);
+router.route('/')
+  .get(getRoles)
+  .post(createRole);
+router.route('/:name')
+  .put(updateRole)
+  .delete(deleteRole);
+
+module.exports = router;
@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { getStudentSchedule } = require('../controllers/scheduleController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, requireStudying } = require('../middleware/auth');
 
 router.use(protect);
 
-router.get('/student', authorize('student'), getStudentSchedule);
+router.get('/student', requirePermission('access:student-portal'), requireStudying, getStudentSchedule);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createServiceAccount,
+  getServiceAccounts,
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+router.use(requirePermission('manage:api-key'));
+
+router.route('/')
+  .get(getServiceAccounts)
+  .post(createServiceAccount);
+router.route('/:id/keys')
+  .get(getApiKeys)
+  .post(createApiKey);
+router.delete('/:id/keys/:keyId', revokeApiKey);
+
+module.exports = router;
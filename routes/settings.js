@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getSettings, updateSetting } = require('../controllers/settingsController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+router.use(requirePermission('manage:settings'));
+
+router.get('/', getSettings);
+router.put('/:key', updateSetting);
+
+module.exports = router;
@@ -8,16 +8,16 @@ const {
   getStudentSchedule,
   getRecentNotes
 } = require('../controllers/studentController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, requireStudying } = require('../middleware/auth');
 
 router.use(protect);
-router.use(authorize('student'));
+router.use(requirePermission('access:student-portal'));
 
 router.get('/stats', getStudentStats);
-router.get('/subjects', getStudentSubjects);
-router.get('/assignments', getStudentAssignments);
-router.get('/quizzes', getStudentQuizzes);
-router.get('/schedule', getStudentSchedule);
-router.get('/notes/recent', getRecentNotes);
+router.get('/subjects', requireStudying, getStudentSubjects);
+router.get('/assignments', requireStudying, getStudentAssignments);
+router.get('/quizzes', requireStudying, getStudentQuizzes);
+router.get('/schedule', requireStudying, getStudentSchedule);
+router.get('/notes/recent', requireStudying, getRecentNotes);
 
 module.exports = router;
\ No newline at end of file
@@ -12,41 +12,41 @@ const {
   updateSubject,
   deleteSubject
 } = require('../controllers/subjectController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, allowApiKey, requirePermission } = require('../middleware/auth');
 
 const subjectValidation = [
   body('name').notEmpty().withMessage('Subject name is required'),
   body('code').notEmpty().withMessage('Subject code is required'),
   body('department').notEmpty().withMessage('Department is required'),
-  body('semester').isInt({ min: 1, max: 8 }).withMessage('Semester must be between 1 and 8'),
+  body('semester').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Semester must be a positive number'),
   body('credits').isInt({ min: 1, max: 5 }).withMessage('Credits must be between 1 and 5')
 ];
 
-router.use(protect);
+router.use(allowApiKey, protect);
 
 // =====================================================
 // IMPORTANT: SPECIFIC ROUTES MUST COME BEFORE PARAMETERIZED ROUTES
 // =====================================================
 
 // Teacher specific routes
-router.get('/teacher', authorize('teacher'), getSubjectsByTeacher);
+router.get('/teacher', requirePermission('access:teacher-portal'), getSubjectsByTeacher);
 
 // Student specific routes - THIS MUST COME BEFORE /:id
-router.get('/student', authorize('student'), getSubjectsByStudent);
+router.get('/student', requirePermission('access:student-portal'), getSubjectsByStudent);
 
 // Subject stats routes
-router.get('/stats/teacher/:id', authorize('teacher'), getSubjectStats);
-router.get('/stats/student/:id', authorize('student'), getSubjectStatsForStudent);
+router.get('/stats/teacher/:id', requirePermission('view:subject-stats'), getSubjectStats);
+router.get('/stats/student/:id', requirePermission('access:student-portal'), getSubjectStatsForStudent);
 
 // Now parameterized routes
 router.route('/')
-  .get(getSubjects)
-  .post(authorize('admin'), subjectValidation, createSubject);
+  .get(requirePermission('read:subject'), getSubjects)
+  .post(requirePermission('manage:subject'), subjectValidation, createSubject);
 
 // This must come AFTER all specific routes
 router.route('/:id')
-  .get(getSubjectById)
-  .put(authorize('admin'), updateSubject)
-  .delete(authorize('admin'), deleteSubject);
+  .get(requirePermission('read:subject'), getSubjectById)
+  .put(requirePermission('manage:subject'), updateSubject)
+  .delete(requirePermission('manage:subject'), deleteSubject);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { can } = require('../services/policy');
 const Submission = require('../models/Submission');
 const Assignment = require('../models/Assignment');
 const upload = require('../middleware/upload');
@@ -8,7 +9,7 @@ const upload = require('../middleware/upload');
 // @desc    Get all submissions for a teacher
 // @route   GET /api/submissions/teacher
 // @access  Private/Teacher
-router.get('/teacher', protect, authorize('teacher'), async (req, res) => {
+router.get('/teacher', protect, requirePermission('access:teacher-portal'), async (req, res) => {
   try {
     const assignments = await Assignment.find({ teacher: req.user._id })
       .populate('subject', 'name code');
@@ -35,8 +36,17 @@ router.get('/teacher', protect, authorize('teacher'), async (req, res) => {
 // @desc    Get submissions by assignment
 // @route   GET /api/submissions/assignment/:assignmentId
 // @access  Private/Teacher
-router.get('/assignment/:assignmentId', protect, authorize('teacher'), async (req, res) => {
+router.get('/assignment/:assignmentId', protect, requirePermission('read:submission'), async (req, res) => {
   try {
+    const assignment = await Assignment.findById(req.params.assignmentId).select('teacher');
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    if (!(await can(req.user, 'read:submission', { assignment }))) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
     const submissions = await Submission.find({ 
       assignment: req.params.assignmentId 
     })
@@ -53,7 +63,7 @@ router.get('/assignment/:assignmentId', protect, authorize('teacher'), async (re
 // @desc    Get student's submissions
 // @route   GET /api/submissions/student
 // @access  Private/Student
-router.get('/student', protect, authorize('student'), async (req, res) => {
+router.get('/student', protect, requirePermission('access:student-portal'), async (req, res) => {
   try {
     const submissions = await Submission.find({ student: req.user._id })
       .populate({
@@ -72,7 +82,7 @@ router.get('/student', protect, authorize('student'), async (req, res) => {
 // @desc    Get submission by ID
 // @route   GET /api/submissions/:id
 // @access  Private
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, requirePermission('read:submission'), async (req, res) => {
   try {
     const submission = await Submission.findById(req.params.id)
       .populate('student', 'name enrollmentNumber')
@@ -86,11 +96,7 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Check authorization
-    if (req.user.role === 'student' && submission.student._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
-
-    if (req.user.role === 'teacher' && submission.assignment.teacher.toString() !== req.user._id.toString()) {
+    if (!(await can(req.user, 'read:submission', submission))) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
@@ -104,7 +110,7 @@ router.get('/:id', protect, async (req, res) => {
 // @desc    Grade submission
 // @route   PUT /api/submissions/:id/grade
 // @access  Private/Teacher
-router.put('/:id/grade', protect, authorize('teacher'), async (req, res) => {
+router.put('/:id/grade', protect, requirePermission('grade:submission'), async (req, res) => {
   try {
     const { marks, feedback } = req.body;
     
@@ -118,8 +124,8 @@ router.put('/:id/grade', protect, authorize('teacher'), async (req, res) => {
       return res.status(404).json({ message: 'Submission not found' });
     }
 
-    // Check if teacher is authorized
-    if (submission.assignment.teacher.toString() !== req.user._id.toString()) {
+    // Check if user is authorized
+    if (!(await can(req.user, 'grade:submission', submission))) {
       return res.status(403).json({ message: 'Not authorized to grade this submission' });
     }
 
@@ -151,7 +157,7 @@ router.put('/:id/grade', protect, authorize('teacher'), async (req, res) => {
 // @desc    Delete submission
 // @route   DELETE /api/submissions/:id
 // @access  Private/Teacher
-router.delete('/:id', protect, authorize('teacher', 'admin'), async (req, res) => {
+router.delete('/:id', protect, requirePermission('delete:submission'), async (req, res) => {
   try {
     const submission = await Submission.findById(req.params.id)
       .populate({
@@ -164,8 +170,7 @@ router.delete('/:id', protect, authorize('teacher', 'admin'), async (req, res) =
     }
 
     // Check authorization
-    if (req.user.role === 'teacher' && 
-        submission.assignment.teacher.toString() !== req.user._id.toString()) {
+    if (!(await can(req.user, 'delete:submission', submission))) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
@@ -186,7 +191,7 @@ router.delete('/:id', protect, authorize('teacher', 'admin'), async (req, res) =
 // @desc    Download submission file
 // @route   GET /api/submissions/:id/download
 // @access  Private
-router.get('/:id/download', protect, async (req, res) => {
+router.get('/:id/download', protect, requirePermission('read:submission'), async (req, res) => {
   try {
     const submission = await Submission.findById(req.params.id)
       .populate({
@@ -199,12 +204,7 @@ router.get('/:id/download', protect, async (req, res) => {
     }
 
     // Check authorization
-    if (req.user.role === 'student' && submission.student.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
-
-    if (req.user.role === 'teacher' && 
-        submission.assignment.teacher.toString() !== req.user._id.toString()) {
+    if (!(await can(req.user, 'read:submission', submission))) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { getTeacherStats } = require('../controllers/teacherController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 router.use(protect);
-router.use(authorize('teacher'));
+router.use(requirePermission('access:teacher-portal'));
 
 router.get('/stats', getTeacherStats);
 
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTerms,
+  getCurrentTerms,
+  getTermById,
+  createTerm,
+  updateTerm,
+  deleteTerm,
+  getRegistrationWindows,
+  createRegistrationWindow,
+  updateRegistrationWindow,
+  deleteRegistrationWindow
+} = require('../controllers/termController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getTerms)
+  .post(requirePermission('manage:term'), createTerm);
+
+router.get('/current', getCurrentTerms);
+
+router.route('/:id')
+  .get(getTermById)
+  .put(requirePermission('manage:term'), updateTerm)
+  .delete(requirePermission('manage:term'), deleteTerm);
+
+router.route('/:id/windows')
+  .get(getRegistrationWindows)
+  .post(requirePermission('manage:term'), createRegistrationWindow);
+
+router.route('/:id/windows/:windowId')
+  .put(requirePermission('manage:term'), updateRegistrationWindow)
+  .delete(requirePermission('manage:term'), deleteRegistrationWindow);
+
+module.exports = router;
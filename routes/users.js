@@ -1,49 +1,91 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
+const Department = require('../models/Department');
+const StatusHistory = require('../models/StatusHistory');
+const AuditLog = require('../models/AuditLog');
+const {
+  getUserSessions,
+  revokeUserSession,
+  revokeUserSessions
+} = require('../controllers/sessionController');
+const { resetUserTwoFactor } = require('../controllers/twoFactorController');
+const { startEmailChange, sendWeakPasswordResponse } = require('../controllers/authController');
+const {
+  getPendingUsers,
+  approveUser,
+  rejectUser
+} = require('../controllers/approvalController');
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation
+} = require('../controllers/invitationController');
+const {
+  startImpersonation,
+  getImpersonations,
+  getImpersonationLog,
+  stopImpersonation
+} = require('../controllers/impersonationController');
+const { importUsers } = require('../controllers/userImportController');
+const { protect, allowApiKey, requirePermission } = require('../middleware/auth');
+const spreadsheetUpload = require('../middleware/spreadsheetUpload');
+const { can, getDepartmentScope } = require('../services/policy');
+const { checkNewPassword } = require('../services/passwordPolicy');
+const { changeStudentStatus } = require('../services/studentStatus');
+const { moveToRecycleBin } = require('../services/recycleBin');
+const { studentTotalSemesters, resolveStudentProgram } = require('../services/studentSubjects');
+const { STUDENT_STATUSES } = require('../config/studentStatuses');
+const {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  parseExportColumns,
+  streamUserExport
+} = require('../services/userExport');
 
-// Middleware to verify token
-const protect = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ message: 'Not authorized' });
-    }
+// Filters shared by the user list and its export
+const buildUserQuery = async (req) => {
+  const { role, search, approvalStatus, department, program, semester, isActive, studentStatus } = req.query;
+  const query = {};
 
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    req.user = await User.findById(decoded.id);
-    next();
-  } catch (error) {
-    res.status(401).json({ message: 'Not authorized' });
+  // Heads of department only see their own department's users
+  const departments = await getDepartmentScope(req.user, 'read:user');
+  if (departments !== null) query.department = { $in: departments };
+
+  if (department) {
+    const allowed = mongoose.isValidObjectId(department) &&
+      (departments === null || departments.some(id => id.toString() === department));
+    query.department = allowed ? department : { $in: [] };
   }
-};
 
-// Middleware to check admin role
-const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403).json({ message: 'Admin access required' });
+  if (role) query.role = role;
+  if (program && mongoose.isValidObjectId(program)) query.program = program;
+  if (approvalStatus) query.approvalStatus = approvalStatus;
+  if (semester) query.semester = parseInt(semester);
+  if (isActive === 'true' || isActive === 'false') query.isActive = isActive === 'true';
+  if (STUDENT_STATUSES.includes(studentStatus)) {
+    // Students saved before statuses existed have none and are enrolled
+    query.studentStatus = studentStatus === 'enrolled' ? { $in: ['enrolled', null] } : studentStatus;
+  }
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+      { enrollmentNumber: { $regex: search, $options: 'i' } }
+    ];
   }
+
+  return query;
 };
 
 // @desc    Get all users
 // @route   GET /api/users
-// @access  Private/Admin
-router.get('/', protect, admin, async (req, res) => {
+// @access  Private/Admin or Head of Department
+router.get('/', allowApiKey, protect, requirePermission('read:user'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, role, search } = req.query;
-    const query = {};
-
-    if (role) query.role = role;
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { enrollmentNumber: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const { page = 1, limit = 10 } = req.query;
+    const query = await buildUserQuery(req);
 
     const users = await User.find(query)
       .select('-password')
@@ -66,15 +108,97 @@ router.get('/', protect, admin, async (req, res) => {
   }
 });
 
+// @desc    Export the filtered user list as CSV or XLSX with chosen columns
+// @route   GET /api/users/export
+// @access  Private/Admin or Head of Department
+router.get('/export', protect, requirePermission('read:user'), async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { columns, unknown } = parseExportColumns(req.query.columns);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        message: `Unknown columns: ${unknown.join(', ')}`,
+        availableColumns: Object.keys(EXPORT_COLUMNS)
+      });
+    }
+
+    const query = await buildUserQuery(req);
+    query.isServiceAccount = { $ne: true };
+
+    const cursor = User.find(query)
+      .select(columns.map(column => EXPORT_COLUMNS[column].field).join(' '))
+      .populate('department', 'name code')
+      .sort('name')
+      .lean()
+      .cursor();
+
+    res.attachment(`users-${new Date().toISOString().slice(0, 10)}.${format}`);
+    await streamUserExport(cursor, columns, format, res);
+  } catch (error) {
+    console.error('Export users error:', error);
+    // Once rows have been sent the only way to signal failure is to cut the file short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Bulk import of students and teachers from a spreadsheet
+router.post('/import', protect, requirePermission('manage:user'), spreadsheetUpload.single('file'), importUsers);
+
+// Account approval and invitations
+router.get('/pending', protect, requirePermission('approve:user'), getPendingUsers);
+router.put('/:id/approve', protect, requirePermission('approve:user'), approveUser);
+router.put('/:id/reject', protect, requirePermission('approve:user'), rejectUser);
+router.route('/invitations')
+  .get(protect, requirePermission('manage:invitation'), getInvitations)
+  .post(protect, requirePermission('manage:invitation'), createInvitation);
+router.delete('/invitations/:id', protect, requirePermission('manage:invitation'), revokeInvitation);
+
+// Impersonation ("view as user") and its audit trail
+router.get('/impersonations', protect, requirePermission('impersonate:user'), getImpersonations);
+router.route('/impersonations/:sessionId')
+  .get(protect, requirePermission('impersonate:user'), getImpersonationLog)
+  .delete(protect, requirePermission('impersonate:user'), stopImpersonation);
+router.post('/:id/impersonate', protect, requirePermission('impersonate:user'), startImpersonation);
+
+// @desc    Get currently locked accounts
+// @route   GET /api/users/locked
+// @access  Private/Admin
+router.get('/locked', protect, requirePermission('manage:user'), async (req, res) => {
+  try {
+    const users = await User.find({ lockUntil: { $gt: new Date() } })
+      .select('name email role failedLoginAttempts lockUntil +loginFailures')
+      .sort('-lockUntil');
+
+    res.json(users);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // @desc    Get user by ID
 // @route   GET /api/users/:id
-// @access  Private/Admin
-router.get('/:id', protect, admin, async (req, res) => {
+// @access  Private/Admin or Head of Department
+router.get('/:id', allowApiKey, protect, requirePermission('read:user'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .select('-password')
-      .populate('department', 'name code');
+      .populate('department', 'name code')
+      .populate('program', 'name code level totalSemesters')
+      .populate('curriculum', 'intakeYear name');
     
+    if (user && !(await can(req.user, 'read:user', user))) {
+      return res.status(403).json({ message: 'Not authorized to view this user' });
+    }
+
     if (user) {
       res.json(user);
     } else {
@@ -89,16 +213,44 @@ router.get('/:id', protect, admin, async (req, res) => {
 // @desc    Update user
 // @route   PUT /api/users/:id
 // @access  Private/Admin
-router.put('/:id', protect, admin, async (req, res) => {
+router.put('/:id', protect, requirePermission('manage:user'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
     if (user) {
+      // A program belongs to one department, moving the user takes them off it
+      const departmentChanged = Boolean(req.body.department) &&
+        String(req.body.department) !== String(user.department);
+      if (departmentChanged) {
+        if (!mongoose.isValidObjectId(req.body.department) || !(await Department.exists({ _id: req.body.department }))) {
+          return res.status(400).json({ message: 'Department not found' });
+        }
+        user.department = req.body.department;
+        user.program = null;
+        user.curriculum = null;
+      }
+
       user.name = req.body.name || user.name;
-      user.email = req.body.email || user.email;
       user.role = req.body.role || user.role;
-      user.department = req.body.department || user.department;
-      user.semester = req.body.semester || user.semester;
+
+      if (req.body.semester || (departmentChanged && user.semester)) {
+        const semester = parseInt(req.body.semester || user.semester);
+        const department = await Department.findById(user.department).select('totalSemesters').lean();
+        const totalSemesters = await studentTotalSemesters(user, department);
+        if (!semester || semester < 1 || semester > totalSemesters) {
+          return res.status(400).json({ message: `Semester must be between 1 and ${totalSemesters}` });
+        }
+        user.semester = semester;
+      }
+
+      // The new address has to confirm the change before it applies
+      if (req.body.email && req.body.email.toLowerCase() !== user.email) {
+        const emailError = await startEmailChange(user, req.body.email);
+        if (emailError) {
+          return res.status(400).json({ message: emailError });
+        }
+      }
+
       user.phone = req.body.phone || user.phone;
       user.address = req.body.address || user.address;
       user.isActive = req.body.isActive !== undefined ? req.body.isActive : user.isActive;
@@ -108,6 +260,7 @@ router.put('/:id', protect, admin, async (req, res) => {
         _id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
+        pendingEmail: updatedUser.pendingEmail,
         role: updatedUser.role,
         isActive: updatedUser.isActive
       });
@@ -120,15 +273,297 @@ router.put('/:id', protect, admin, async (req, res) => {
   }
 });
 
+// @desc    Move a student to another semester
+// @route   PUT /api/users/:id/semester
+// @access  Private/Admin or Head of Department
+router.put('/:id/semester', protect, requirePermission('update:student-semester'), async (req, res) => {
+  try {
+    const semester = parseInt(req.body.semester);
+    const student = await User.findOne({ _id: req.params.id, role: 'student' })
+      .populate('department', 'totalSemesters');
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!(await can(req.user, 'update:student-semester', student))) {
+      return res.status(403).json({ message: 'Not authorized to change this student\'s semester' });
+    }
+
+    const totalSemesters = await studentTotalSemesters(student, student.department);
+    if (!semester || semester < 1 || semester > totalSemesters) {
+      return res.status(400).json({ message: `Semester must be between 1 and ${totalSemesters}` });
+    }
+
+    student.semester = semester;
+    await student.save();
+
+    res.json({ _id: student._id, name: student.name, semester: student.semester });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @desc    Put a student on a program and curriculum, or take them off it
+// @route   PUT /api/users/:id/program
+// @access  Private/Admin
+router.put('/:id/program', protect, requirePermission('manage:user'), async (req, res) => {
+  try {
+    const student = mongoose.isValidObjectId(req.params.id) &&
+      await User.findOne({ _id: req.params.id, role: 'student' });
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    // No program goes back to the department's own semesters
+    if (!req.body.program) {
+      student.program = null;
+      student.curriculum = null;
+    } else {
+      const { program, curriculum, error } = await resolveStudentProgram(req.body.program, req.body.curriculum);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      if (student.semester && student.semester > program.totalSemesters) {
+        return res.status(400).json({
+          message: `The student is in semester ${student.semester}, this program has ${program.totalSemesters}`
+        });
+      }
+
+      student.program = program._id;
+      student.curriculum = curriculum._id;
+      student.department = program.department;
+    }
+
+    await student.save();
+
+    res.json({
+      _id: student._id,
+      name: student.name,
+      department: student.department,
+      program: student.program,
+      curriculum: student.curriculum,
+      semester: student.semester
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @desc    Change a student's status, now or from a future effective date
+// @route   POST /api/users/:id/status
+// @access  Private/Admin
+router.post('/:id/status', protect, requirePermission('manage:student-status'), async (req, res) => {
+  try {
+    const { status, reason, effectiveDate } = req.body;
+    const student = mongoose.isValidObjectId(req.params.id) &&
+      await User.findOne({ _id: req.params.id, role: 'student' });
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const result = await changeStudentStatus(student, {
+      status,
+      reason,
+      effectiveDate,
+      changedBy: req.user._id
+    });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    await AuditLog.record({
+      action: 'student.status',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: {
+        student: student._id,
+        from: result.entry.from,
+        to: result.entry.to,
+        effectiveDate: result.entry.effectiveDate,
+        scheduled: result.entry.isScheduled()
+      }
+    });
+
+    res.status(201).json({
+      studentStatus: student.studentStatus,
+      studentStatusChangedAt: student.studentStatusChangedAt,
+      change: result.entry
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @desc    Cancel a student's scheduled status change
+// @route   DELETE /api/users/:id/status/scheduled
+// @access  Private/Admin
+router.delete('/:id/status/scheduled', protect, requirePermission('manage:student-status'), async (req, res) => {
+  try {
+    const entry = mongoose.isValidObjectId(req.params.id) &&
+      await StatusHistory.findScheduledForStudent(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ message: 'No scheduled status change found' });
+    }
+
+    entry.cancelledAt = new Date();
+    await entry.save();
+
+    await AuditLog.record({
+      action: 'student.status-cancel',
+      actor: req.user._id,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      details: { student: entry.student, to: entry.to, effectiveDate: entry.effectiveDate }
+    });
+
+    res.json({ message: 'Scheduled status change cancelled' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @desc    Get a student's status history, scheduled changes included
+// @route   GET /api/users/:id/status-history
+// @access  Private/Admin or Head of Department
+router.get('/:id/status-history', protect, requirePermission('read:user'), async (req, res) => {
+  try {
+    const student = mongoose.isValidObjectId(req.params.id) &&
+      await User.findOne({ _id: req.params.id, role: 'student' })
+        .select('name studentStatus studentStatusChangedAt department');
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!(await can(req.user, 'read:user', student))) {
+      return res.status(403).json({ message: 'Not authorized to view this user' });
+    }
+
+    const history = await StatusHistory.find({ student: student._id })
+      .populate('changedBy', 'name email')
+      .sort('-effectiveDate -createdAt');
+
+    res.json({
+      _id: student._id,
+      name: student.name,
+      studentStatus: student.studentStatus || 'enrolled',
+      studentStatusChangedAt: student.studentStatusChangedAt,
+      history
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @desc    Get recent failed login attempts for a user
+// @route   GET /api/users/:id/login-failures
+// @access  Private/Admin
+router.get('/:id/login-failures', protect, requirePermission('manage:user'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('name email failedLoginAttempts lockUntil +loginFailures');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockUntil: user.lockUntil,
+      locked: user.isLocked(),
+      failures: [...user.loginFailures].reverse()
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @desc    Unlock a locked account
+// @route   POST /api/users/:id/unlock
+// @access  Private/Admin
+router.post('/:id/unlock', protect, requirePermission('manage:user'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await user.resetLoginFailures();
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @desc    Set a new password for a user, optionally forcing a change at next login
+// @route   POST /api/users/:id/password
+// @access  Private/Admin
+router.post('/:id/password', protect, requirePermission('manage:user'), async (req, res) => {
+  try {
+    const { password, requireChange = true } = req.body;
+    const user = await User.findById(req.params.id);
+
+    if (!user || user.isServiceAccount) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const passwordErrors = await checkNewPassword(user, password);
+    if (passwordErrors.length > 0) {
+      return sendWeakPasswordResponse(res, passwordErrors);
+    }
+
+    // Saving the new password also revokes every session
+    user.password = password;
+    user.passwordResetRequired = Boolean(requireChange);
+    // Marked even when unchanged, otherwise the password change clears it
+    user.markModified('passwordResetRequired');
+    await user.save();
+
+    res.json({
+      message: 'Password reset successfully',
+      passwordResetRequired: user.passwordResetRequired
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Session management for compromised accounts
+router.get('/:id/sessions', protect, requirePermission('manage:session'), getUserSessions);
+router.delete('/:id/sessions', protect, requirePermission('manage:session'), revokeUserSessions);
+router.delete('/:id/sessions/:sessionId', protect, requirePermission('manage:session'), revokeUserSession);
+
+router.delete('/:id/two-factor', protect, requirePermission('manage:user'), resetUserTwoFactor);
+
 // @desc    Delete user
 // @route   DELETE /api/users/:id
 // @access  Private/Admin
-router.delete('/:id', protect, admin, async (req, res) => {
+router.delete('/:id', protect, requirePermission('manage:user'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
     if (user) {
-      await user.deleteOne();
+      // Also revokes their sessions, admins can restore the account from
+      // the recycle bin until it is purged
+      await moveToRecycleBin('user', user, req.user._id);
       res.json({ message: 'User removed successfully' });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -8,11 +8,17 @@ dotenv.config();
 
 const app = express();
 
+// Needed behind a reverse proxy so rate limits see the client IP
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
   origin: ['http://localhost:3000',
           'https://benevolent-lokum-f273fb.netlify.app'],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Impersonating', 'X-Impersonated-By']
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -25,13 +31,24 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/universit
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+  startDeletionRequestJob();
+  startStudentStatusJob();
+  startRecycleBinJob();
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const facultyRoutes = require('./routes/faculties');
 const departmentRoutes = require('./routes/departments');
+const programRoutes = require('./routes/programs');
+const termRoutes = require('./routes/terms');
+const offeringRoutes = require('./routes/offerings');
+const enrollmentRoutes = require('./routes/enrollments');
+const registrationRoutes = require('./routes/registration');
 const subjectRoutes = require('./routes/subjects');
 const noteRoutes = require('./routes/notes');
 const assignmentRoutes = require('./routes/assignments');
@@ -44,12 +61,28 @@ const studentRoutes = require('./routes/student');
 const scheduleRoutes = require('./routes/schedule');
 const notificationRoutes = require('./routes/notifications');
 const universityRoutes = require('./routes/university');
+const settingsRoutes = require('./routes/settings');
+const roleRoutes = require('./routes/roles');
+const serviceAccountRoutes = require('./routes/serviceAccounts');
+const deletionRequestRoutes = require('./routes/deletionRequests');
+const numberingRoutes = require('./routes/numbering');
+const promotionRoutes = require('./routes/promotions');
+const recycleBinRoutes = require('./routes/recycleBin');
+const { startDeletionRequestJob } = require('./jobs/deletionRequests');
+const { startStudentStatusJob } = require('./jobs/studentStatuses');
+const { startRecycleBinJob } = require('./jobs/recycleBin');
 
 // Use routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/university', universityRoutes);
+app.use('/api/faculties', facultyRoutes);
 app.use('/api/departments', departmentRoutes);
+app.use('/api/programs', programRoutes);
+app.use('/api/terms', termRoutes);
+app.use('/api/offerings', offeringRoutes);
+app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/registration', registrationRoutes);
 app.use('/api/subjects', subjectRoutes);
 app.use('/api/notes', noteRoutes);
 app.use('/api/assignments', assignmentRoutes);
@@ -61,6 +94,13 @@ app.use('/api/teacher', teacherRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/student', studentRoutes);
 app.use('/api/schedule', scheduleRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/service-accounts', serviceAccountRoutes);
+app.use('/api/deletion-requests', deletionRequestRoutes);
+app.use('/api/numbering', numberingRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/recycle-bin', recycleBinRoutes);
 
 // Test route
 app.get('/api/test', (req, res) => {
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Invitation = require('../models/Invitation');
+const Notification = require('../models/Notification');
+const NoteDownload = require('../models/NoteDownload');
+
+const ANONYMISED_NAME = 'Deleted user';
+
+// Profile images are stored either as a filename or as the upload path
+const profileImagePath = (profileImage) => (
+  profileImage.includes('/') || profileImage.includes('\\')
+    ? profileImage
+    : path.join('uploads', 'profiles', profileImage)
+);
+
+// Strip everything that identifies the person while keeping the account as
+// the anchor for academic records (submissions, marks, quiz attempts), so
+// grades and statistics stay intact. Written directly, as the anonymised
+// account no longer passes the usual validation. Accounts in the recycle
+// bin are anonymised too, null only when there is no such account.
+const anonymiseUser = async (userId) => {
+  const user = await User.findById(userId).setOptions({ withDeleted: true });
+  if (!user) return null;
+
+  if (user.profileImage) {
+    const imagePath = profileImagePath(user.profileImage);
+    if (fs.existsSync(imagePath)) {
+      fs.unlinkSync(imagePath);
+    }
+  }
+
+  const originalEmail = user.email;
+
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      name: ANONYMISED_NAME,
+      email: `deleted-${user._id}@deleted.invalid`,
+      isActive: false,
+      emailVerified: false,
+      passwordResetRequired: false,
+      'twoFactor.enabled': false,
+      anonymisedAt: new Date()
+    },
+    $unset: {
+      password: 1,
+      passwordHistory: 1,
+      passwordChangedAt: 1,
+      oidcSubject: 1,
+      universityId: 1,
+      enrollmentNumber: 1,
+      phone: 1,
+      address: 1,
+      profileImage: 1,
+      pendingEmail: 1,
+      pendingEmailToken: 1,
+      pendingEmailExpiry: 1,
+      emailVerificationToken: 1,
+      emailVerificationExpiry: 1,
+      resetCode: 1,
+      resetCodeExpiry: 1,
+      loginFailures: 1,
+      rejectionReason: 1,
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.recoveryCodes': 1
+    }
+  }, { withDeleted: true });
+
+  await Promise.all([
+    Session.revokeAllForUser(user._id, 'account_deleted'),
+    Notification.deleteMany({ recipient: user._id }),
+    NoteDownload.deleteMany({ user: user._id }),
+    Invitation.deleteMany({ email: originalEmail })
+  ]);
+
+  return user._id;
+};
+
+module.exports = { anonymiseUser, profileImagePath, ANONYMISED_NAME };
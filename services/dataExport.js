@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Submission = require('../models/Submission');
+const Quiz = require('../models/Quiz');
+const NoteDownload = require('../models/NoteDownload');
+const Notification = require('../models/Notification');
+
+const EXPORT_FORMAT_VERSION = 1;
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+const getSubmissions = (userId) => Submission.find({ student: userId })
+  .populate({
+    path: 'assignment',
+    select: 'title deadline maxMarks subject',
+    populate: { path: 'subject', select: 'name code' }
+  })
+  .populate('gradedBy', 'name')
+  .sort('submittedAt')
+  .lean();
+
+// Only the user's own attempts, not other students' attempts on the same quiz
+const getQuizAttempts = async (userId) => {
+  const quizzes = await Quiz.find({ 'attempts.student': userId })
+    .select('title subject attempts')
+    .populate('subject', 'name code')
+    .lean();
+
+  return quizzes.flatMap(quiz => quiz.attempts
+    .filter(attempt => attempt.student && attempt.student.toString() === userId.toString())
+    .map(attempt => ({
+      quiz: { _id: quiz._id, title: quiz.title, subject: quiz.subject },
+      answers: attempt.answers,
+      score: attempt.score,
+      percentage: attempt.percentage,
+      startedAt: attempt.startedAt,
+      submittedAt: attempt.submittedAt,
+      status: attempt.status
+    })));
+};
+
+// Stream a ZIP of everything held about the user: one JSON file per kind of
+// record, the submitted files, and a manifest describing them
+const streamDataExport = async (userId, output) => {
+  const [profile, submissions, quizAttempts, noteDownloads, notifications] = await Promise.all([
+    User.findById(userId).select('-password').populate('department', 'name code').lean(),
+    getSubmissions(userId),
+    getQuizAttempts(userId),
+    NoteDownload.find({ user: userId })
+      .populate('note', 'title fileType subject')
+      .sort('-downloadedAt')
+      .lean(),
+    Notification.find({ recipient: userId }).sort('-createdAt').lean()
+  ]);
+
+  if (!profile) {
+    throw new Error('User not found');
+  }
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.pipe(output);
+
+  // Submitted files go in alongside the records pointing at them
+  const submissionRecords = submissions.map(submission => {
+    const fileName = `submissions/files/${submission._id}-${path.basename(submission.fileUrl || '')}`;
+    const hasFile = Boolean(submission.fileUrl) && fs.existsSync(submission.fileUrl);
+    if (hasFile) {
+      archive.file(submission.fileUrl, { name: fileName });
+    }
+    return { ...submission, exportedFile: hasFile ? fileName : null };
+  });
+
+  const sections = [
+    { name: 'profile.json', description: 'Account and profile details', data: profile },
+    { name: 'submissions/submissions.json', description: 'Assignment submissions, marks and feedback', data: submissionRecords },
+    { name: 'quiz-attempts.json', description: 'Quiz attempts and scores', data: quizAttempts },
+    { name: 'note-downloads.json', description: 'Course notes downloaded', data: noteDownloads },
+    { name: 'notifications.json', description: 'Notifications received', data: notifications }
+  ];
+
+  for (const section of sections) {
+    archive.append(toJson(section.data), { name: section.name });
+  }
+
+  archive.append(toJson({
+    formatVersion: EXPORT_FORMAT_VERSION,
+    generatedAt: new Date(),
+    user: { _id: profile._id, email: profile.email },
+    contents: [
+      ...sections.map(section => ({
+        file: section.name,
+        description: section.description,
+        records: Array.isArray(section.data) ? section.data.length : 1
+      })),
+      {
+        file: 'submissions/files/',
+        description: 'Files submitted for assignments',
+        records: submissionRecords.filter(record => record.exportedFile).length
+      }
+    ]
+  }), { name: 'manifest.json' });
+
+  await archive.finalize();
+};
+
+module.exports = { streamDataExport };
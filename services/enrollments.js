@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const Enrollment = require('../models/Enrollment');
+const Subject = require('../models/Subject');
+const SubjectOffering = require('../models/SubjectOffering');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { currentOfferingIds } = require('./offerings');
+const { studentSubjectsFilter } = require('./studentSubjects');
+const { currentStatus, isStudying } = require('../config/studentStatuses');
+
+// Moves allowed between enrollment statuses. Completed and failed are the
+// outcome of a subject, taking it again is a new enrollment.
+const enrollmentTransitions = {
+  enrolled: ['dropped', 'completed', 'failed'],
+  waitlisted: ['enrolled', 'dropped'],
+  dropped: ['enrolled'],
+  completed: [],
+  failed: []
+};
+
+// Statuses holding the student's place in a subject
+const ACTIVE_STATUSES = ['enrolled', 'waitlisted'];
+
+const activeEnrollments = (studentId) => (
+  Enrollment.find({ student: studentId, status: 'enrolled' }).select('subject offering').lean()
+);
+
+// Subject query for the subjects a student is enrolled in
+const enrolledSubjectsFilter = async (studentId) => {
+  const enrollments = await activeEnrollments(studentId);
+  return { _id: { $in: enrollments.map(enrollment => enrollment.subject) } };
+};
+
+// Query for the assignments, quizzes or notes a student sees: those of the
+// offerings they are enrolled in, plus work set outside any offering. An
+// enrollment without an offering follows the subject's current offerings.
+const enrolledWorkFilter = async (studentId) => {
+  const enrollments = await activeEnrollments(studentId);
+  const withoutOffering = enrollments.filter(enrollment => !enrollment.offering).map(enrollment => enrollment.subject);
+
+  const offerings = enrollments.filter(enrollment => enrollment.offering).map(enrollment => enrollment.offering);
+  if (withoutOffering.length > 0) {
+    offerings.push(...(await currentOfferingIds(withoutOffering)));
+  }
+
+  return {
+    subject: { $in: enrollments.map(enrollment => enrollment.subject) },
+    offering: { $in: [null, ...offerings] }
+  };
+};
+
+// Whether a student is enrolled for an assignment, quiz or note
+const isEnrolledFor = async (studentId, work) => {
+  const query = { student: studentId, subject: work.subject?._id || work.subject, status: 'enrolled' };
+  if (work.offering) {
+    query.offering = { $in: [null, work.offering._id || work.offering] };
+  }
+  return Boolean(await Enrollment.exists(query));
+};
+
+// User query for the students enrolled in a subject, or in one offering
+// of it (those enrolled without an offering included)
+const enrolledStudentsFilter = async (subject, offering = null) => {
+  const query = { subject: subject._id || subject, status: 'enrolled' };
+  if (offering) query.offering = { $in: [null, offering._id || offering] };
+
+  const studentIds = await Enrollment.find(query).distinct('student');
+  return { role: 'student', _id: { $in: studentIds } };
+};
+
+// Enroll students in a subject, or an offering of it. Students already
+// enrolled without an offering are moved into it, and those waitlisted
+// get their seat: admins enroll past an offering's capacity. Returns the
+// ids that were enrolled and already enrolled, and why the rest were
+// skipped.
+const enrollStudents = async (studentIds, { subject, offering = null, enrolledBy }) => {
+  const result = { enrolled: [], alreadyEnrolled: [], skipped: [] };
+
+  const students = await User.find({ _id: { $in: studentIds }, role: 'student' })
+    .select('studentStatus');
+  const found = new Map(students.map(student => [student._id.toString(), student]));
+
+  for (const id of studentIds) {
+    const student = found.get(id.toString());
+    if (!student) {
+      result.skipped.push({ student: id, reason: 'Student not found' });
+      continue;
+    }
+    if (!isStudying(student)) {
+      result.skipped.push({ student: id, reason: `Student is ${currentStatus(student)}` });
+      continue;
+    }
+
+    const existing = await Enrollment.findOne({
+      student: student._id,
+      subject: subject._id,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    if (existing) {
+      const sameOffering = !offering || Boolean(existing.offering?.equals(offering._id));
+      if (existing.status === 'waitlisted' && sameOffering) {
+        existing.status = 'enrolled';
+        existing.statusChangedAt = new Date();
+        existing.statusChangedBy = enrolledBy;
+        await existing.save();
+        result.enrolled.push(student._id);
+      } else if (offering && !existing.offering) {
+        existing.offering = offering._id;
+        await existing.save();
+        result.enrolled.push(student._id);
+      } else if (sameOffering) {
+        result.alreadyEnrolled.push(student._id);
+      } else {
+        result.skipped.push({ student: id, reason: 'Enrolled in another offering of this subject, drop it first' });
+      }
+      continue;
+    }
+
+    try {
+      await Enrollment.create({
+        student: student._id,
+        subject: subject._id,
+        offering: offering?._id || null,
+        enrolledBy
+      });
+      result.enrolled.push(student._id);
+    } catch (error) {
+      // Enrolled by a concurrent request
+      if (error.code !== 11000) throw error;
+      result.alreadyEnrolled.push(student._id);
+    }
+  }
+
+  return result;
+};
+
+// Enroll a student in subjects without an offering, so they follow each
+// subject's current one. Subjects the student already has a place in,
+// enrolled or waitlisted, are left alone. Returns the enrollments created.
+const enrollInSubjects = async (student, subjectIds, { enrolledBy = null, reason = '', session = null } = {}) => {
+  const held = await Enrollment.find({
+    student: student._id,
+    subject: { $in: subjectIds },
+    status: { $in: ACTIVE_STATUSES }
+  }).distinct('subject').session(session);
+
+  const heldKeys = new Set(held.map(String));
+  const missing = subjectIds.filter(id => !heldKeys.has(String(id)));
+  if (missing.length === 0) return [];
+
+  return Enrollment.insertMany(missing.map(subject => ({
+    student: student._id,
+    subject,
+    enrolledBy,
+    reason
+  })), { session });
+};
+
+// Enroll a student in the subjects their studies set for a semester (their
+// current one by default), for new students and those moving up
+const enrollInSemesterSubjects = async (student, { semester = student.semester, ...options } = {}) => {
+  if (!semester || !(student.curriculum || student.department)) return [];
+
+  const subjectIds = await Subject.find({ ...(await studentSubjectsFilter(student, semester)), isActive: true })
+    .distinct('_id')
+    .session(options.session || null);
+  return enrollInSubjects(student, subjectIds, options);
+};
+
+// Give the free seats of an offering to its waitlist, first come first
+// served. Students no longer studying keep their place but are passed
+// over. Returns the enrollments promoted, whose students are notified.
+const promoteWaitlist = async (offeringId) => {
+  const session = await mongoose.startSession();
+  let promoted = [];
+
+  try {
+    await session.withTransaction(async () => {
+      promoted = [];
+      const offering = await SubjectOffering.findOneAndUpdate(
+        { _id: offeringId },
+        { $inc: { seatVersion: 1 } },
+        { new: true, session }
+      );
+      if (!offering || !offering.isActive) return;
+
+      let free = offering.capacity == null
+        ? Infinity
+        : offering.capacity - await Enrollment.countDocuments({ offering: offering._id, status: 'enrolled' }).session(session);
+
+      const waiting = free > 0
+        ? await Enrollment.find({ offering: offering._id, status: 'waitlisted' })
+          .sort('enrolledAt')
+          .populate('student', 'studentStatus')
+          .populate('subject', 'name code')
+          .session(session)
+        : [];
+
+      for (const enrollment of waiting) {
+        if (free <= 0) break;
+        if (!enrollment.student || !isStudying(enrollment.student)) continue;
+
+        enrollment.status = 'enrolled';
+        enrollment.statusChangedAt = new Date();
+        enrollment.reason = 'Promoted from the waitlist';
+        await enrollment.save({ session });
+        promoted.push(enrollment);
+        free -= 1;
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  for (const enrollment of promoted) {
+    try {
+      await Notification.create({
+        recipient: enrollment.student._id,
+        type: 'system',
+        title: 'Off the waitlist',
+        message: `A seat opened up and you are now enrolled in ${enrollment.subject.name}`,
+        link: '/student/subjects',
+        data: { enrollmentId: enrollment._id }
+      });
+    } catch (error) {
+      console.error('Waitlist notification error:', error);
+    }
+  }
+
+  return promoted;
+};
+
+// Change an enrollment's status, giving a seat it frees to the offering's
+// waitlist. Returns { enrollment } or { error }.
+const changeEnrollmentStatus = async (enrollment, { status, reason = '', changedBy }) => {
+  if (!Enrollment.ENROLLMENT_STATUSES.includes(status)) {
+    return { error: `Status must be one of ${Enrollment.ENROLLMENT_STATUSES.join(', ')}` };
+  }
+  if (!enrollmentTransitions[enrollment.status].includes(status)) {
+    return { error: `An enrollment cannot move from ${enrollment.status} to ${status}` };
+  }
+
+  if (status === 'enrolled') {
+    const other = await Enrollment.exists({
+      _id: { $ne: enrollment._id },
+      student: enrollment.student,
+      subject: enrollment.subject._id || enrollment.subject,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    if (other) {
+      return { error: 'The student is already enrolled in this subject again' };
+    }
+  }
+
+  const freesSeat = enrollment.status === 'enrolled' && status === 'dropped';
+
+  enrollment.status = status;
+  enrollment.reason = reason;
+  enrollment.statusChangedAt = new Date();
+  enrollment.statusChangedBy = changedBy;
+  await enrollment.save();
+
+  if (freesSeat && enrollment.offering) {
+    await promoteWaitlist(enrollment.offering._id || enrollment.offering);
+  }
+
+  return { enrollment };
+};
+
+// Drop students from a subject, or from one offering of it, waitlisted
+// ones included. Returns the ids dropped and those that were not enrolled.
+const dropStudents = async (studentIds, { subject, offering = null, reason = '', droppedBy }) => {
+  const query = { student: { $in: studentIds }, subject: subject._id, status: { $in: ACTIVE_STATUSES } };
+  if (offering) query.offering = offering._id;
+
+  const enrollments = await Enrollment.find(query);
+  for (const enrollment of enrollments) {
+    await changeEnrollmentStatus(enrollment, { status: 'dropped', reason, changedBy: droppedBy });
+  }
+
+  const dropped = enrollments.map(enrollment => enrollment.student);
+  return {
+    dropped,
+    notEnrolled: studentIds.filter(id => !dropped.some(student => student.equals(id)))
+  };
+};
+
+module.exports = {
+  enrollmentTransitions,
+  ACTIVE_STATUSES,
+  activeEnrollments,
+  enrolledSubjectsFilter,
+  enrolledWorkFilter,
+  isEnrolledFor,
+  enrolledStudentsFilter,
+  enrollStudents,
+  enrollInSubjects,
+  enrollInSemesterSubjects,
+  promoteWaitlist,
+  changeEnrollmentStatus,
+  dropStudents
+};
@@ -0,0 +1,57 @@
+const { render } = require('./templates');
+const createSmtpTransport = require('./transports/smtpTransport');
+const createFileTransport = require('./transports/fileTransport');
+const createMemoryTransport = require('./transports/memoryTransport');
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport
+};
+
+let transport = null;
+
+const defaultTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  if (process.env.NODE_ENV === 'production') return 'smtp';
+  return 'file';
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = defaultTransportName();
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Swap the transport at runtime, e.g. a memory transport in tests
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+// Render a template and deliver it through the active transport
+const sendMail = async (templateName, to, data = {}) => {
+  const { subject, text, html } = render(templateName, data);
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@university.local',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport
+};
@@ -0,0 +1,113 @@
+const APP_NAME = process.env.APP_NAME || 'University Portal';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Wrap paragraphs in the shared layout, returns both text and html bodies
+const layout = (paragraphs) => ({
+  text: `${paragraphs.join('\n\n')}\n\n${APP_NAME}`,
+  html: `${paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n')}\n<p>${escapeHtml(APP_NAME)}</p>`
+});
+
+// Each template receives its data and returns { subject, text, html }
+const templates = {
+  passwordReset: ({ name, code, expiresInMinutes }) => ({
+    subject: `${APP_NAME}: your password reset code`,
+    ...layout([
+      `Hello ${name},`,
+      `Your password reset code is ${code}. It expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not request a password reset, you can ignore this email.'
+    ])
+  }),
+
+  invitation: ({ name, role, invitedBy, token, expiresAt }) => ({
+    subject: `${APP_NAME}: you have been invited to join as ${role}`,
+    ...layout([
+      `Hello${name ? ` ${name}` : ''},`,
+      `${invitedBy} has invited you to create a ${role} account.`,
+      `Accept the invitation here: ${FRONTEND_URL}/accept-invitation?token=${token}`,
+      `This invitation expires on ${new Date(expiresAt).toUTCString()}.`
+    ])
+  }),
+
+  emailVerification: ({ name, token, expiresInHours }) => ({
+    subject: `${APP_NAME}: confirm your email address`,
+    ...layout([
+      `Hello ${name},`,
+      `Please confirm your email address here: ${FRONTEND_URL}/verify-email?token=${token}`,
+      `This link expires in ${expiresInHours} hours.`,
+      'If you did not create an account, you can ignore this email.'
+    ])
+  }),
+
+  emailChangeConfirm: ({ name, newEmail, token, expiresInHours }) => ({
+    subject: `${APP_NAME}: confirm your new email address`,
+    ...layout([
+      `Hello ${name},`,
+      `A change of your account email to ${newEmail} was requested.`,
+      `Confirm it here: ${FRONTEND_URL}/verify-email?token=${token}`,
+      `This link expires in ${expiresInHours} hours. Until then your current address stays in use.`
+    ])
+  }),
+
+  emailChangeNotice: ({ name, newEmail }) => ({
+    subject: `${APP_NAME}: your account email is being changed`,
+    ...layout([
+      `Hello ${name},`,
+      `A change of your account email to ${newEmail} was requested. It takes effect once the new address is confirmed.`,
+      'If you did not expect this, please contact the administration office straight away.'
+    ])
+  }),
+
+  accountApproved: ({ name }) => ({
+    subject: `${APP_NAME}: your account has been approved`,
+    ...layout([
+      `Hello ${name},`,
+      `Your account has been approved. You can now log in at ${FRONTEND_URL}/login.`
+    ])
+  }),
+
+  accountRejected: ({ name, reason }) => ({
+    subject: `${APP_NAME}: your registration was not approved`,
+    ...layout([
+      `Hello ${name},`,
+      'Your registration was not approved.',
+      ...(reason ? [`Reason: ${reason}`] : []),
+      'Please contact the administration office if you think this is a mistake.'
+    ])
+  }),
+
+  deletionApproved: ({ name, scheduledFor }) => ({
+    subject: `${APP_NAME}: your account deletion has been approved`,
+    ...layout([
+      `Hello ${name},`,
+      `Your request to delete your account has been approved. Your personal data will be removed on ${new Date(scheduledFor).toUTCString()}.`,
+      'Your academic records are kept without your name or contact details.',
+      `Until then you can cancel the request from your account settings at ${FRONTEND_URL}/profile.`
+    ])
+  }),
+
+  deletionRejected: ({ name, reason }) => ({
+    subject: `${APP_NAME}: your account deletion request`,
+    ...layout([
+      `Hello ${name},`,
+      'Your request to delete your account was not approved.',
+      ...(reason ? [`Reason: ${reason}`] : []),
+      'Please contact the administration office if you have any questions.'
+    ])
+  })
+};
+
+const render = (templateName, data = {}) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${templateName}`);
+  }
+  return template(data);
+};
+
+module.exports = { templates, render, layout, FRONTEND_URL };
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes every message to an outbox directory instead of sending it,
+// so reset codes and invitations can be read locally during development
+const createFileTransport = (options = {}) => {
+  const outboxDir = options.dir || process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../../mail-outbox');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+
+      const id = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+      const file = path.join(outboxDir, `${id}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({
+        ...message,
+        sentAt: new Date().toISOString()
+      }, null, 2));
+
+      return { id, file };
+    }
+  };
+};
+
+module.exports = createFileTransport;
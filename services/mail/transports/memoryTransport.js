@@ -0,0 +1,19 @@
+// Keeps messages in memory, meant for tests that need to read the outbox
+const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: 'memory',
+    outbox,
+    send: async (message) => {
+      const id = String(outbox.length + 1);
+      outbox.push({ id, ...message, sentAt: new Date() });
+      return { id };
+    },
+    clear: () => {
+      outbox.length = 0;
+    }
+  };
+};
+
+module.exports = createMemoryTransport;
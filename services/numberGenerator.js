@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Setting = require('../models/Setting');
+const Department = require('../models/Department');
+const NumberReservation = require('../models/NumberReservation');
+const { usesDepartment, renderScope, renderNumber } = require('../utils/numberPattern');
+
+const NUMBER_KINDS = ['enrollmentNumber', 'universityId'];
+const MAX_RESERVATION = 1000;
+// Numbers already set by hand are skipped, give up after this many in a row
+const MAX_COLLISIONS = 20;
+
+const SETTING_KEYS = {
+  enrollmentNumber: 'numbers.enrollmentNumberPattern',
+  universityId: 'numbers.universityIdPattern'
+};
+
+// Always loaded, a populated department usually lacks its patterns
+const loadDepartment = async (department) => {
+  const id = department?._id || department;
+  if (!id || !mongoose.isValidObjectId(id)) return null;
+  return Department.findById(id).select('code numberPatterns').lean();
+};
+
+// The department's own pattern, or the system-wide one
+const getPattern = async (kind, department) => (
+  department?.numberPatterns?.[kind] || Setting.get(SETTING_KEYS[kind])
+);
+
+// Everything needed to render numbers of a kind for a department. Null
+// when the pattern needs a department code and there is none.
+const getSequence = async (kind, departmentRef, date = new Date()) => {
+  const department = await loadDepartment(departmentRef);
+  const pattern = await getPattern(kind, department);
+
+  if (usesDepartment(pattern) && !department) return null;
+
+  const context = { departmentCode: department?.code || '', year: date.getFullYear() };
+  return {
+    pattern,
+    context,
+    department,
+    counterKey: `${kind}:${renderScope(pattern, context)}`
+  };
+};
+
+// Next numbers that would be handed out, without taking them
+const previewNumbers = async (kind, departmentRef, count = 5) => {
+  const sequence = await getSequence(kind, departmentRef);
+  if (!sequence) return null;
+
+  const current = await Counter.current(sequence.counterKey);
+  return {
+    pattern: sequence.pattern,
+    numbers: Array.from({ length: count }, (_, i) => renderNumber(sequence.pattern, sequence.context, current + i + 1))
+  };
+};
+
+// Take a block of numbers out of the sequence for assigning by hand
+const reserveNumbers = async (kind, departmentRef, count, { reservedBy, note = '' }) => {
+  const sequence = await getSequence(kind, departmentRef);
+  if (!sequence) return null;
+
+  const { first, last } = await Counter.take(sequence.counterKey, count);
+  const numbers = [];
+  for (let seq = first; seq <= last; seq++) {
+    numbers.push(renderNumber(sequence.pattern, sequence.context, seq));
+  }
+
+  return NumberReservation.create({
+    kind,
+    department: sequence.department?._id || null,
+    counterKey: sequence.counterKey,
+    firstSeq: first,
+    lastSeq: last,
+    numbers,
+    note,
+    reservedBy
+  });
+};
+
+// Take the next free number for a user. Numbers typed in by hand before
+// generation existed may clash with the sequence, those are skipped.
+const generateNumber = async (kind, user) => {
+  const sequence = await getSequence(kind, user.department);
+  if (!sequence) return null;
+
+  for (let attempt = 0; attempt < MAX_COLLISIONS; attempt++) {
+    const { first } = await Counter.take(sequence.counterKey);
+    const number = renderNumber(sequence.pattern, sequence.context, first);
+    if (!(await user.constructor.exists({ [kind]: number }).setOptions({ withDeleted: true }))) {
+      return number;
+    }
+  }
+
+  throw new Error(`No free ${kind} found for ${sequence.counterKey}`);
+};
+
+// Fill in the numbers an approved person is missing: a university ID for
+// everyone, an enrollment number for students
+const assignMissingNumbers = async (user) => {
+  if (!user.universityId) {
+    user.universityId = await generateNumber('universityId', user) || undefined;
+  }
+  if (user.role === 'student' && !user.enrollmentNumber) {
+    user.enrollmentNumber = await generateNumber('enrollmentNumber', user) || undefined;
+  }
+};
+
+module.exports = {
+  NUMBER_KINDS,
+  MAX_RESERVATION,
+  getPattern,
+  previewNumbers,
+  reserveNumbers,
+  generateNumber,
+  assignMissingNumbers
+};
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const AcademicTerm = require('../models/AcademicTerm');
+const SubjectOffering = require('../models/SubjectOffering');
+
+// Ids of the offerings running in the current term(s), optionally only
+// for some subjects
+const currentOfferingIds = async (subjectIds) => {
+  const terms = await AcademicTerm.findCurrent().select('_id');
+  const query = { term: { $in: terms.map(term => term._id) }, isActive: true };
+  if (subjectIds) query.subject = { $in: subjectIds };
+  return SubjectOffering.find(query).distinct('_id');
+};
+
+// The offering new work on a subject belongs to: the one asked for, once
+// checked against the subject, or otherwise the subject's offering in the
+// current term (the user's own when there are several). Returns
+// { offering }, null when the subject is not on offer, or { error }.
+const resolveOffering = async (subject, offeringId, user) => {
+  if (offeringId) {
+    const offering = mongoose.isValidObjectId(offeringId) &&
+      await SubjectOffering.findOne({ _id: offeringId, subject: subject._id });
+    return offering ? { offering } : { error: 'Offering not found for this subject' };
+  }
+
+  const terms = await AcademicTerm.findCurrent().select('_id');
+  const offerings = await SubjectOffering.find({
+    subject: subject._id,
+    term: { $in: terms.map(term => term._id) },
+    isActive: true
+  });
+
+  return {
+    offering: offerings.find(offering => offering.teacher.equals(user._id)) || offerings[0] || null
+  };
+};
+
+module.exports = {
+  currentOfferingIds,
+  resolveOffering
+};
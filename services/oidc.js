@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect authorization-code flow with PKCE against the identity
+// provider at OIDC_ISSUER. Configuration is read on each call so a test can
+// point it at a local stand-in provider.
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const ALLOWED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let discoveryCache = null;
+let jwksCache = null;
+
+const getConfig = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID || '',
+  clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+  redirectUri: process.env.OIDC_REDIRECT_URI || '',
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  // 'client_secret_basic' or 'client_secret_post'
+  tokenAuthMethod: process.env.OIDC_TOKEN_AUTH_METHOD || 'client_secret_basic'
+});
+
+const isEnabled = () => {
+  const config = getConfig();
+  return Boolean(config.issuer && config.clientId && config.redirectUri);
+};
+
+// Forget discovery and signing keys, e.g. after the provider rotates keys
+const clearOidcCache = () => {
+  discoveryCache = null;
+  jwksCache = null;
+};
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const reason = body?.error_description || body?.error || response.statusText;
+    throw new Error(`Identity provider request failed (${response.status}): ${reason}`);
+  }
+  return body;
+};
+
+const discover = async () => {
+  const { issuer } = getConfig();
+  if (discoveryCache && discoveryCache.issuer === issuer && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+    throw new Error('Identity provider issuer does not match OIDC_ISSUER');
+  }
+
+  discoveryCache = { issuer, metadata, expiresAt: Date.now() + DISCOVERY_CACHE_MS };
+  return metadata;
+};
+
+// Signing key for a kid, refetching the key set once for unknown kids
+const getSigningKey = async (kid) => {
+  const metadata = await discover();
+
+  const findKey = () => jwksCache.keys.find(key => !kid || key.kid === kid);
+
+  if (!jwksCache || jwksCache.uri !== metadata.jwks_uri || !findKey()) {
+    const { keys } = await fetchJson(metadata.jwks_uri);
+    jwksCache = { uri: metadata.jwks_uri, keys };
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error('No identity provider key matches the ID token');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Values the browser round-trips through the provider. Keep them server-side
+// until the callback, only `state` identifies them.
+const createAuthorizationRequest = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  return {
+    state: base64Url(crypto.randomBytes(24)),
+    nonce: base64Url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const config = getConfig();
+  const metadata = await discover();
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+  return url.toString();
+};
+
+const exchangeCode = async (code, codeVerifier) => {
+  const config = getConfig();
+  const metadata = await discover();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    code_verifier: codeVerifier,
+    client_id: config.clientId
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (config.clientSecret && config.tokenAuthMethod === 'client_secret_post') {
+    params.set('client_secret', config.clientSecret);
+  } else if (config.clientSecret) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  return fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: params.toString()
+  });
+};
+
+const verifyIdToken = async (idToken, nonce) => {
+  const config = getConfig();
+  const metadata = await discover();
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error('Unsupported ID token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: [decoded.header.alg],
+    issuer: metadata.issuer,
+    audience: config.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+  return claims;
+};
+
+// Claims from the userinfo endpoint, for providers that keep groups or
+// email out of the ID token
+const fetchUserInfo = async (accessToken, subject) => {
+  const metadata = await discover();
+  if (!metadata.userinfo_endpoint || !accessToken) return {};
+
+  const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  return userInfo.sub === subject ? userInfo : {};
+};
+
+// Finish the flow: exchange the code, verify the ID token and return the
+// profile the account mapping works from
+const completeAuthorization = async ({ code, codeVerifier, nonce }) => {
+  const { groupsClaim } = getConfig();
+
+  const tokens = await exchangeCode(code, codeVerifier);
+  if (!tokens.id_token) {
+    throw new Error('Identity provider returned no ID token');
+  }
+
+  const idClaims = await verifyIdToken(tokens.id_token, nonce);
+  const claims = { ...(await fetchUserInfo(tokens.access_token, idClaims.sub)), ...idClaims };
+
+  const groups = claims[groupsClaim];
+  return {
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    // Only an address the provider says it verified can link or create an account
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null,
+    groups: Array.isArray(groups) ? groups.map(String) : groups ? [String(groups)] : [],
+    // How the provider authenticated the user, for trusting its second factor
+    amr: Array.isArray(claims.amr) ? claims.amr.map(String) : [],
+    acr: claims.acr ? String(claims.acr) : null
+  };
+};
+
+module.exports = {
+  getConfig,
+  isEnabled,
+  clearOidcCache,
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  completeAuthorization
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const Setting = require('../../models/Setting');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CLASS_TESTS = {
+  lowercase: { pattern: /[a-z]/, label: 'a lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, label: 'an uppercase letter' },
+  digit: { pattern: /[0-9]/, label: 'a digit' },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: 'a symbol' }
+};
+
+let commonPasswords = null;
+
+// Loaded on first use, one lowercase password per line, '#' starts a comment
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    const contents = fs.readFileSync(path.join(__dirname, 'common-passwords.txt'), 'utf8');
+    commonPasswords = new Set(
+      contents.split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+const getPolicy = async () => {
+  const [minLength, requiredClasses, rejectCommon, historySize, expiryDays, expiryRoles] = await Promise.all([
+    Setting.get('password.minLength'),
+    Setting.get('password.requiredClasses'),
+    Setting.get('password.rejectCommon'),
+    Setting.get('password.historySize'),
+    Setting.get('password.expiryDays'),
+    Setting.get('password.expiryRoles')
+  ]);
+  return { minLength, requiredClasses, rejectCommon, historySize, expiryDays, expiryRoles };
+};
+
+// Rules that do not depend on the account's stored passwords, so they can
+// run before an account is known (registration, reset before the code check)
+const getPasswordErrors = async (password, { email, name } = {}) => {
+  const policy = await getPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+
+  const missing = policy.requiredClasses
+    .filter(className => CLASS_TESTS[className] && !CLASS_TESTS[className].pattern.test(password))
+    .map(className => CLASS_TESTS[className].label);
+  if (missing.length > 0) {
+    errors.push(`Password must contain ${missing.join(', ')}`);
+  }
+
+  const lowered = password.toLowerCase();
+  if (policy.rejectCommon && getCommonPasswords().has(lowered)) {
+    errors.push('Password is too common');
+  }
+
+  const personal = [String(email || '').split('@')[0], ...String(name || '').split(/\s+/)]
+    .map(part => part.toLowerCase())
+    .filter(part => part.length >= 3);
+  if (personal.some(part => lowered.includes(part))) {
+    errors.push('Password must not contain your name or email');
+  }
+
+  return errors;
+};
+
+// Whether the password matches the current one or one of the last
+// historySize replaced ones
+const isRecentPassword = async (user, password) => {
+  const { historySize } = await getPolicy();
+  if (historySize === 0) return false;
+
+  const stored = await user.constructor.findById(user._id).select('+password +passwordHistory');
+  if (!stored) return false;
+
+  const hashes = [stored.password, ...(stored.passwordHistory || []).slice(0, historySize)]
+    .filter(Boolean);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+// Every rule for a new password on an existing account
+const checkNewPassword = async (user, password) => {
+  const errors = await getPasswordErrors(password, { email: user.email, name: user.name });
+  if (errors.length === 0 && await isRecentPassword(user, password)) {
+    errors.push('Password was used recently, choose a different one');
+  }
+  return errors;
+};
+
+// A reset by an admin forces a change, otherwise staff passwords expire
+// after the configured number of days
+const isPasswordExpired = async (user) => {
+  if (user.passwordResetRequired) return true;
+
+  const { expiryDays, expiryRoles } = await getPolicy();
+  if (expiryDays === 0 || !expiryRoles.includes(user.role)) return false;
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return Boolean(changedAt) && Date.now() - new Date(changedAt).getTime() > expiryDays * DAY_MS;
+};
+
+// The rules as the frontend needs them to guide people choosing a password
+const getPolicySummary = async () => {
+  const policy = await getPolicy();
+  return {
+    minLength: policy.minLength,
+    requiredClasses: policy.requiredClasses,
+    rejectCommon: policy.rejectCommon,
+    historySize: policy.historySize
+  };
+};
+
+module.exports = {
+  getPasswordErrors,
+  isRecentPassword,
+  checkNewPassword,
+  isPasswordExpired,
+  getPolicySummary
+};
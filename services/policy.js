@@ -0,0 +1,162 @@
+const Role = require('../models/Role');
+const Department = require('../models/Department');
+const { permissions, builtInRoles, departmentHeadPermissions } = require('../config/permissions');
+
+const ROLE_CACHE_MS = 30 * 1000;
+const roleCache = new Map();
+
+const isBuiltInRole = (name) => Object.prototype.hasOwnProperty.call(builtInRoles, name);
+
+// A grant is 'permission' or 'permission:scope', permissions themselves
+// contain one colon (e.g. 'grade:submission:own')
+const parseGrant = (grant) => {
+  const parts = grant.split(':');
+  return {
+    permission: parts.slice(0, 2).join(':'),
+    scope: parts[2] || 'any'
+  };
+};
+
+const isValidGrant = (grant) => {
+  if (grant === '*') return true;
+  const { permission, scope } = parseGrant(grant);
+  if (!permissions[permission]) return false;
+  if (scope === 'any') return true;
+  if (scope === 'own') return Boolean(permissions[permission].owner);
+  return scope === 'department' && Boolean(permissions[permission].department);
+};
+
+const getRoleGrants = async (roleName) => {
+  if (isBuiltInRole(roleName)) {
+    return builtInRoles[roleName].permissions;
+  }
+
+  const cached = roleCache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.grants;
+  }
+
+  const role = await Role.findOne({ name: roleName }).lean();
+  const grants = role ? role.permissions : [];
+  roleCache.set(roleName, { grants, expiresAt: Date.now() + ROLE_CACHE_MS });
+  return grants;
+};
+
+// Call after changing a custom role so checks pick it up straight away
+const clearRoleCache = (roleName) => {
+  if (roleName) {
+    roleCache.delete(roleName);
+  } else {
+    roleCache.clear();
+  }
+};
+
+const roleExists = async (roleName) => {
+  if (isBuiltInRole(roleName)) return true;
+  return Boolean(await Role.exists({ name: roleName }));
+};
+
+// Ids of the departments the user heads, remembered on the request's user
+// document so repeated checks cost one query
+const getHeadedDepartments = async (user) => {
+  if (user.$locals?.headedDepartments) {
+    return user.$locals.headedDepartments;
+  }
+
+  const departments = await Department.find({ headOfDepartment: user._id }).select('_id').lean();
+  const ids = departments.map(d => d._id.toString());
+  if (user.$locals) {
+    user.$locals.headedDepartments = ids;
+  }
+  return ids;
+};
+
+// Departments the 'department' scope reaches: a department-restricted API
+// key's departments, otherwise the ones the user heads
+const getScopeDepartments = async (user) => {
+  const apiKey = user.$locals?.apiKey;
+  if (apiKey && apiKey.departments.length > 0) {
+    return apiKey.departments.map(id => id.toString());
+  }
+  return getHeadedDepartments(user);
+};
+
+// An API key can only narrow what its service account's role allows
+const restrictToApiKey = (apiKey, permission, scopes) => {
+  if (!apiKey.scopes.includes(permission)) return [];
+  if (apiKey.departments.length === 0) return scopes;
+
+  // Department-restricted keys only work for department-aware permissions
+  if (!permissions[permission]?.department) return [];
+  return scopes.some(scope => scope === 'any' || scope === 'department') ? ['department'] : [];
+};
+
+const getRoleScopes = async (user, permission) => {
+  let grants = await getRoleGrants(user.role);
+  if (grants.includes('*')) return ['any'];
+
+  if ((await getHeadedDepartments(user)).length > 0) {
+    grants = [...grants, ...departmentHeadPermissions];
+  }
+
+  return grants
+    .map(parseGrant)
+    .filter(grant => grant.permission === permission)
+    .map(grant => grant.scope);
+};
+
+// Scopes under which the user holds a permission, e.g. ['any'] or ['own'].
+// Heads of department also hold the department-scoped head permissions.
+const getScopes = async (user, permission) => {
+  const scopes = await getRoleScopes(user, permission);
+  const apiKey = user.$locals?.apiKey;
+  return apiKey ? restrictToApiKey(apiKey, permission, scopes) : scopes;
+};
+
+// True if the user holds the permission under any scope
+const hasPermission = async (user, permission) => {
+  const scopes = await getScopes(user, permission);
+  return scopes.length > 0;
+};
+
+// True if the user may use the permission on this resource. Without a
+// resource only an unscoped grant counts.
+const can = async (user, permission, resource = null) => {
+  const scopes = await getScopes(user, permission);
+  if (scopes.includes('any')) return true;
+  if (!resource) return false;
+
+  const definition = permissions[permission];
+  if (scopes.includes('own') && definition?.owner && definition.owner(user, resource)) {
+    return true;
+  }
+
+  if (scopes.includes('department') && definition?.department) {
+    const department = definition.department(resource);
+    const departments = await getScopeDepartments(user);
+    return Boolean(department) && departments.includes(department.toString());
+  }
+
+  return false;
+};
+
+// Departments a listing should be limited to: null when the user holds the
+// permission outright, otherwise the ids of departments in their scope
+// (possibly none)
+const getDepartmentScope = async (user, permission) => {
+  const scopes = await getScopes(user, permission);
+  if (scopes.includes('any')) return null;
+  if (!scopes.includes('department')) return [];
+  return getScopeDepartments(user);
+};
+
+module.exports = {
+  isBuiltInRole,
+  isValidGrant,
+  getRoleGrants,
+  clearRoleCache,
+  roleExists,
+  hasPermission,
+  can,
+  getDepartmentScope
+};
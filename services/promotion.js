@@ -0,0 +1,296 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Program = require('../models/Program');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Quiz = require('../models/Quiz');
+const Enrollment = require('../models/Enrollment');
+const SubjectOffering = require('../models/SubjectOffering');
+const Setting = require('../models/Setting');
+const PromotionBatch = require('../models/PromotionBatch');
+const StatusHistory = require('../models/StatusHistory');
+const { currentStatus, studyingFilter } = require('../config/studentStatuses');
+const { enrollInSubjects, enrollInSemesterSubjects } = require('./enrollments');
+
+// Thrown when the cohort changed between building the plan and running it
+class StalePromotionError extends Error {}
+
+const getPromotionRules = async () => {
+  const [passPercentage, maxFailedCredits, unassessedCountsAsFailed] = await Promise.all([
+    Setting.get('promotion.passPercentage'),
+    Setting.get('promotion.maxFailedCredits'),
+    Setting.get('promotion.unassessedCountsAsFailed')
+  ]);
+  return { passPercentage, maxFailedCredits, unassessedCountsAsFailed };
+};
+
+// Percentages of every graded assignment and completed quiz set in the
+// given offerings or before terms, keyed by `${studentId}:${subjectId}`
+const collectScores = async (subjectIds, studentIds, offeringIds) => {
+  const offering = { $in: [null, ...offeringIds] };
+  const scores = new Map();
+  const add = (studentId, subjectId, percentage) => {
+    const key = `${studentId}:${subjectId}`;
+    if (!scores.has(key)) scores.set(key, []);
+    scores.get(key).push(percentage);
+  };
+
+  const assignments = await Assignment.find({ subject: { $in: subjectIds }, offering })
+    .select('subject maxMarks')
+    .lean();
+  const assignmentById = new Map(assignments.map(assignment => [assignment._id.toString(), assignment]));
+
+  const submissions = await Submission.find({
+    assignment: { $in: assignments.map(assignment => assignment._id) },
+    student: { $in: studentIds },
+    status: 'graded'
+  }).select('assignment student marks').lean();
+
+  for (const submission of submissions) {
+    const assignment = assignmentById.get(submission.assignment.toString());
+    if (assignment?.maxMarks > 0 && typeof submission.marks === 'number') {
+      add(submission.student, assignment.subject, (submission.marks / assignment.maxMarks) * 100);
+    }
+  }
+
+  const studentKeys = new Set(studentIds.map(id => id.toString()));
+  const quizzes = await Quiz.find({ subject: { $in: subjectIds }, offering, 'attempts.student': { $in: studentIds } })
+    .select('subject attempts.student attempts.percentage attempts.status')
+    .lean();
+
+  for (const quiz of quizzes) {
+    for (const attempt of quiz.attempts) {
+      if (attempt.status === 'completed' && typeof attempt.percentage === 'number' &&
+          attempt.student && studentKeys.has(attempt.student.toString())) {
+        add(attempt.student, quiz.subject, attempt.percentage);
+      }
+    }
+  }
+
+  return scores;
+};
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// The enrollments each student is assessed on, those in the term's
+// offerings or without one, and the length of their studies: their
+// program's, or the department's for students not on a program
+const loadAssessedEnrollments = async (students, department, offeringIds) => {
+  const programIds = [...new Set(students.map(student => student.program).filter(Boolean).map(String))];
+
+  const [programs, enrollments] = await Promise.all([
+    Program.find({ _id: { $in: programIds } }).select('totalSemesters').lean(),
+    Enrollment.find({
+      student: { $in: students.map(student => student._id) },
+      status: 'enrolled',
+      offering: { $in: [null, ...offeringIds] }
+    }).populate('subject', 'name code credits').select('student subject').lean()
+  ]);
+
+  const programById = new Map(programs.map(program => [String(program._id), program]));
+  const enrollmentsByStudent = new Map(students.map(student => [String(student._id), []]));
+  enrollments
+    .filter(enrollment => enrollment.subject)
+    .forEach(enrollment => enrollmentsByStudent.get(String(enrollment.student)).push(enrollment));
+
+  return new Map(students.map(student => {
+    const program = student.program && programById.get(String(student.program));
+    return [String(student._id), {
+      enrollments: enrollmentsByStudent.get(String(student._id)),
+      totalSemesters: program ? program.totalSemesters : department.totalSemesters
+    }];
+  }));
+};
+
+// Work out, without changing anything, what promoting a department's
+// semester would do: who moves up, who is held back for failing too many
+// credits and who graduates past the final semester of their program.
+// Only work set in the given term, or from before there were terms, counts.
+const buildPromotionPlan = async (department, semester, term = null) => {
+  const rules = await getPromotionRules();
+
+  const students = await User.find({
+    role: 'student',
+    department: department._id,
+    semester,
+    isActive: true,
+    approvalStatus: 'approved',
+    graduatedAt: null,
+    ...studyingFilter()
+  }).select('name email enrollmentNumber department semester studentStatus program curriculum').sort('name').lean();
+
+  const offeringIds = term ? await SubjectOffering.find({ term: term._id }).distinct('_id') : [];
+  const semesters = await loadAssessedEnrollments(students, department, offeringIds);
+  const subjectIds = [...new Set([...semesters.values()].flatMap(entry => entry.enrollments.map(enrollment => String(enrollment.subject._id))))];
+  const scores = await collectScores(subjectIds, students.map(student => student._id), offeringIds);
+
+  const entries = students.map(student => {
+    const { enrollments, totalSemesters } = semesters.get(String(student._id));
+    const isFinalSemester = semester >= totalSemesters;
+    const failedSubjects = [];
+    const unassessedSubjects = [];
+
+    for (const { _id: enrollment, subject } of enrollments) {
+      const subjectScores = scores.get(`${student._id}:${subject._id}`);
+      const summary = { _id: subject._id, code: subject.code, name: subject.name, credits: subject.credits, enrollment };
+
+      if (!subjectScores) {
+        unassessedSubjects.push(summary);
+        if (rules.unassessedCountsAsFailed) failedSubjects.push({ ...summary, percentage: null });
+        continue;
+      }
+
+      const percentage = Math.round(average(subjectScores) * 100) / 100;
+      if (percentage < rules.passPercentage) {
+        failedSubjects.push({ ...summary, percentage });
+      }
+    }
+
+    const failedCredits = failedSubjects.reduce((sum, subject) => sum + subject.credits, 0);
+    let outcome = 'hold';
+    if (failedCredits <= rules.maxFailedCredits) {
+      outcome = isFinalSemester ? 'graduate' : 'promote';
+    }
+
+    return {
+      student,
+      outcome,
+      fromSemester: semester,
+      toSemester: outcome === 'promote' ? semester + 1 : semester,
+      enrollments: enrollments.map(enrollment => enrollment._id),
+      failedCredits,
+      failedSubjects,
+      unassessedSubjects
+    };
+  });
+
+  return {
+    department: { _id: department._id, name: department.name, code: department.code },
+    semester,
+    term: term ? { _id: term._id, name: term.name, code: term.code } : null,
+    totalSemesters: department.totalSemesters,
+    rules,
+    summary: {
+      promoted: entries.filter(entry => entry.outcome === 'promote').length,
+      heldBack: entries.filter(entry => entry.outcome === 'hold').length,
+      graduated: entries.filter(entry => entry.outcome === 'graduate').length
+    },
+    students: entries
+  };
+};
+
+// Apply a plan in one transaction (MongoDB has to run as a replica set).
+// Each update only matches a student still studying in the planned
+// semester, and an enrollment still open, so a plan gone stale or run
+// twice changes nothing. Every assessed enrollment is closed as completed
+// or failed, promoted students are enrolled in their new semester and
+// those held back again in the subjects they failed. Graduations are
+// written to the status history like any other change.
+const runPromotionPlan = async (plan, runBy) => {
+  const session = await mongoose.startSession();
+  let batch;
+
+  try {
+    await session.withTransaction(async () => {
+      const now = new Date();
+      const moving = plan.students.filter(entry => entry.outcome !== 'hold');
+
+      if (moving.length > 0) {
+        const result = await User.bulkWrite(moving.map(entry => ({
+          updateOne: {
+            filter: { _id: entry.student._id, semester: entry.fromSemester, graduatedAt: null, ...studyingFilter() },
+            update: entry.outcome === 'promote'
+              ? { $set: { semester: entry.toSemester } }
+              : { $set: { graduatedAt: now, studentStatus: 'graduated', studentStatusChangedAt: now } }
+          }
+        })), { session });
+
+        if (result.modifiedCount !== moving.length) {
+          throw new StalePromotionError('Students changed since the preview, please preview again');
+        }
+      }
+
+      const outcomes = plan.students.flatMap(entry => {
+        const failed = new Set(entry.failedSubjects.map(subject => String(subject.enrollment)));
+        return entry.enrollments.map(enrollment => ({
+          updateOne: {
+            filter: { _id: enrollment, status: 'enrolled' },
+            update: {
+              $set: {
+                status: failed.has(String(enrollment)) ? 'failed' : 'completed',
+                statusChangedAt: now,
+                statusChangedBy: runBy,
+                reason: 'Promotion batch'
+              }
+            }
+          }
+        }));
+      });
+
+      if (outcomes.length > 0) {
+        const result = await Enrollment.bulkWrite(outcomes, { session });
+        if (result.modifiedCount !== outcomes.length) {
+          throw new StalePromotionError('Enrollments changed since the preview, please preview again');
+        }
+      }
+
+      for (const entry of plan.students) {
+        if (entry.outcome === 'promote') {
+          await enrollInSemesterSubjects(entry.student, {
+            semester: entry.toSemester,
+            enrolledBy: runBy,
+            reason: 'Promotion batch',
+            session
+          });
+        } else if (entry.outcome === 'hold' && entry.failedSubjects.length > 0) {
+          await enrollInSubjects(entry.student, entry.failedSubjects.map(subject => subject._id), {
+            enrolledBy: runBy,
+            reason: 'Held back by a promotion batch',
+            session
+          });
+        }
+      }
+
+      const graduating = moving.filter(entry => entry.outcome === 'graduate');
+      if (graduating.length > 0) {
+        await StatusHistory.insertMany(graduating.map(entry => ({
+          student: entry.student._id,
+          from: currentStatus(entry.student),
+          to: 'graduated',
+          reason: 'Promotion batch',
+          effectiveDate: now,
+          changedBy: runBy,
+          appliedAt: now
+        })), { session });
+      }
+
+      [batch] = await PromotionBatch.create([{
+        department: plan.department._id,
+        semester: plan.semester,
+        term: plan.term?._id || null,
+        runBy,
+        rules: plan.rules,
+        summary: plan.summary,
+        results: plan.students.map(entry => ({
+          student: entry.student._id,
+          outcome: entry.outcome,
+          fromSemester: entry.fromSemester,
+          toSemester: entry.toSemester,
+          failedCredits: entry.failedCredits,
+          failedSubjects: entry.failedSubjects.map(subject => subject._id)
+        }))
+      }], { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return batch;
+};
+
+module.exports = {
+  StalePromotionError,
+  getPromotionRules,
+  buildPromotionPlan,
+  runPromotionPlan
+};
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const User = require('../models/User');
+const Subject = require('../models/Subject');
+const Note = require('../models/Note');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Enrollment = require('../models/Enrollment');
+const Department = require('../models/Department');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const { anonymiseUser, profileImagePath } = require('./accountDeletion');
+const { ACTIVE_STATUSES, changeEnrollmentStatus } = require('./enrollments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Closed enrollments stay on as the students' record, only the places
+// still held are given up
+const dropActiveEnrollments = async (query, reason) => {
+  const active = await Enrollment.find({ ...query, status: { $in: ACTIVE_STATUSES } });
+  for (const enrollment of active) {
+    await changeEnrollmentStatus(enrollment, { status: 'dropped', reason });
+  }
+};
+
+// What can be deleted into the recycle bin. `summary` is selected for the
+// listing, `files` are removed from disk once a record is purged, and the
+// hooks keep related records in step. A type with its own `purge` keeps
+// the record rather than removing it.
+const recyclableTypes = {
+  // Submissions, marks and enrollment history point at the account, so a
+  // purge anonymises it and takes it out of the bin as their anchor
+  user: {
+    model: User,
+    summary: 'name email role department',
+    files: async (user) => (user.profileImage ? [profileImagePath(user.profileImage)] : []),
+    onDelete: (user) => Session.revokeAllForUser(user._id, 'account_deleted'),
+    onPurge: (user) => dropActiveEnrollments({ student: user._id }, 'Account deleted'),
+    purge: async (user) => {
+      await anonymiseUser(user._id);
+      await user.restore();
+    }
+  },
+  subject: {
+    model: Subject,
+    summary: 'name code department semester',
+    files: async () => [],
+    onDelete: (subject) => subject.semester && Department.updateOne(
+      { _id: subject.department },
+      { $pull: { [`semesters.${subject.semester - 1}.subjects`]: subject._id } }
+    ),
+    onRestore: (subject) => subject.semester && Department.updateOne(
+      { _id: subject.department },
+      { $addToSet: { [`semesters.${subject.semester - 1}.subjects`]: subject._id } }
+    ),
+    onPurge: (subject) => dropActiveEnrollments({ subject: subject._id }, 'Subject deleted')
+  },
+  note: {
+    model: Note,
+    summary: 'title subject teacher fileType fileSize',
+    files: async (note) => [note.fileUrl]
+  },
+  // Submissions go into the bin with their assignment, carrying the same
+  // stamp so a restore brings back exactly those
+  assignment: {
+    model: Assignment,
+    summary: 'title subject teacher deadline',
+    files: async (assignment) => {
+      const submissions = await Submission.find({ assignment: assignment._id })
+        .setOptions({ withDeleted: true })
+        .select('fileUrl')
+        .lean();
+      return [assignment.fileUrl, ...submissions.map(submission => submission.fileUrl)];
+    },
+    onDelete: (assignment, deletedBy, deletedAt) => Submission.updateMany(
+      { assignment: assignment._id, deletedAt: null },
+      { $set: { deletedAt, deletedBy } }
+    ),
+    onRestore: (assignment) => Submission.updateMany(
+      { assignment: assignment._id, deletedAt: assignment.deletedAt },
+      { $set: { deletedAt: null, deletedBy: null } }
+    ),
+    onPurge: (assignment) => Submission.deleteMany({ assignment: assignment._id })
+      .setOptions({ withDeleted: true })
+  }
+};
+
+const RECYCLABLE_TYPES = Object.keys(recyclableTypes);
+
+const getRetentionDays = () => Setting.get('recycleBin.retentionDays');
+
+const purgeAfter = (deletedAt, retentionDays) => new Date(deletedAt.getTime() + retentionDays * DAY_MS);
+
+// A deleted record of the given type, or null
+const findRecycled = (type, id) => recyclableTypes[type].model.findOne({ _id: id, deletedAt: { $ne: null } });
+
+const moveToRecycleBin = async (type, doc, deletedBy) => {
+  const deletedAt = new Date();
+  await doc.softDelete(deletedBy, deletedAt);
+  await recyclableTypes[type].onDelete?.(doc, deletedBy, deletedAt);
+};
+
+// Bring a record back. Returns an error message once its retention window
+// has passed, it is then only waiting to be purged.
+const restoreFromRecycleBin = async (type, doc) => {
+  const retentionDays = await getRetentionDays();
+  if (purgeAfter(doc.deletedAt, retentionDays) <= new Date()) {
+    return `This ${type} was deleted more than ${retentionDays} days ago and can no longer be restored`;
+  }
+
+  // The hooks match related records on the deletion stamp, so they run first
+  await recyclableTypes[type].onRestore?.(doc);
+  await doc.restore();
+  return null;
+};
+
+// Remove a deleted record and its files for good
+const purgeRecord = async (type, doc) => {
+  const { model, files, onPurge, purge } = recyclableTypes[type];
+
+  for (const filePath of await files(doc)) {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  await onPurge?.(doc);
+  if (purge) {
+    await purge(doc);
+  } else {
+    await model.deleteOne({ _id: doc._id, deletedAt: { $ne: null } });
+  }
+};
+
+// Purge everything past the retention window. One failure is logged and
+// retried on the next run without holding up the rest. Returns the purged
+// records as { type, _id, deletedBy }.
+const purgeExpired = async () => {
+  const cutoff = new Date(Date.now() - (await getRetentionDays()) * DAY_MS);
+  const purged = [];
+
+  for (const type of RECYCLABLE_TYPES) {
+    const expired = await recyclableTypes[type].model.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+    for (const doc of expired) {
+      try {
+        await purgeRecord(type, doc);
+        purged.push({ type, _id: doc._id, deletedBy: doc.deletedBy });
+      } catch (error) {
+        console.error(`Purging ${type} ${doc._id} failed:`, error);
+      }
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  recyclableTypes,
+  RECYCLABLE_TYPES,
+  getRetentionDays,
+  purgeAfter,
+  findRecycled,
+  moveToRecycleBin,
+  restoreFromRecycleBin,
+  purgeRecord,
+  purgeExpired
+};
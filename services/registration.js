@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const Enrollment = require('../models/Enrollment');
+const SubjectOffering = require('../models/SubjectOffering');
+const RegistrationWindow = require('../models/RegistrationWindow');
+const RegistrationCart = require('../models/RegistrationCart');
+const Setting = require('../models/Setting');
+const { ACTIVE_STATUSES } = require('./enrollments');
+
+const idOf = (value) => value?._id || value;
+
+// Thrown to roll back a cart submission when an offering went away mid-way
+class OfferingUnavailableError extends Error {}
+
+const UNAVAILABLE_MESSAGE = 'Some offerings in your cart are no longer available, please review it';
+
+// When a student may register for a term and the credits they must and
+// may take: their program's window, or the term's registration dates.
+const registrationWindowFor = async (student, term) => {
+  const window = student.program &&
+    await RegistrationWindow.findOne({ term: term._id, program: idOf(student.program), isActive: true });
+
+  const [minCredits, maxCredits] = await Promise.all([
+    window?.minCredits ?? Setting.get('registration.minCredits'),
+    window?.maxCredits ?? Setting.get('registration.maxCredits')
+  ]);
+
+  return {
+    window: window ? window._id : null,
+    opensAt: window ? window.opensAt : term.registrationOpensAt,
+    closesAt: window ? window.closesAt : term.registrationClosesAt,
+    minCredits,
+    maxCredits
+  };
+};
+
+const isWindowOpen = (window, now = new Date()) => Boolean(
+  window.opensAt && window.closesAt && window.opensAt <= now && now < window.closesAt
+);
+
+// Whether a student may register for an offering, whose subject is
+// populated with its department
+const isEligibleFor = (student, offering) => {
+  if (!offering.isElective || !offering.subject) return false;
+
+  const programs = offering.eligiblePrograms || [];
+  if (programs.length > 0) {
+    return Boolean(student.program) && programs.some(program => String(idOf(program)) === String(idOf(student.program)));
+  }
+  return String(idOf(offering.subject.department)) === String(idOf(student.department));
+};
+
+// Seats taken and students waiting in each offering, by offering id
+const seatCounts = async (offeringIds) => {
+  const counts = await Enrollment.aggregate([
+    { $match: { offering: { $in: offeringIds }, status: { $in: ACTIVE_STATUSES } } },
+    { $group: { _id: { offering: '$offering', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const byOffering = new Map(offeringIds.map(id => [id.toString(), { enrolled: 0, waitlisted: 0 }]));
+  counts.forEach(({ _id, count }) => {
+    byOffering.get(_id.offering.toString())[_id.status] = count;
+  });
+  return byOffering;
+};
+
+// A student's enrollments and waitlist places in a term's offerings, and
+// their enrollments without an offering (their semester's own subjects)
+// in subjects taught that term, so credit limits cover the whole load
+const termEnrollments = async (studentId, termId) => {
+  const offerings = await SubjectOffering.find({ term: termId }).select('subject').lean();
+  return Enrollment.find({
+    student: studentId,
+    status: { $in: ACTIVE_STATUSES },
+    $or: [
+      { offering: { $in: offerings.map(offering => offering._id) } },
+      { offering: null, subject: { $in: offerings.map(offering => offering.subject) } }
+    ]
+  }).populate('subject', 'name code credits');
+};
+
+const sumCredits = (subjects) => subjects.reduce((sum, subject) => sum + (subject?.credits || 0), 0);
+
+// Register a student for everything in their cart for a term, in one
+// transaction: every offering gets a seat or a waitlist place, or none
+// does. Returns { results } with each offering's outcome, or { error }.
+const submitCart = async (student, term) => {
+  const cart = await RegistrationCart.findOne({ student: student._id, term: term._id });
+  if (!cart || cart.offerings.length === 0) {
+    return { error: 'Your registration cart is empty' };
+  }
+
+  const window = await registrationWindowFor(student, term);
+  if (!isWindowOpen(window)) {
+    return { error: 'Registration is not open for you in this term' };
+  }
+
+  const offerings = await SubjectOffering.find({ _id: { $in: cart.offerings }, term: term._id, isActive: true })
+    .populate('subject', 'name code credits department');
+  if (offerings.length !== cart.offerings.length || offerings.some(offering => !offering.subject)) {
+    return { error: UNAVAILABLE_MESSAGE };
+  }
+
+  const ineligible = offerings.filter(offering => !isEligibleFor(student, offering));
+  if (ineligible.length > 0) {
+    return { error: `You cannot register for ${ineligible.map(offering => offering.subject.code).join(', ')}` };
+  }
+
+  const subjectIds = offerings.map(offering => offering.subject._id.toString());
+  if (new Set(subjectIds).size !== subjectIds.length) {
+    return { error: 'Your cart has the same subject more than once' };
+  }
+
+  const active = await Enrollment.find({
+    student: student._id,
+    subject: { $in: subjectIds },
+    status: { $in: ACTIVE_STATUSES }
+  }).populate('subject', 'code');
+  if (active.length > 0) {
+    return { error: `You are already registered for ${active.map(enrollment => enrollment.subject.code).join(', ')}` };
+  }
+
+  // Waitlist places count, a student promoted later must stay within limits
+  const registered = await termEnrollments(student._id, term._id);
+  const credits = sumCredits(registered.map(enrollment => enrollment.subject)) +
+    sumCredits(offerings.map(offering => offering.subject));
+  if (credits > window.maxCredits) {
+    return { error: `This would take you to ${credits} credits, the most you may take is ${window.maxCredits}` };
+  }
+  if (credits < window.minCredits) {
+    return { error: `This would leave you on ${credits} credits, you must take at least ${window.minCredits}` };
+  }
+
+  const session = await mongoose.startSession();
+  let results;
+
+  try {
+    await session.withTransaction(async () => {
+      results = [];
+      const now = new Date();
+
+      for (const offering of offerings) {
+        const locked = await SubjectOffering.findOneAndUpdate(
+          { _id: offering._id, isActive: true },
+          { $inc: { seatVersion: 1 } },
+          { new: true, session }
+        );
+        if (!locked) {
+          throw new OfferingUnavailableError(UNAVAILABLE_MESSAGE);
+        }
+        const { capacity } = locked;
+        const taken = await Enrollment.countDocuments({ offering: offering._id, status: 'enrolled' }).session(session);
+        const status = capacity == null || taken < capacity ? 'enrolled' : 'waitlisted';
+
+        const [enrollment] = await Enrollment.create([{
+          student: student._id,
+          subject: offering.subject._id,
+          offering: offering._id,
+          status,
+          enrolledAt: now,
+          enrolledBy: student._id
+        }], { session });
+
+        results.push({ offering: offering._id, subject: offering.subject, status, enrollment: enrollment._id });
+      }
+
+      cart.offerings = [];
+      cart.submittedAt = now;
+      await cart.save({ session });
+    });
+  } catch (error) {
+    if (error instanceof OfferingUnavailableError) {
+      return { error: error.message };
+    }
+    // Registered in one of the subjects by a concurrent request
+    if (error.code === 11000) {
+      return { error: 'You are already registered for one of these subjects' };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  return { results };
+};
+
+module.exports = {
+  registrationWindowFor,
+  isWindowOpen,
+  isEligibleFor,
+  seatCounts,
+  termEnrollments,
+  sumCredits,
+  submitCart
+};
@@ -0,0 +1,68 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+// 'Enrollment Number', 'enrollment_number' and 'enrollmentNumber' all
+// become 'enrollmentnumber'
+const normaliseHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Formulas, rich text and hyperlinks come back as objects
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if ('result' in value) return cellText(value.result);
+    if ('text' in value) return cellText(value.text);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  }
+  return String(value).trim();
+};
+
+// Read the first sheet of a CSV or XLSX file. The first row holds the
+// headers, every other non-empty row comes back as { rowNumber, values }
+// keyed by normalised header.
+const readSpreadsheetRows = async (buffer, fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+  const workbook = new ExcelJS.Workbook();
+
+  let worksheet;
+  if (extension === '.csv') {
+    worksheet = await workbook.csv.read(Readable.from(buffer));
+  } else if (extension === '.xlsx') {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  } else {
+    throw new Error(`Unsupported file type, use ${SPREADSHEET_EXTENSIONS.join(' or ')}`);
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) return [];
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = normaliseHeader(cellText(cell.value));
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    row.eachCell((cell, column) => {
+      if (headers[column]) values[headers[column]] = cellText(cell.value);
+    });
+
+    if (Object.values(values).some(Boolean)) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return rows;
+};
+
+module.exports = {
+  SPREADSHEET_EXTENSIONS,
+  normaliseHeader,
+  readSpreadsheetRows
+};
@@ -0,0 +1,89 @@
+const User = require('../models/User');
+const StatusHistory = require('../models/StatusHistory');
+const { STUDENT_STATUSES, currentStatus, canTransition } = require('../config/studentStatuses');
+
+// Set the status on the student document, the caller saves it
+const applyStatus = (student, status, effectiveDate) => {
+  student.studentStatus = status;
+  student.studentStatusChangedAt = effectiveDate;
+  if (status === 'graduated' && !student.graduatedAt) {
+    student.graduatedAt = effectiveDate;
+  }
+};
+
+// Change a student's status, now or from a future effective date. Returns
+// { entry } with the history entry, or { error } when the change is not
+// allowed.
+const changeStudentStatus = async (student, { status, reason = '', effectiveDate, changedBy }) => {
+  if (!STUDENT_STATUSES.includes(status)) {
+    return { error: `Status must be one of ${STUDENT_STATUSES.join(', ')}` };
+  }
+
+  const from = currentStatus(student);
+  if (!canTransition(from, status)) {
+    return { error: `A student cannot move from ${from} to ${status}` };
+  }
+
+  const effective = effectiveDate ? new Date(effectiveDate) : new Date();
+  if (Number.isNaN(effective.getTime())) {
+    return { error: 'Effective date is not a valid date' };
+  }
+
+  if (await StatusHistory.findScheduledForStudent(student._id)) {
+    return { error: 'The student already has a scheduled status change, cancel it first' };
+  }
+
+  const isFuture = effective > new Date();
+  const entry = await StatusHistory.create({
+    student: student._id,
+    from,
+    to: status,
+    reason,
+    effectiveDate: effective,
+    changedBy,
+    appliedAt: isFuture ? null : new Date()
+  });
+
+  if (!isFuture) {
+    applyStatus(student, status, effective);
+    await student.save();
+  }
+
+  return { entry };
+};
+
+// Apply scheduled changes that have come due. A change no longer allowed
+// from the student's current status (it changed in the meantime) is
+// cancelled rather than forced through.
+const applyDueStatusChanges = async () => {
+  const due = await StatusHistory.findDue();
+  let applied = 0;
+
+  for (const entry of due) {
+    try {
+      const student = await User.findById(entry.student);
+      if (!student || !canTransition(currentStatus(student), entry.to)) {
+        entry.cancelledAt = new Date();
+        await entry.save();
+        continue;
+      }
+
+      entry.from = currentStatus(student);
+      applyStatus(student, entry.to, entry.effectiveDate);
+      await student.save();
+
+      entry.appliedAt = new Date();
+      await entry.save();
+      applied += 1;
+    } catch (error) {
+      console.error(`Status change ${entry._id} failed:`, error);
+    }
+  }
+
+  return applied;
+};
+
+module.exports = {
+  changeStudentStatus,
+  applyDueStatusChanges
+};
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Curriculum = require('../models/Curriculum');
+const Program = require('../models/Program');
+
+const idOf = (value) => value?._id || value;
+
+// Subject ids a curriculum places in a semester
+const curriculumSubjects = (curriculum, semester) => (
+  curriculum.semesters.find(entry => entry.number === semester)?.subjects || []
+);
+
+// Subject query for what a student's studies set for a semester (their
+// current one by default): their curriculum's semester when they are on a
+// program, otherwise every subject of their department's semester. What
+// they actually take is their enrollments, this is where those start from.
+const studentSubjectsFilter = async (student, semester = student.semester) => {
+  if (student.curriculum) {
+    const curriculum = await Curriculum.findById(idOf(student.curriculum)).select('semesters').lean();
+    if (curriculum) {
+      return { _id: { $in: curriculumSubjects(curriculum, semester) } };
+    }
+  }
+  return { department: idOf(student.department), semester };
+};
+
+// Number of semesters a student's studies last: their program's length,
+// or the department's for students not on a program
+const studentTotalSemesters = async (student, department) => {
+  if (student.program) {
+    const program = await Program.findById(idOf(student.program)).select('totalSemesters').lean();
+    if (program) return program.totalSemesters;
+  }
+  return department?.totalSemesters || 8;
+};
+
+// Checks a program and curriculum for a student. Returns { program,
+// curriculum } or { error }.
+const resolveStudentProgram = async (programId, curriculumId) => {
+  if (!mongoose.isValidObjectId(programId)) {
+    return { error: 'Program not found' };
+  }
+  const program = await Program.findById(programId);
+  if (!program || !program.isActive) {
+    return { error: 'Program not found' };
+  }
+
+  if (!mongoose.isValidObjectId(curriculumId)) {
+    return { error: 'Curriculum not found' };
+  }
+  const curriculum = await Curriculum.findOne({ _id: curriculumId, program: program._id });
+  if (!curriculum) {
+    return { error: 'Curriculum not found for this program' };
+  }
+
+  return { program, curriculum };
+};
+
+module.exports = {
+  curriculumSubjects,
+  studentSubjectsFilter,
+  studentTotalSemesters,
+  resolveStudentProgram
+};
@@ -0,0 +1,99 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : '');
+
+// Columns that can be exported, keyed by the name used in ?columns=
+const EXPORT_COLUMNS = {
+  name: { header: 'Name', field: 'name', value: user => user.name },
+  email: { header: 'Email', field: 'email', value: user => user.email },
+  role: { header: 'Role', field: 'role', value: user => user.role },
+  department: { header: 'Department', field: 'department', value: user => user.department?.name },
+  departmentCode: { header: 'Department Code', field: 'department', value: user => user.department?.code },
+  semester: { header: 'Semester', field: 'semester', value: user => user.semester },
+  enrollmentNumber: { header: 'Enrollment Number', field: 'enrollmentNumber', value: user => user.enrollmentNumber },
+  universityId: { header: 'University ID', field: 'universityId', value: user => user.universityId },
+  phone: { header: 'Phone', field: 'phone', value: user => user.phone },
+  address: { header: 'Address', field: 'address', value: user => user.address },
+  isActive: { header: 'Active', field: 'isActive', value: user => (user.isActive ? 'yes' : 'no') },
+  approvalStatus: { header: 'Approval Status', field: 'approvalStatus', value: user => user.approvalStatus },
+  studentStatus: {
+    header: 'Student Status',
+    field: 'studentStatus role',
+    value: user => (user.role === 'student' ? user.studentStatus || 'enrolled' : '')
+  },
+  emailVerified: { header: 'Email Verified', field: 'emailVerified', value: user => (user.emailVerified ? 'yes' : 'no') },
+  createdAt: { header: 'Created At', field: 'createdAt', value: user => formatDate(user.createdAt) }
+};
+
+const DEFAULT_EXPORT_COLUMNS = ['name', 'email', 'role', 'department', 'semester', 'enrollmentNumber'];
+
+// '?columns=name,email,phone', returns the columns in the order asked for
+const parseExportColumns = (param) => {
+  const requested = param
+    ? [...new Set(String(param).split(',').map(column => column.trim()).filter(Boolean))]
+    : DEFAULT_EXPORT_COLUMNS;
+
+  return {
+    columns: requested.filter(column => EXPORT_COLUMNS[column]),
+    unknown: requested.filter(column => !EXPORT_COLUMNS[column])
+  };
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const neutraliseFormula = (text) => (/^[=+\-@\t\r]/.test(text) ? `'${text}` : text);
+
+const csvCell = (value) => {
+  const text = neutraliseFormula(value === null || value === undefined ? '' : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const rowValues = (user, columns) => columns.map(column => EXPORT_COLUMNS[column].value(user) ?? '');
+
+// Write one user at a time from the cursor, waiting whenever the client
+// falls behind, so memory stays flat however many users match
+const streamCsv = async (cursor, columns, res) => {
+  res.type('text/csv; charset=utf-8');
+  // Byte order mark so Excel reads the file as UTF-8
+  res.write(`\uFEFF${columns.map(column => csvCell(EXPORT_COLUMNS[column].header)).join(',')}\r\n`);
+
+  for await (const user of cursor) {
+    const line = `${rowValues(user, columns).map(csvCell).join(',')}\r\n`;
+    if (!res.write(line)) {
+      await once(res, 'drain');
+    }
+  }
+
+  res.end();
+};
+
+const streamXlsx = async (cursor, columns, res) => {
+  res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false });
+  const worksheet = workbook.addWorksheet('Users');
+  worksheet.addRow(columns.map(column => EXPORT_COLUMNS[column].header)).commit();
+
+  for await (const user of cursor) {
+    worksheet.addRow(rowValues(user, columns).map(value => (
+      typeof value === 'string' ? neutraliseFormula(value) : value
+    ))).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+const streamUserExport = (cursor, columns, format, res) => (
+  format === 'xlsx' ? streamXlsx(cursor, columns, res) : streamCsv(cursor, columns, res)
+);
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_COLUMNS,
+  parseExportColumns,
+  streamUserExport
+};
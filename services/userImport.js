@@ -0,0 +1,220 @@
+const User = require('../models/User');
+const Department = require('../models/Department');
+const Invitation = require('../models/Invitation');
+const { sendMail } = require('./mail');
+const { enrollInSemesterSubjects } = require('./enrollments');
+
+const IMPORTABLE_ROLES = ['student', 'teacher'];
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 2000;
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+const ENROLLMENT_PATTERN = /^[A-Z0-9][A-Z0-9/-]{2,29}$/;
+
+// Accepted spellings of each column, after header normalisation
+const COLUMNS = {
+  name: ['name', 'fullname'],
+  email: ['email', 'emailaddress'],
+  role: ['role'],
+  department: ['department', 'departmentcode', 'dept'],
+  semester: ['semester'],
+  enrollmentNumber: ['enrollmentnumber', 'enrolmentnumber', 'enrollmentno', 'rollnumber'],
+  phone: ['phone', 'phonenumber', 'mobile'],
+  address: ['address']
+};
+
+const pickColumns = (values) => Object.fromEntries(
+  Object.entries(COLUMNS).map(([field, aliases]) => {
+    const alias = aliases.find(name => values[name] !== undefined);
+    return [field, alias ? values[alias] : ''];
+  })
+);
+
+const countValues = (values) => values.reduce((counts, value) => {
+  if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  return counts;
+}, new Map());
+
+// Check every row without writing anything. Returns one entry per row with
+// the account it would create and its errors.
+const validateImportRows = async (rows) => {
+  const parsed = rows.map(({ rowNumber, values }) => {
+    const fields = pickColumns(values);
+    return {
+      rowNumber,
+      fields: {
+        ...fields,
+        email: fields.email.toLowerCase(),
+        role: (fields.role || 'student').toLowerCase(),
+        department: fields.department.toUpperCase(),
+        enrollmentNumber: fields.enrollmentNumber.toUpperCase()
+      }
+    };
+  });
+
+  const codes = [...new Set(parsed.map(row => row.fields.department).filter(Boolean))];
+  const emails = parsed.map(row => row.fields.email).filter(Boolean);
+  const enrollmentNumbers = parsed.map(row => row.fields.enrollmentNumber).filter(Boolean);
+
+  const [departments, emailTaken, enrollmentTaken] = await Promise.all([
+    Department.find({ code: { $in: codes } }).select('code totalSemesters isActive').lean(),
+    // Deleted accounts keep their address and number until they are purged
+    User.find({ email: { $in: emails } }).setOptions({ withDeleted: true }).select('email').lean(),
+    User.find({ enrollmentNumber: { $in: enrollmentNumbers } })
+      .setOptions({ withDeleted: true })
+      .select('enrollmentNumber')
+      .lean()
+  ]);
+
+  const departmentByCode = new Map(departments.map(department => [department.code, department]));
+  const existingEmails = new Set(emailTaken.map(user => user.email));
+  const existingEnrollments = new Set(enrollmentTaken.map(user => user.enrollmentNumber));
+  const emailCounts = countValues(emails);
+  const enrollmentCounts = countValues(enrollmentNumbers);
+
+  const results = [];
+  for (const { rowNumber, fields } of parsed) {
+    const errors = [];
+
+    if (!fields.name) errors.push('Name is required');
+
+    if (!fields.email) {
+      errors.push('Email is required');
+    } else if (!User.EMAIL_PATTERN.test(fields.email)) {
+      errors.push('Email is not valid');
+    } else if (existingEmails.has(fields.email)) {
+      errors.push('Email is already in use');
+    } else if (emailCounts.get(fields.email) > 1) {
+      errors.push('Email appears more than once in the file');
+    }
+
+    if (!IMPORTABLE_ROLES.includes(fields.role)) {
+      errors.push(`Role must be one of ${IMPORTABLE_ROLES.join(', ')}`);
+    }
+
+    const department = departmentByCode.get(fields.department);
+    if (!fields.department) {
+      errors.push('Department code is required');
+    } else if (!department || department.isActive === false) {
+      errors.push(`Department ${fields.department} not found`);
+    }
+
+    const isStudent = fields.role === 'student';
+    const semester = Number(fields.semester);
+    if (isStudent) {
+      if (!fields.semester) {
+        errors.push('Semester is required for students');
+      } else if (!Number.isInteger(semester) || semester < 1) {
+        errors.push('Semester must be a whole number');
+      } else if (department && semester > department.totalSemesters) {
+        errors.push(`Semester must be between 1 and ${department.totalSemesters}`);
+      }
+    }
+
+    if (fields.enrollmentNumber) {
+      if (!ENROLLMENT_PATTERN.test(fields.enrollmentNumber)) {
+        errors.push('Enrollment number must be 3 to 30 letters, digits, dashes or slashes');
+      } else if (existingEnrollments.has(fields.enrollmentNumber)) {
+        errors.push('Enrollment number is already in use');
+      } else if (enrollmentCounts.get(fields.enrollmentNumber) > 1) {
+        errors.push('Enrollment number appears more than once in the file');
+      }
+    }
+
+    const account = {
+      name: fields.name,
+      email: fields.email,
+      role: fields.role,
+      department: department?._id,
+      semester: isStudent ? semester : undefined,
+      enrollmentNumber: fields.enrollmentNumber || undefined,
+      phone: fields.phone || undefined,
+      address: fields.address || undefined
+    };
+
+    // Anything else the model itself would refuse
+    if (errors.length === 0) {
+      try {
+        await new User({ ...account, accountSetupPending: true }).validate();
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        errors.push(...Object.values(error.errors).map(e => e.message));
+      }
+    }
+
+    results.push({ row: rowNumber, email: fields.email, account, errors });
+  }
+
+  return results;
+};
+
+// Create the validated accounts. They have no password until their owner
+// accepts the invitation or resets it, so they cannot be signed into yet.
+// A row failing here (e.g. an email taken since validation) does not stop
+// the others.
+const createImportedAccounts = async (results, { invitedBy, sendInvitations = false }) => {
+  const created = [];
+  const failed = [];
+
+  for (const result of results) {
+    let user;
+    try {
+      user = await User.create({
+        ...result.account,
+        accountSetupPending: true,
+        approvalStatus: 'approved',
+        approvalDecidedBy: invitedBy._id,
+        approvalDecidedAt: new Date()
+      });
+    } catch (error) {
+      failed.push({ row: result.row, email: result.email, errors: [error.message] });
+      continue;
+    }
+
+    const entry = { row: result.row, _id: user._id, email: user.email, invitationSent: false };
+
+    // Students start in their semester's subjects, the account stands without them
+    if (user.role === 'student') {
+      try {
+        await enrollInSemesterSubjects(user, { enrolledBy: invitedBy._id, reason: 'Enrolled on import' });
+      } catch (error) {
+        console.error(`Import enrollments for ${user.email} failed:`, error);
+      }
+    }
+
+    if (sendInvitations) {
+      try {
+        const { invitation, token } = await Invitation.issue({
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          department: user.department || null,
+          semester: user.semester || null,
+          user: user._id,
+          invitedBy: invitedBy._id
+        }, INVITATION_TTL_DAYS);
+
+        await sendMail('invitation', invitation.email, {
+          name: invitation.name,
+          role: invitation.role,
+          invitedBy: invitedBy.name,
+          token,
+          expiresAt: invitation.expiresAt
+        });
+        entry.invitationSent = true;
+      } catch (error) {
+        // The account exists, an invitation can be sent again later
+        console.error(`Import invitation for ${user.email} failed:`, error);
+      }
+    }
+
+    created.push(entry);
+  }
+
+  return { created, failed };
+};
+
+module.exports = {
+  IMPORTABLE_ROLES,
+  MAX_IMPORT_ROWS,
+  validateImportRows,
+  createImportedAccounts
+};
@@ -0,0 +1,127 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// A local stand-in OpenID Connect provider: discovery, JWKS, an authorize
+// endpoint that signs in whoever `signIn()` last named, a token endpoint
+// that checks the PKCE verifier, and userinfo. Enough to run the real
+// authorization-code flow in tests without a network.
+const startOidcProvider = async ({ clientId = 'test-client', clientSecret = 'test-secret' } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  const accessTokens = new Map();
+  let account = null;
+  let issuer;
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readForm = (req) => new Promise((resolve) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+  });
+
+  const clientAuthenticated = (req, form) => {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Basic ')) {
+      const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+      return id === clientId && secret === clientSecret;
+    }
+    return form.get('client_id') === clientId && form.get('client_secret') === clientSecret;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        jwks_uri: `${issuer}/jwks`
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = url.searchParams;
+      if (params.get('client_id') !== clientId || params.get('code_challenge_method') !== 'S256' || !account) {
+        return sendJson(res, 400, { error: 'invalid_request' });
+      }
+
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        account,
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri')
+      });
+
+      const redirect = new URL(params.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.get('state'));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      const form = await readForm(req);
+      const grant = codes.get(form.get('code'));
+      codes.delete(form.get('code'));
+
+      if (!clientAuthenticated(req, form)) {
+        return sendJson(res, 401, { error: 'invalid_client' });
+      }
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (!grant || grant.redirectUri !== form.get('redirect_uri') || grant.codeChallenge !== challenge) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+
+      const { claims, userInfo = {}, nonce = grant.nonce } = grant.account;
+      const accessToken = crypto.randomBytes(16).toString('hex');
+      accessTokens.set(accessToken, { sub: claims.sub, ...userInfo });
+
+      return sendJson(res, 200, {
+        token_type: 'Bearer',
+        access_token: accessToken,
+        id_token: jwt.sign({ ...claims, nonce }, privateKey, {
+          algorithm: 'RS256',
+          keyid: kid,
+          issuer,
+          audience: clientId,
+          expiresIn: '5m'
+        })
+      });
+    }
+
+    if (url.pathname === '/userinfo') {
+      const info = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+      return info ? sendJson(res, 200, info) : sendJson(res, 401, { error: 'invalid_token' });
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    clientId,
+    clientSecret,
+    // The account the next authorization signs in: ID token `claims`,
+    // extra `userInfo`, and a `nonce` to override the one requested
+    signIn: (next) => { account = next; },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = { startOidcProvider };
@@ -0,0 +1,216 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startOidcProvider } = require('./fixtures/oidcProvider');
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const OidcState = require('../models/OidcState');
+const settingDefinitions = require('../config/settings');
+const oidc = require('../services/oidc');
+const { oidcAuthorize, oidcCallback } = require('../controllers/authController');
+
+// The single sign-on flow end to end against the stand-in provider. The
+// database is replaced by in-memory users, settings and sign-on states.
+let provider;
+let users;
+let states;
+let settings;
+
+before(async () => {
+  provider = await startOidcProvider();
+  process.env.OIDC_ISSUER = provider.issuer;
+  process.env.OIDC_CLIENT_ID = provider.clientId;
+  process.env.OIDC_CLIENT_SECRET = provider.clientSecret;
+  process.env.OIDC_REDIRECT_URI = 'http://localhost:3000/sso/callback';
+
+  mock.method(User, 'findOne', async (query) => users.find(user => (
+    query.oidcSubject ? user.oidcSubject === query.oidcSubject : user.email === query.email
+  )) || null);
+  mock.method(User.prototype, 'save', async function() {
+    if (!users.includes(this)) users.push(this);
+    return this;
+  });
+  mock.method(User.prototype, 'populate', async function() { return this; });
+  mock.method(Session, 'start', async () => ({ session: { _id: 'session-id' }, refreshToken: 'refresh-token' }));
+  mock.method(Setting, 'get', async (key) => (key in settings ? settings[key] : settingDefinitions[key].default));
+  mock.method(OidcState, 'create', async (doc) => states.set(doc.state, doc));
+  mock.method(OidcState, 'consume', async (state) => {
+    const pending = states.get(state) || null;
+    states.delete(state);
+    return pending;
+  });
+});
+
+after(async () => {
+  mock.restoreAll();
+  await provider.close();
+});
+
+beforeEach(() => {
+  oidc.clearOidcCache();
+  users = [];
+  states = new Map();
+  settings = {};
+});
+
+// Run a controller with a stand-in request, resolving to the response
+const call = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    set() { return this; }
+  };
+  await handler({ ip: '127.0.0.1', get: () => 'node-test', query: {}, body: {}, ...req }, res);
+  return res;
+};
+
+// Sign on as `account` through the whole flow, like the browser would
+const signOn = async (account) => {
+  provider.signIn(account);
+
+  const authorize = await call(oidcAuthorize, { query: { redirectTo: '/dashboard' } });
+  assert.equal(authorize.statusCode, 200);
+
+  const response = await fetch(authorize.body.url, { redirect: 'manual' });
+  const location = new URL(response.headers.get('location'));
+
+  return call(oidcCallback, {
+    body: { code: location.searchParams.get('code'), state: location.searchParams.get('state') }
+  });
+};
+
+const account = (claims) => ({ claims: { sub: 'idp-user-1', name: 'Ada Lovelace', ...claims } });
+
+const passwordUser = (fields = {}) => {
+  const user = new User({
+    name: 'Ada',
+    email: 'ada@example.edu',
+    password: 'Secret123',
+    role: 'teacher',
+    approvalStatus: 'approved',
+    ...fields
+  });
+  users.push(user);
+  return user;
+};
+
+test('the code is only exchanged with the PKCE verifier it was issued for', async () => {
+  provider.signIn(account({ email: 'ada@example.edu', email_verified: true }));
+  const request = oidc.createAuthorizationRequest();
+
+  const url = new URL(await oidc.buildAuthorizationUrl(request));
+  assert.equal(url.searchParams.get('code_challenge'), request.codeChallenge);
+  assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+
+  const redirect = async () => new URL((await fetch(url, { redirect: 'manual' })).headers.get('location'));
+
+  const stolen = (await redirect()).searchParams.get('code');
+  await assert.rejects(
+    oidc.completeAuthorization({ code: stolen, codeVerifier: 'not-the-verifier', nonce: request.nonce }),
+    /invalid_grant/
+  );
+
+  const code = (await redirect()).searchParams.get('code');
+  const profile = await oidc.completeAuthorization({ code, codeVerifier: request.codeVerifier, nonce: request.nonce });
+  assert.equal(profile.subject, 'idp-user-1');
+  assert.equal(profile.emailVerified, true);
+});
+
+test('an ID token for another nonce is refused', async () => {
+  passwordUser();
+  const res = await signOn({ ...account({ email: 'ada@example.edu', email_verified: true }), nonce: 'replayed' });
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, 'SSO_FAILED');
+});
+
+test('a state is only accepted once', async () => {
+  provider.signIn(account({ email: 'ada@example.edu', email_verified: true }));
+  const authorize = await call(oidcAuthorize, {});
+  const state = new URL(authorize.body.url).searchParams.get('state');
+
+  states.delete(state);
+  const res = await call(oidcCallback, { body: { code: 'any', state } });
+  assert.equal(res.body.code, 'SSO_STATE_INVALID');
+});
+
+test('an existing account is linked by verified email, keeping its role', async () => {
+  const user = passwordUser();
+  settings['oidc.groupRoles'] = { students: 'student' };
+
+  const res = await signOn(account({ email: 'Ada@Example.edu', email_verified: true, groups: ['students'] }));
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.token);
+  assert.equal(res.body.redirectTo, '/dashboard');
+  assert.equal(user.oidcSubject, 'idp-user-1');
+  assert.equal(user.role, 'teacher');
+});
+
+test('roles follow the groups only with oidc.syncRoles', async () => {
+  const user = passwordUser({ oidcSubject: 'idp-user-1' });
+  settings['oidc.groupRoles'] = { students: 'student' };
+  settings['oidc.syncRoles'] = true;
+
+  await signOn(account({ groups: ['students'] }));
+  assert.equal(user.role, 'student');
+});
+
+test('an email the provider has not verified links nothing', async () => {
+  const user = passwordUser();
+
+  for (const emailVerified of [undefined, false, 'false']) {
+    const res = await signOn(account({ email: 'ada@example.edu', email_verified: emailVerified }));
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, 'SSO_ACCOUNT_NOT_FOUND');
+  }
+  assert.equal(user.oidcSubject, undefined);
+});
+
+test('an account with two-factor authentication still needs its second step', async () => {
+  passwordUser({ oidcSubject: 'idp-user-1', twoFactor: { enabled: true } });
+
+  const res = await signOn(account({ amr: ['pwd'] }));
+  assert.equal(res.body.twoFactorRequired, true);
+  assert.ok(res.body.challengeToken);
+  assert.equal(res.body.token, undefined);
+
+  settings['oidc.trustedMfaMethods'] = ['mfa'];
+  const trusted = await signOn(account({ amr: ['pwd', 'mfa'] }));
+  assert.ok(trusted.body.token);
+});
+
+test('just-in-time accounts need the setting and a verified email', async () => {
+  const claims = { sub: 'idp-new', email: 'grace@example.edu', email_verified: true, name: 'Grace Hopper' };
+
+  let res = await signOn({ claims });
+  assert.equal(res.body.code, 'SSO_ACCOUNT_NOT_FOUND');
+
+  settings['oidc.allowJitProvisioning'] = true;
+  res = await signOn({ claims: { ...claims, email_verified: undefined } });
+  assert.equal(res.body.code, 'SSO_ACCOUNT_NOT_FOUND');
+
+  res = await signOn({ claims });
+  assert.equal(res.statusCode, 200);
+  assert.equal(users.length, 1);
+  assert.equal(users[0].email, 'grace@example.edu');
+  assert.equal(users[0].oidcSubject, 'idp-new');
+  assert.equal(users[0].role, 'student');
+});
+
+test('just-in-time provisioning with an unknown default role fails cleanly', async () => {
+  settings['oidc.allowJitProvisioning'] = true;
+  settings['oidc.defaultRole'] = 'registrar';
+  const Role = require('../models/Role');
+  const exists = mock.method(Role, 'exists', async () => null);
+
+  const res = await signOn({ claims: { sub: 'idp-new', email: 'grace@example.edu', email_verified: true } });
+  exists.mock.restore();
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'SSO_MISCONFIGURED');
+  assert.equal(users.length, 0);
+});
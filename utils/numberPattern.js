@@ -0,0 +1,64 @@
+// Number patterns such as '{DEPT}-{YEAR}-{SEQ:4}'. Tokens:
+//   {DEPT}   department code
+//   {YEAR}   four digit year, {YY} its last two digits
+//   {SEQ:n}  the sequence number zero-padded to n digits, {SEQ} unpadded
+// Everything else is copied as is.
+const TOKEN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const KNOWN_TOKENS = ['DEPT', 'YEAR', 'YY', 'SEQ'];
+const LITERAL = /^[A-Za-z0-9\-/_.]*$/;
+const MAX_PATTERN_LENGTH = 60;
+const MAX_SEQ_WIDTH = 10;
+
+// Returns an error message, or null when the pattern is usable
+const validatePattern = (pattern) => {
+  if (typeof pattern !== 'string' || pattern.length === 0 || pattern.length > MAX_PATTERN_LENGTH) {
+    return `Pattern must be 1 to ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  const tokens = [...pattern.matchAll(TOKEN)];
+  const unknown = tokens.find(([, name]) => !KNOWN_TOKENS.includes(name));
+  if (unknown) {
+    return `Unknown token ${unknown[0]}`;
+  }
+
+  const sequences = tokens.filter(([, name]) => name === 'SEQ');
+  if (sequences.length !== 1) {
+    return 'Pattern must contain {SEQ} exactly once';
+  }
+
+  const width = sequences[0][2];
+  if (width !== undefined && (Number(width) < 1 || Number(width) > MAX_SEQ_WIDTH)) {
+    return `Sequence width must be between 1 and ${MAX_SEQ_WIDTH}`;
+  }
+
+  if (tokens.some(([, name, tokenWidth]) => name !== 'SEQ' && tokenWidth !== undefined)) {
+    return 'Only {SEQ} takes a width';
+  }
+
+  if (!LITERAL.test(pattern.replace(TOKEN, ''))) {
+    return 'Pattern may only contain letters, digits and - / _ . besides its tokens';
+  }
+
+  return null;
+};
+
+const usesDepartment = (pattern) => pattern.includes('{DEPT}');
+
+// Fill every token except the sequence. Numbers sharing a scope share a
+// counter, so a pattern with {YEAR} starts again from 1 each year.
+const renderScope = (pattern, { departmentCode = '', year }) => pattern.replace(TOKEN, (token, name) => {
+  if (name === 'DEPT') return departmentCode;
+  if (name === 'YEAR') return String(year);
+  if (name === 'YY') return String(year).slice(-2);
+  return token;
+});
+
+const renderNumber = (pattern, context, seq) => renderScope(pattern, context)
+  .replace(TOKEN, (token, name, width) => String(seq).padStart(Number(width) || 0, '0'));
+
+module.exports = {
+  validatePattern,
+  usesDepartment,
+  renderScope,
+  renderNumber
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+
+// Short-lived access token tied to a session, so revoking the session
+// invalidates the token on the next request
+const generateAccessToken = (userId, sessionId, expiresIn = ACCESS_TOKEN_EXPIRES_IN) => {
+  return jwt.sign({ id: userId, sid: sessionId }, JWT_SECRET, { expiresIn });
+};
+
+const verifyAccessToken = (token) => {
+  return jwt.verify(token, JWT_SECRET);
+};
+
+// Short-lived token proving the password step of a login, valid only
+// for the given purpose (e.g. '2fa-login' or '2fa-setup')
+const generateChallengeToken = (userId, purpose) => {
+  return jwt.sign({ id: userId, purpose }, JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_EXPIRES_IN
+  });
+};
+
+// Returns the user id, or null when the token is invalid or for another purpose
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Opaque random token (refresh tokens, invitations), only its hash is ever stored
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+const generateRefreshToken = () => generateRandomToken(48);
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  generateAccessToken,
+  verifyAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateRandomToken,
+  generateRefreshToken,
+  hashToken
+};
@@ -0,0 +1,40 @@
+// Small user agent parser, only good enough to label a session for the user
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /OPR\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows NT/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'macOS', pattern: /Mac OS X/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+const parseUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return { browser: null, os: null, type: 'unknown', label: 'Unknown device' };
+  }
+
+  const browserMatch = BROWSERS.find(b => b.pattern.test(userAgent));
+  const osMatch = OPERATING_SYSTEMS.find(o => o.pattern.test(userAgent));
+
+  let type = 'desktop';
+  if (/iPad|Tablet/.test(userAgent)) {
+    type = 'tablet';
+  } else if (/Mobi|iPhone|Android/.test(userAgent)) {
+    type = 'mobile';
+  }
+
+  const browser = browserMatch ? browserMatch.name : null;
+  const os = osMatch ? osMatch.name : null;
+  const label = [browser, os].filter(Boolean).join(' on ') || 'Unknown device';
+
+  return { browser, os, type, label };
+};
+
+module.exports = { parseUserAgent };